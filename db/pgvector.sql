@@ -0,0 +1,14 @@
+-- RAG chunks for the pgvector backend (VECTOR_STORE=pgvector).
+-- Optional: run after schema.sql on a database with the pgvector extension available.
+CREATE EXTENSION IF NOT EXISTS vector;
+
+CREATE TABLE IF NOT EXISTS rag_chunks (
+    id SERIAL PRIMARY KEY,
+    source TEXT NOT NULL,
+    content TEXT NOT NULL,
+    metadata JSONB NOT NULL DEFAULT '{}',
+    embedding vector(3072) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS rag_chunks_source_idx ON rag_chunks (source);
@@ -9,3 +9,165 @@ CREATE TABLE IF NOT EXISTS blogs (
 
 -- Insert some sample data (optional)
 -- INSERT INTO blogs (title, content) VALUES ('Welcome to my assistant!', 'This is my first post created by the new assistant.');
+
+-- Uploaded documents and their extracted text
+CREATE TABLE IF NOT EXISTS documents (
+    id SERIAL PRIMARY KEY,
+    filename TEXT NOT NULL,
+    mime_type TEXT,
+    size_bytes INTEGER NOT NULL,
+    content_hash CHAR(64) NOT NULL,
+    extracted_text TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS documents_content_hash_idx ON documents (content_hash);
+
+-- Extracted segments with location metadata (page, heading path, sheet + rows)
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS segments JSONB NOT NULL DEFAULT '[]';
+
+-- Email attachments are stored as sub-documents of their message / mailbox
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES documents(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS documents_parent_id_idx ON documents (parent_id);
+
+-- Versions: re-uploading a file with the same name adds a version to the first upload (root_id).
+-- Only the active version of each document is used for retrieval.
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS root_id INTEGER REFERENCES documents(id) ON DELETE SET NULL;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT true;
+
+CREATE INDEX IF NOT EXISTS documents_root_id_idx ON documents (root_id);
+CREATE INDEX IF NOT EXISTS documents_filename_idx ON documents (filename);
+
+-- Structured tables (one per sheet) from spreadsheet / CSV documents
+CREATE TABLE IF NOT EXISTS document_tables (
+    id SERIAL PRIMARY KEY,
+    document_id INTEGER NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    columns JSONB NOT NULL,
+    rows JSONB NOT NULL,
+    row_count INTEGER NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS document_tables_document_id_idx ON document_tables (document_id);
+
+-- Full-text (keyword) index of document chunks for hybrid search.
+-- The 'simple' configuration does not stem or drop words, so identifiers and names match exactly.
+CREATE TABLE IF NOT EXISTS document_chunks (
+    id SERIAL PRIMARY KEY,
+    document_id INTEGER NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    chunk_index INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    location JSONB NOT NULL DEFAULT '{}',
+    tsv TSVECTOR GENERATED ALWAYS AS (to_tsvector('simple', content)) STORED,
+    UNIQUE (document_id, chunk_index)
+);
+
+CREATE INDEX IF NOT EXISTS document_chunks_tsv_idx ON document_chunks USING GIN (tsv);
+
+CREATE INDEX IF NOT EXISTS documents_created_at_idx ON documents (created_at);
+
+-- Cached document summaries, one per document version and style
+CREATE TABLE IF NOT EXISTS document_summaries (
+    id SERIAL PRIMARY KEY,
+    document_id INTEGER NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    style TEXT NOT NULL,
+    summary TEXT NOT NULL,
+    chunk_count INTEGER NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (document_id, style)
+);
+
+-- Chat conversations and their messages (assistant turns keep their sources and search steps)
+CREATE TABLE IF NOT EXISTS conversations (
+    id SERIAL PRIMARY KEY,
+    title TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS messages (
+    id SERIAL PRIMARY KEY,
+    conversation_id INTEGER NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    role TEXT NOT NULL CHECK (role IN ('user', 'assistant')),
+    content TEXT NOT NULL,
+    sources JSONB NOT NULL DEFAULT '[]',
+    search_steps JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS messages_conversation_id_idx ON messages (conversation_id, id);
+CREATE INDEX IF NOT EXISTS conversations_updated_at_idx ON conversations (updated_at);
+
+-- Running summary of older messages (up to and including message context_summary_until), sent in their place
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS context_summary TEXT;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS context_summary_until INTEGER;
+
+-- Personal notes, to-do tasks and reminders (managed through the API and the chat agent's tools)
+CREATE TABLE IF NOT EXISTS notes (
+    id SERIAL PRIMARY KEY,
+    title TEXT,
+    content TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS tasks (
+    id SERIAL PRIMARY KEY,
+    title TEXT NOT NULL,
+    notes TEXT,
+    due_date DATE,
+    priority TEXT NOT NULL DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high')),
+    done BOOLEAN NOT NULL DEFAULT false,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS tasks_done_due_date_idx ON tasks (done, due_date);
+
+CREATE TABLE IF NOT EXISTS reminders (
+    id SERIAL PRIMARY KEY,
+    message TEXT NOT NULL,
+    remind_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    dismissed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS reminders_remind_at_idx ON reminders (remind_at);
+
+-- Long-term memory: durable facts and preferences about the user, added to chat prompts.
+-- Memories extracted from conversations stay 'pending' until the user confirms them.
+CREATE TABLE IF NOT EXISTS memories (
+    id SERIAL PRIMARY KEY,
+    content TEXT NOT NULL,
+    category TEXT NOT NULL DEFAULT 'fact' CHECK (category IN ('fact', 'preference', 'goal')),
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'pending')),
+    source TEXT NOT NULL DEFAULT 'api' CHECK (source IN ('api', 'chat', 'extracted')),
+    conversation_id INTEGER REFERENCES conversations(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS memories_content_idx ON memories (lower(content));
+CREATE INDEX IF NOT EXISTS memories_search_idx ON memories USING GIN (to_tsvector('english', content));
+
+-- Personas: named system-prompt presets (instructions, temperature, allowed tools, response length).
+-- Chats without a persona use the built-in default prompt.
+CREATE TABLE IF NOT EXISTS personas (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT,
+    instructions TEXT NOT NULL,
+    temperature REAL CHECK (temperature BETWEEN 0 AND 2),
+    allowed_tools JSONB,
+    response_length TEXT CHECK (response_length IN ('short', 'medium', 'long')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS personas_name_idx ON personas (lower(name));
+
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS persona_id INTEGER REFERENCES personas(id) ON DELETE SET NULL;
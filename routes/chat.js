@@ -7,15 +7,215 @@
 const express = require('express');
 const router = express.Router();
 const groqService = require('../services/groqService');
+const ragService = require('../services/ragService');
+const tableService = require('../services/tableService');
+const documentService = require('../services/documentService');
+const conversationService = require('../services/conversationService');
+const runService = require('../services/runService');
+const memoryService = require('../services/memoryService');
+const llmService = require('../services/llmService');
+const personaService = require('../services/personaService');
+const { openEventStream } = require('../utils/sse');
+
+// Upper bound for a client-requested document context budget (tokens)
+const MAX_CONTEXT_TOKEN_BUDGET = 32000;
+
+/**
+ * Aborts a non-streaming request's work when the client disconnects before the response is sent.
+ * @param {object} res - Express response object.
+ * @returns {AbortSignal}
+ */
+function abortOnDisconnect(res) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            console.log('🛑 Client disconnected; cancelling chat request');
+            controller.abort();
+        }
+    });
+    return controller.signal;
+}
+
+/**
+ * Validates the document-context fields of a chat request.
+ * @param {object} body - Request body.
+ * @returns {{ options?: object, error?: string }} - Options for ragService.retrieveContext, or a validation error.
+ */
+function parseContextOptions(body) {
+    let documentIds = [];
+    if (body.documentIds !== undefined && body.documentIds !== null) {
+        if (!Array.isArray(body.documentIds)) return { error: 'documentIds must be an array of document ids.' };
+        documentIds = body.documentIds.map(Number);
+        if (!documentIds.every(id => Number.isInteger(id) && id > 0)) {
+            return { error: 'documentIds must be an array of document ids.' };
+        }
+    }
+
+    const options = {
+        documentIds,
+        useRAG: !!body.useRAG,
+        documentContexts: Array.isArray(body.documentContexts) ? body.documentContexts.filter(c => typeof c === 'string') : []
+    };
+
+    if (body.retrievalMode !== undefined) {
+        if (!ragService.RETRIEVAL_MODES.includes(body.retrievalMode)) {
+            return { error: `retrievalMode must be one of: ${ragService.RETRIEVAL_MODES.join(', ')}.` };
+        }
+        options.retrievalMode = body.retrievalMode;
+    }
+
+    if (body.contextTokenBudget !== undefined) {
+        const budget = Number(body.contextTokenBudget);
+        if (!Number.isInteger(budget) || budget <= 0) {
+            return { error: 'contextTokenBudget must be a positive integer.' };
+        }
+        options.tokenBudget = Math.min(budget, MAX_CONTEXT_TOKEN_BUDGET);
+    }
+
+    return { options };
+}
+
+/**
+ * Loads the spreadsheet tables the agent may query for this request:
+ * those of the referenced documents (their active versions), or all tables when `useRAG` is set.
+ * @param {object} options - Parsed context options.
+ * @returns {Promise<Array>} - Table summaries ([] on error).
+ */
+async function resolveTables({ documentIds, useRAG }) {
+    if (documentIds.length === 0 && !useRAG) return [];
+    try {
+        return await tableService.listTables(documentIds.length > 0 ? await documentService.filterIds({ documentIds }) : undefined);
+    } catch (error) {
+        console.error('❌ Could not load document tables:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Loads the chat history: the stored conversation when `conversationId` is given,
+ * otherwise the client-supplied `conversationHistory`.
+ * @param {object} body - Request body.
+ * @returns {Promise<{ conversationId?: number|null, history?: Array, error?: string, status?: number, code?: string }>}
+ */
+async function resolveHistory({ conversationId, conversationHistory = [] }) {
+    if (conversationId === undefined || conversationId === null) {
+        return { conversationId: null, history: conversationHistory };
+    }
+    const id = Number(conversationId);
+    if (!Number.isInteger(id) || id <= 0) {
+        return { error: 'conversationId must be a conversation id.', status: 400, code: 'INVALID_INPUT' };
+    }
+    if (!await conversationService.exists(id)) {
+        return { error: 'Conversation not found.', status: 404, code: 'NOT_FOUND' };
+    }
+    return { conversationId: id, history: await conversationService.history(id) };
+}
+
+/**
+ * Loads the persona for the request: `personaId` from the body (null for the default), otherwise
+ * the conversation's persona, otherwise the default (null).
+ * @param {object} body - Request body.
+ * @param {number|null} conversationId - Stored conversation, if any.
+ * @returns {Promise<{ persona?: object|null, error?: string, status?: number, code?: string }>}
+ */
+async function resolvePersona({ personaId }, conversationId) {
+    if (personaId === null) return { persona: null };
+    if (personaId === undefined) {
+        const id = conversationId ? await conversationService.personaId(conversationId) : null;
+        return { persona: id ? await personaService.get(id) : null };
+    }
+    const id = Number(personaId);
+    if (!Number.isInteger(id) || id <= 0) {
+        return { error: 'personaId must be a persona id, or null for the default persona.', status: 400, code: 'INVALID_INPUT' };
+    }
+    const persona = await personaService.get(id);
+    if (!persona) {
+        return { error: 'Persona not found.', status: 404, code: 'NOT_FOUND' };
+    }
+    return { persona };
+}
+
+/**
+ * Loads the long-term memories relevant to the message, unless the request sets `useMemory: false`.
+ * @param {string} message - The user's message.
+ * @param {object} body - Request body.
+ * @returns {Promise<Array>} - Active memories ([] on error).
+ */
+async function resolveMemories(message, { useMemory = true }) {
+    if (useMemory === false) return [];
+    try {
+        return await memoryService.relevant(message);
+    } catch (error) {
+        console.error('❌ Could not load memories:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Extracts new memories from a completed turn in the background (they wait for review as
+ * pending memories), with the model that answered the turn. Skipped when the request sets
+ * `useMemory: false`.
+ */
+function learnFromTurn(conversationId, message, result, { useMemory = true, model = null }) {
+    if (useMemory === false) return;
+    memoryService.extract(message, result.response, { conversationId, model: result.model || model });
+}
+
+/**
+ * Stores a completed turn in its conversation, and the running summary when older turns were
+ * summarized to fit the model. A storage failure is logged, not returned, so the user still gets the answer.
+ */
+async function saveTurn(conversationId, message, result) {
+    if (!conversationId) return;
+    try {
+        await conversationService.appendTurn(conversationId, message, result);
+        if (result.contextSummary) {
+            await conversationService.saveSummary(conversationId, result.contextSummary, result.contextWindow.summarizedTurns);
+        }
+    } catch (error) {
+        console.error(`❌ Could not save turn to conversation #${conversationId}:`, error.message);
+    }
+}
+
+/**
+ * Scope of the agent's search_documents tool: the referenced documents, or the whole library.
+ * @param {object} options - Parsed context options.
+ * @returns {{ documentIds: number[], mode?: string }}
+ */
+function documentSearchScope({ documentIds, retrievalMode }) {
+    return { documentIds, mode: retrievalMode };
+}
+
+/**
+ * Describes the chunks packed into the prompt, for the response payload.
+ * @param {object} retrieval - Result of ragService.retrieveContext.
+ * @returns {Array<object>}
+ */
+function describeContextChunks(retrieval) {
+    return retrieval.chunks.map(chunk => ({
+        documentId: chunk.metadata?.documentId ?? null,
+        source: chunk.metadata?.source,
+        chunkIndex: chunk.metadata?.chunkIndex,
+        location: chunk.metadata?.location || {},
+        score: chunk.score,
+        tokens: chunk.tokens
+    }));
+}
 
 /**
  * POST /api/chat
  * Process a chat message with optional web search.
  * Returns the final result (non-streaming).
+ * With `conversationId`, the history is loaded from that conversation and the turn is stored in it;
+ * otherwise the client sends `conversationHistory`.
+ * `personaId` picks the persona (null for the default); without it, the conversation's persona is used.
+ * `model` picks the model (`<provider>:<model>`, or a list tried in order; see GET /api/chat/models).
+ * Relevant long-term memories are added to the prompt and new ones are learned from the turn
+ * (see /api/memory); `useMemory: false` turns both off for the request.
  */
 router.post('/', async (req, res, next) => {
     try {
-        const { message, conversationHistory = [], forceSearch = false } = req.body;
+        const { message, forceSearch = false } = req.body;
 
         if (!message || typeof message !== 'string' || message.trim().length === 0) {
             return res.status(400).json({
@@ -25,29 +225,61 @@ router.post('/', async (req, res, next) => {
             });
         }
 
-        const { useRAG } = req.body;
-        let result;
+        const contextOptions = parseContextOptions(req.body);
+        if (contextOptions.error) {
+            return res.status(400).json({ success: false, error: contextOptions.error, code: 'INVALID_INPUT' });
+        }
+
+        const modelError = llmService.validateModels(req.body.model);
+        if (modelError) {
+            return res.status(400).json({ success: false, error: modelError, code: 'INVALID_INPUT' });
+        }
 
-        // Handle context if provided in req.body.documentContexts array
-        let context = '';
-        if (req.body.documentContexts && Array.isArray(req.body.documentContexts) && req.body.documentContexts.length > 0) {
-            context = req.body.documentContexts.join('\n\n---\n\n');
+        const conversation = await resolveHistory(req.body);
+        if (conversation.error) {
+            return res.status(conversation.status).json({ success: false, error: conversation.error, code: conversation.code });
         }
 
-        console.log(`💬 AI Chat Mode for query: "${message}" (forceSearch: ${forceSearch}, deepSearch: ${req.body.deepSearch}, hasContext: ${!!context})`);
-        result = await groqService.chat(message.trim(), conversationHistory, {
+        const selection = await resolvePersona(req.body, conversation.conversationId);
+        if (selection.error) {
+            return res.status(selection.status).json({ success: false, error: selection.error, code: selection.code });
+        }
+        const { persona } = selection;
+
+        const { useRAG = false } = req.body;
+        const signal = abortOnDisconnect(res);
+        let result;
+
+        const retrieval = await ragService.retrieveContext(message.trim(), contextOptions.options);
+        const tables = await resolveTables(contextOptions.options);
+        const memories = await resolveMemories(message.trim(), req.body);
+
+        console.log(`💬 AI Chat Mode for query: "${message}" (forceSearch: ${forceSearch}, deepSearch: ${req.body.deepSearch}, useRAG: ${useRAG}, contextChunks: ${retrieval.chunks.length})`);
+        result = await groqService.chat(message.trim(), conversation.history, {
             forceSearch,
             isDeepResearch: !!req.body.deepSearch,
-            context
+            context: retrieval.context,
+            contextSources: ragService.toSources(retrieval.chunks),
+            tables,
+            documentSearch: documentSearchScope(contextOptions.options),
+            memories,
+            model: req.body.model,
+            persona: personaService.toChatOptions(persona),
+            signal
         });
 
+        if (result.code === 'CANCELLED') return; // the client is gone
         if (result.success === false) {
             return res.status(500).json(result);
         }
 
+        await saveTurn(conversation.conversationId, message.trim(), result);
+        learnFromTurn(conversation.conversationId, message.trim(), result, req.body);
+
         res.json({
             success: true,
             data: {
+                conversationId: conversation.conversationId,
                 response: result.response,
                 searchPerformed: result.searchPerformed,
                 searchQuery: result.searchQuery,
@@ -55,7 +287,13 @@ router.post('/', async (req, res, next) => {
                 sources: result.sources || [],
                 searchSteps: result.searchSteps || [],
                 totalSteps: result.totalSteps || 0,
-                totalSearches: result.totalSearches || 0
+                totalSearches: result.totalSearches || 0,
+                contextChunks: describeContextChunks(retrieval),
+                contextTokens: { used: retrieval.usedTokens, budget: retrieval.budget },
+                contextWindow: result.contextWindow,
+                memoriesUsed: memories.map(memory => memory.id),
+                model: result.model,
+                personaId: persona?.id ?? null
             }
         });
 
@@ -65,85 +303,81 @@ router.post('/', async (req, res, next) => {
 });
 
 /**
- * POST /api/chat/stream
- * SSE streaming endpoint for real-time search progress.
- * Sends events as the agentic loop executes, then the final result.
- *
- * Event format: data: { type, message, step?, ... }\n\n
- * Final event: data: { type: "result", data: { response, sources, ... } }\n\n
+ * Connects an SSE response to a run: replays its buffered events after `afterSeq`, then
+ * streams new ones until `done`. Disconnecting does not stop the run right away (see runService).
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {string} runId - Run id.
+ * @param {number} afterSeq - Last event the client has received (0 for all).
  */
-router.post('/stream', async (req, res) => {
-    try {
-        const { message, conversationHistory = [], forceSearch = false, useRAG = false } = req.body;
-
-        if (!message || typeof message !== 'string' || message.trim().length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Message is required.',
-                code: 'INVALID_INPUT'
-            });
-        }
+function attachToRun(req, res, runId, afterSeq) {
+    const stream = openEventStream(res);
+    let unsubscribe = null;
+    let closed = false;
+    const finish = () => {
+        if (closed) return;
+        closed = true;
+        if (unsubscribe) unsubscribe();
+        stream.close();
+    };
 
-        // Set up SSE headers
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
-        res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
-        res.flushHeaders();
-
-        // Helper to send SSE events
-        const sendEvent = (event) => {
-            try {
-                res.write(`data: ${JSON.stringify(event)}\n\n`);
-            } catch (e) {
-                console.error('[SSE] Write error:', e.message);
-            }
-        };
-
-        // Progress callback for the agentic loop
-        const onProgress = (event) => {
-            sendEvent(event);
-        };
-
-        // Start heartbeat to prevent timeouts during long LLM thinking
-        const heartbeatInterval = setInterval(() => {
-            try {
-                // Sending a comment in SSE keeps the connection alive but is ignored by parsers
-                res.write(': heartbeat\n\n');
-            } catch (e) {
-                console.error('[SSE] Heartbeat error:', e.message);
-            }
-        }, 15000); // Every 15 seconds
+    unsubscribe = runService.subscribe(runId, afterSeq, (id, event) => {
+        stream.send(event, id);
+        if (event.type === 'done') setImmediate(finish);
+    });
+    // A finished run has nothing more to send (the client may already have `done`)
+    if (runService.isFinished(runId)) setImmediate(finish);
+    res.on('close', finish);
+}
 
-        let result;
+/**
+ * Runs one streaming chat turn, recording its events on the run.
+ * Never throws: failures become an `error` event; the run always ends with `done`.
+ */
+async function executeRun(run, { message, body, contextOptions, conversation, persona }) {
+    const sendEvent = (event) => runService.record(run, event);
+    try {
+        sendEvent({ type: 'run', runId: run.id, message: 'Started' });
 
-        // Handle context if provided in req.body.documentContexts array
-        let context = '';
-        if (req.body.documentContexts && Array.isArray(req.body.documentContexts) && req.body.documentContexts.length > 0) {
-            context = req.body.documentContexts.join('\n\n---\n\n');
+        const { documentIds } = contextOptions;
+        if (body.useRAG || documentIds.length > 0) {
+            sendEvent({ type: 'thinking', message: 'Searching your documents...' });
         }
+        const retrieval = await ragService.retrieveContext(message, contextOptions);
+        const tables = await resolveTables(contextOptions);
+        const memories = await resolveMemories(message, body);
 
-        // Call groqService with progress callback
-        result = await groqService.chat(
-            message.trim(),
-            conversationHistory,
+        // Progress events of the agentic loop are recorded on the run as they happen
+        const result = await groqService.chat(
+            message,
+            conversation.history,
             {
-                forceSearch,
-                isDeepResearch: !!req.body.deepSearch,
-                context
+                forceSearch: !!body.forceSearch,
+                isDeepResearch: !!body.deepSearch,
+                context: retrieval.context,
+                contextSources: ragService.toSources(retrieval.chunks),
+                tables,
+                documentSearch: documentSearchScope(contextOptions),
+                memories,
+                model: body.model,
+                persona: personaService.toChatOptions(persona),
+                signal: run.signal
             },
-            onProgress // real-time progress callback
+            sendEvent
         );
 
-        clearInterval(heartbeatInterval);
-
-        if (result.success === false) {
+        if (result.code === 'CANCELLED') {
+            // The `cancelled` event was already sent
+        } else if (result.success === false) {
             sendEvent({ type: 'error', message: result.error });
         } else {
-            // Send final result
+            await saveTurn(conversation.conversationId, message, result);
+            learnFromTurn(conversation.conversationId, message, result, body);
+
             sendEvent({
                 type: 'result',
                 data: {
+                    conversationId: conversation.conversationId,
                     response: result.response,
                     searchPerformed: result.searchPerformed,
                     searchQuery: result.searchQuery,
@@ -151,25 +385,125 @@ router.post('/stream', async (req, res) => {
                     sources: result.sources || [],
                     searchSteps: result.searchSteps || [],
                     totalSteps: result.totalSteps || 0,
-                    totalSearches: result.totalSearches || 0
+                    totalSearches: result.totalSearches || 0,
+                    contextChunks: describeContextChunks(retrieval),
+                    contextTokens: { used: retrieval.usedTokens, budget: retrieval.budget },
+                    contextWindow: result.contextWindow,
+                    memoriesUsed: memories.map(memory => memory.id),
+                    model: result.model,
+                    personaId: persona?.id ?? null
                 }
             });
         }
-
-        // Close the stream
+    } catch (error) {
+        console.error('[SSE] Stream error:', error.message);
+        sendEvent({ type: 'error', message: error.message });
+    } finally {
         sendEvent({ type: 'done' });
-        res.end();
+        runService.finish(run);
+    }
+}
+
+/**
+ * POST /api/chat/stream
+ * SSE streaming endpoint for real-time search progress.
+ * Sends events as the agentic loop executes, then the final result.
+ *
+ * Event format: id: <runId>:<seq>\n data: { type, message, step?, ... }\n\n
+ * The first event is data: { type: "run", runId }. Events are buffered on the server, so after a
+ * dropped connection the client can resume: repeat this request with a `Last-Event-ID` header, or
+ * GET /api/chat/stream/:runId. A run with no connected client is cancelled after RUN_RESUME_GRACE_SECONDS.
+ * The answer is streamed as it is generated: data: { type: "token", delta }\n\n
+ * (a `token_reset` event means the tokens so far were not the final answer and should be cleared).
+ * When a model is rate-limited or down, data: { type: "model_fallback", from, to } is sent before the
+ * next model of the chain takes over.
+ * Final event: data: { type: "result", data: { response, sources, ... } }\n\n
+ */
+router.post('/stream', async (req, res) => {
+    try {
+        const lastEventId = runService.parseEventId(req.get('Last-Event-ID'));
+        if (lastEventId?.runId) {
+            if (!runService.has(lastEventId.runId)) {
+                return res.status(404).json({ success: false, error: 'Run not found or expired.', code: 'NOT_FOUND' });
+            }
+            return attachToRun(req, res, lastEventId.runId, lastEventId.seq);
+        }
+
+        const { message } = req.body;
+
+        if (!message || typeof message !== 'string' || message.trim().length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Message is required.',
+                code: 'INVALID_INPUT'
+            });
+        }
+
+        const contextOptions = parseContextOptions(req.body);
+        if (contextOptions.error) {
+            return res.status(400).json({ success: false, error: contextOptions.error, code: 'INVALID_INPUT' });
+        }
+
+        const modelError = llmService.validateModels(req.body.model);
+        if (modelError) {
+            return res.status(400).json({ success: false, error: modelError, code: 'INVALID_INPUT' });
+        }
+
+        const conversation = await resolveHistory(req.body);
+        if (conversation.error) {
+            return res.status(conversation.status).json({ success: false, error: conversation.error, code: conversation.code });
+        }
 
+        const selection = await resolvePersona(req.body, conversation.conversationId);
+        if (selection.error) {
+            return res.status(selection.status).json({ success: false, error: selection.error, code: selection.code });
+        }
+        const { persona } = selection;
+
+        const run = runService.start();
+        executeRun(run, { message: message.trim(), body: req.body, contextOptions: contextOptions.options, conversation, persona });
+        attachToRun(req, res, run.id, 0);
     } catch (error) {
         console.error('[SSE] Stream error:', error.message);
-        try {
-            res.write(`data: ${JSON.stringify({ type: 'error', message: error.message })}\n\n`);
-            res.write(`data: ${JSON.stringify({ type: 'done' })}\n\n`);
-            res.end();
-        } catch (e) {
-            res.end();
-        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/chat/stream/:runId
+ * Reconnect to a streaming run. Replays the events after `Last-Event-ID` (header, or `?lastEventId=`;
+ * all events when absent), then continues live. Works with EventSource's automatic reconnection.
+ */
+router.get('/stream/:runId', (req, res) => {
+    if (!runService.has(req.params.runId)) {
+        return res.status(404).json({ success: false, error: 'Run not found or expired.', code: 'NOT_FOUND' });
+    }
+    const raw = req.get('Last-Event-ID') ?? req.query.lastEventId;
+    const lastEventId = runService.parseEventId(raw);
+    if (raw !== undefined && (!lastEventId || (lastEventId.runId && lastEventId.runId !== req.params.runId))) {
+        return res.status(400).json({ success: false, error: 'Invalid Last-Event-ID for this run.', code: 'INVALID_INPUT' });
     }
+    attachToRun(req, res, req.params.runId, lastEventId?.seq ?? 0);
+});
+
+/**
+ * POST /api/chat/stream/:runId/cancel
+ * Stop an in-flight streaming run (its id is sent in the first `run` event).
+ * The stream then ends with a `cancelled` event followed by `done`.
+ */
+router.post('/stream/:runId/cancel', (req, res) => {
+    if (!runService.cancel(req.params.runId)) {
+        return res.status(404).json({ success: false, error: 'Run not found or already finished.', code: 'NOT_FOUND' });
+    }
+    res.json({ success: true, message: 'Run cancelled.' });
+});
+
+/**
+ * GET /api/chat/models
+ * The default model, the fallback chain and which LLM providers are configured.
+ */
+router.get('/models', (req, res) => {
+    res.json({ success: true, data: llmService.describe() });
 });
 
 /**
@@ -0,0 +1,204 @@
+/**
+ * Conversations Routes
+ * Server-side chat history: list, read, rename, delete and search conversations.
+ * Messages are added by /api/chat and /api/chat/stream when a `conversationId` is sent.
+ * A conversation can have a persona (/api/personas) that its chats use.
+ */
+const express = require('express');
+const router = express.Router();
+const conversationService = require('../services/conversationService');
+const personaService = require('../services/personaService');
+
+const log = (emoji, msg) => console.log(`[CONV] ${emoji} ${msg}`);
+
+// Upper bound for list page sizes
+const MAX_PAGE_SIZE = 100;
+const MAX_TITLE_LENGTH = 200;
+
+/**
+ * Parses a positive integer id route parameter.
+ * @param {string} value - Raw route parameter.
+ * @returns {number|null} - The id, or null if invalid.
+ */
+const parseId = (value) => {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+/**
+ * Validates a conversation title from a request body.
+ * @returns {{ title?: string|null, error?: string }}
+ */
+const parseTitle = (value, { required = false } = {}) => {
+    if (value === undefined || value === null) {
+        return required ? { error: 'title is required.' } : { title: null };
+    }
+    if (typeof value !== 'string' || !value.trim() || value.length > MAX_TITLE_LENGTH) {
+        return { error: `title must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters.` };
+    }
+    return { title: value.trim() };
+};
+
+/**
+ * Validates a persona id from a request body (null selects the default persona).
+ * @returns {{ personaId?: number|null, error?: string }} - personaId is undefined when absent.
+ */
+const parsePersonaId = (value) => {
+    if (value === undefined || value === null) return { personaId: value };
+    const personaId = Number(value);
+    if (!Number.isInteger(personaId) || personaId <= 0) {
+        return { error: 'personaId must be a persona id, or null for the default persona.' };
+    }
+    return { personaId };
+};
+
+/**
+ * GET /api/conversations
+ * List conversations, most recently active first. Query: limit (1-100, default 50), offset.
+ */
+router.get('/', async (req, res) => {
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE || !Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ success: false, error: `limit must be 1-${MAX_PAGE_SIZE} and offset a non-negative integer.`, code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const conversations = await conversationService.list({ limit, offset });
+        res.json({ success: true, data: conversations });
+    } catch (error) {
+        log('❌', `List failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/conversations
+ * Start a conversation. Body: { title?, personaId? } (title defaults to the first message).
+ */
+router.post('/', async (req, res) => {
+    const { title, error } = parseTitle(req.body?.title);
+    const persona = parsePersonaId(req.body?.personaId);
+    if (error || persona.error) {
+        return res.status(400).json({ success: false, error: error || persona.error, code: 'INVALID_INPUT' });
+    }
+
+    try {
+        if (persona.personaId && !await personaService.get(persona.personaId)) {
+            return res.status(404).json({ success: false, error: 'Persona not found.', code: 'NOT_FOUND' });
+        }
+        const conversation = await conversationService.create(title, persona.personaId ?? null);
+        log('🆕', `Created conversation #${conversation.id}`);
+        res.status(201).json({ success: true, data: conversation });
+    } catch (err) {
+        log('❌', `Create failed: ${err.message}`);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+/**
+ * GET /api/conversations/search?q=
+ * Conversations whose title or messages contain `q`, with a snippet of the matching message.
+ */
+router.get('/search', async (req, res) => {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!query) {
+        return res.status(400).json({ success: false, error: 'Query parameter "q" is required.', code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const results = await conversationService.search(query);
+        res.json({ success: true, data: { query, results } });
+    } catch (error) {
+        log('❌', `Search failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/conversations/:id
+ * A conversation with all of its messages (assistant messages include `sources` and `search_steps`).
+ */
+router.get('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ success: false, error: 'Invalid conversation id.', code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const conversation = await conversationService.get(id);
+        if (!conversation) {
+            return res.status(404).json({ success: false, error: 'Conversation not found.', code: 'NOT_FOUND' });
+        }
+        res.json({ success: true, data: conversation });
+    } catch (error) {
+        log('❌', `Get #${id} failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PATCH /api/conversations/:id
+ * Rename a conversation or change its persona. Body: { title?, personaId? } (personaId null selects the default).
+ */
+router.patch('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ success: false, error: 'Invalid conversation id.', code: 'INVALID_INPUT' });
+    }
+    const fields = {};
+    if (req.body?.title !== undefined) {
+        const { title, error } = parseTitle(req.body.title, { required: true });
+        if (error) {
+            return res.status(400).json({ success: false, error, code: 'INVALID_INPUT' });
+        }
+        fields.title = title;
+    }
+    const persona = parsePersonaId(req.body?.personaId);
+    if (persona.error) {
+        return res.status(400).json({ success: false, error: persona.error, code: 'INVALID_INPUT' });
+    }
+    if (persona.personaId !== undefined) fields.persona_id = persona.personaId;
+    if (Object.keys(fields).length === 0) {
+        return res.status(400).json({ success: false, error: 'Provide title and/or personaId to update.', code: 'INVALID_INPUT' });
+    }
+
+    try {
+        if (fields.persona_id && !await personaService.get(fields.persona_id)) {
+            return res.status(404).json({ success: false, error: 'Persona not found.', code: 'NOT_FOUND' });
+        }
+        const conversation = await conversationService.update(id, fields);
+        if (!conversation) {
+            return res.status(404).json({ success: false, error: 'Conversation not found.', code: 'NOT_FOUND' });
+        }
+        res.json({ success: true, data: conversation });
+    } catch (err) {
+        log('❌', `Update #${id} failed: ${err.message}`);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+/**
+ * DELETE /api/conversations/:id
+ * Delete a conversation and its messages.
+ */
+router.delete('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ success: false, error: 'Invalid conversation id.', code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const conversation = await conversationService.remove(id);
+        if (!conversation) {
+            return res.status(404).json({ success: false, error: 'Conversation not found.', code: 'NOT_FOUND' });
+        }
+        log('🗑️', `Deleted conversation #${id}`);
+        res.json({ success: true, message: 'Conversation deleted successfully', data: conversation });
+    } catch (error) {
+        log('❌', `Delete #${id} failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -1,14 +1,58 @@
 /**
  * Documents Routes
- * Handle file uploads and RAG ingestion.
+ * Handle file uploads, RAG ingestion and the persistent document library.
  */
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
+const { structuredPatch, formatPatch } = require('diff');
 const ragService = require('../services/ragService');
+const documentService = require('../services/documentService');
+const tableService = require('../services/tableService');
+const ingestionService = require('../services/ingestionService');
+const summaryService = require('../services/summaryService');
+const jobService = require('../services/jobService');
+const { openEventStream } = require('../utils/sse');
 
 const log = (emoji, msg) => console.log(`[DOCS] ${emoji} ${msg}`);
 
+/**
+ * Parses a positive integer id route parameter.
+ * @param {string} value - Raw route parameter.
+ * @returns {number|null} - The id, or null if invalid.
+ */
+const parseId = (value) => {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+// Upper bound for the number of search results
+const MAX_SEARCH_RESULTS = 50;
+
+/**
+ * Parses a comma-separated list query parameter (also accepts repeated parameters).
+ * @param {string|string[]|undefined} value
+ * @returns {string[]}
+ */
+const parseList = (value) => [].concat(value ?? []).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+
+/**
+ * Parses a date query parameter.
+ * @param {string|undefined} value
+ * @returns {Date|null|undefined} - undefined if absent, null if invalid.
+ */
+const parseDate = (value) => {
+    if (value === undefined || value === '') return undefined;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+// Maximum number of files (including ZIP archives) in one batch upload
+const MAX_BATCH_FILES = 50;
+// A version diff gives up beyond this many changed lines or this long, instead of tying up the server
+const DIFF_MAX_EDIT_LENGTH = 20000;
+const DIFF_TIMEOUT_MS = 2000;
+
 // Configure Multer for memory storage
 const upload = multer({
     storage: multer.memoryStorage(),
@@ -17,7 +61,15 @@ const upload = multer({
 
 /**
  * POST /api/documents/upload
- * Upload a PDF or Text file for RAG ingestion.
+ * Upload a document or image for RAG ingestion.
+ * Extraction and indexing run in a background job: responds 202 with the job id right away.
+ * Follow it with GET /api/documents/jobs/:id or the SSE stream at /api/documents/jobs/:id/events.
+ * Pass `?wait=true` to block until the job finishes and get the full result in the response.
+ *
+ * The job result contains the stored `document`, `chunks`, `tables`, email `attachments`
+ * (stored as sub-documents) and, for scanned PDF pages and images, per-page `ocr` confidence.
+ * A file with the same name as an existing document is stored as its next (active) version;
+ * a byte-identical file is not stored again (`duplicate: true` with the existing `document`).
  */
 router.post('/upload', (req, res) => {
     log('📩', `Received POST /upload | Content-Type: ${req.headers['content-type'] || 'unknown'}`);
@@ -41,23 +93,25 @@ router.post('/upload', (req, res) => {
 
             log('📂', `File received: "${req.file.originalname}" | MIME: ${req.file.mimetype} | Size: ${req.file.size} bytes`);
 
-            const result = await ragService.processDocument(req.file);
-
-            if (result.success) {
-                log('✅', `Extraction complete: ${result.text.length} chars from "${req.file.originalname}"`);
-                res.json({
-                    success: true,
-                    message: 'Document text extracted successfully',
-                    text: result.text
-                });
-            } else {
-                log('❌', `Extraction failed: ${result.error}`);
-                res.status(500).json({
-                    success: false,
-                    error: result.error
-                });
+            const file = req.file;
+            const job = jobService.enqueue('ingest', { filename: file.originalname }, (report) => ingestionService.ingest(file, report));
+
+            if (req.query.wait === 'true') {
+                const finished = await jobService.wait(job.id);
+                if (finished.status === 'failed') {
+                    return res.status(500).json({ success: false, error: finished.error, jobId: job.id });
+                }
+                return res.json({ success: true, jobId: job.id, ...finished.result });
             }
 
+            res.status(202).json({
+                success: true,
+                message: 'Upload accepted. Processing in the background.',
+                jobId: job.id,
+                job,
+                statusUrl: `/api/documents/jobs/${job.id}`,
+                eventsUrl: `/api/documents/jobs/${job.id}/events`
+            });
         } catch (error) {
             log('❌', `Unhandled upload error: ${error.message}`);
             console.error('[DOCS] Stack:', error.stack);
@@ -66,4 +120,425 @@ router.post('/upload', (req, res) => {
     });
 });
 
+/**
+ * POST /api/documents/batch
+ * Upload many files (`files` field, up to 50) and/or ZIP archives in one request.
+ * Archives are expanded safely (entry count, size and ratio limits; unsafe paths rejected).
+ * Runs as one background job whose result lists the outcome of every file:
+ *   { files: [{ filename, success, document?, chunks?, error? }], succeeded, failed }
+ * Supports `?wait=true` like /upload.
+ */
+router.post('/batch', (req, res) => {
+    log('📩', `Received POST /batch | Content-Type: ${req.headers['content-type'] || 'unknown'}`);
+    upload.array('files', MAX_BATCH_FILES)(req, res, async (err) => {
+        if (err instanceof multer.MulterError) {
+            log('❌', `Multer error: ${err.code} — ${err.message}`);
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                return res.status(400).json({ success: false, error: 'File too large. Maximum size is 15MB per file.' });
+            }
+            if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+                return res.status(400).json({ success: false, error: `Send up to ${MAX_BATCH_FILES} files in the "files" field.` });
+            }
+            return res.status(400).json({ success: false, error: err.message });
+        } else if (err) {
+            log('❌', `Upload middleware error: ${err.message}`);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        try {
+            const files = req.files || [];
+            if (files.length === 0) {
+                return res.status(400).json({ success: false, error: 'No files uploaded. Use the "files" field.' });
+            }
+
+            log('📂', `Batch received: ${files.length} file(s) | ${files.map(f => f.originalname).join(', ')}`);
+            const job = jobService.enqueue(
+                'batch',
+                { filename: files.map(f => f.originalname).join(', '), fileCount: files.length },
+                (report) => ingestionService.ingestBatch(files, report)
+            );
+
+            if (req.query.wait === 'true') {
+                const finished = await jobService.wait(job.id);
+                if (finished.status === 'failed') {
+                    return res.status(500).json({ success: false, error: finished.error, jobId: job.id });
+                }
+                return res.json({ success: true, jobId: job.id, ...finished.result });
+            }
+
+            res.status(202).json({
+                success: true,
+                message: 'Batch accepted. Processing in the background.',
+                jobId: job.id,
+                job,
+                statusUrl: `/api/documents/jobs/${job.id}`,
+                eventsUrl: `/api/documents/jobs/${job.id}/events`
+            });
+        } catch (error) {
+            log('❌', `Unhandled batch error: ${error.message}`);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+});
+
+/**
+ * GET /api/documents/search
+ * Search stored documents by keyword (BM25), meaning (embeddings) or both (rank fusion).
+ * Query: q (required), mode=hybrid|semantic|keyword (default RETRIEVAL_MODE), k (1-50, default 10),
+ * documentIds=1,2  types=pdf,docx  from=2026-01-01  to=2026-02-01 (upload date, `to` exclusive).
+ */
+router.get('/search', async (req, res) => {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!query) {
+        return res.status(400).json({ success: false, error: 'Query parameter "q" is required.', code: 'INVALID_INPUT' });
+    }
+
+    const mode = req.query.mode;
+    if (mode !== undefined && !ragService.RETRIEVAL_MODES.includes(mode)) {
+        return res.status(400).json({ success: false, error: `mode must be one of: ${ragService.RETRIEVAL_MODES.join(', ')}.`, code: 'INVALID_INPUT' });
+    }
+
+    const k = req.query.k === undefined ? 10 : Number(req.query.k);
+    if (!Number.isInteger(k) || k < 1 || k > MAX_SEARCH_RESULTS) {
+        return res.status(400).json({ success: false, error: `k must be an integer between 1 and ${MAX_SEARCH_RESULTS}.`, code: 'INVALID_INPUT' });
+    }
+
+    const documentIds = parseList(req.query.documentIds).map(parseId);
+    if (documentIds.includes(null)) {
+        return res.status(400).json({ success: false, error: 'documentIds must be a comma-separated list of document ids.', code: 'INVALID_INPUT' });
+    }
+
+    const uploadedAfter = parseDate(req.query.from);
+    const uploadedBefore = parseDate(req.query.to);
+    if (uploadedAfter === null || uploadedBefore === null) {
+        return res.status(400).json({ success: false, error: 'from and to must be valid dates (e.g. 2026-01-31).', code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const filters = { documentIds, fileTypes: parseList(req.query.types), uploadedAfter, uploadedBefore };
+        const search = await ragService.searchDocuments(query, { k, mode, filters });
+        if (!search.success) {
+            return res.status(500).json({ success: false, error: search.error });
+        }
+
+        const results = ragService.toSources(search.chunks).map((source, i) => ({
+            ...source,
+            score: search.chunks[i].score,
+            matchedBy: search.chunks[i].matchedBy
+        }));
+        res.json({ success: true, data: { query, mode: search.mode, results } });
+    } catch (error) {
+        log('❌', `Search failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/documents/jobs/:id
+ * Status of an ingestion or summarization job: queued | running | completed | failed, with the result or error.
+ */
+router.get('/jobs/:id', (req, res) => {
+    const job = jobService.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found.', code: 'NOT_FOUND' });
+    }
+    res.json({ success: true, data: job });
+});
+
+/**
+ * GET /api/documents/jobs/:id/events
+ * SSE stream of an ingestion job's progress, in the same format as /api/chat/stream.
+ * Past events are replayed first, so the stream can be opened at any time.
+ *
+ * Event format: data: { type, message, jobId, timestamp }\n\n
+ * Types: queued, unpacking, file, extracting, extracted, storing, indexing, indexed, warning,
+ * then result (data = job result) or error, and finally done.
+ */
+router.get('/jobs/:id/events', (req, res) => {
+    if (!jobService.get(req.params.id)) {
+        return res.status(404).json({ success: false, error: 'Job not found.', code: 'NOT_FOUND' });
+    }
+
+    const stream = openEventStream(res);
+    let unsubscribe = null;
+    let closed = false;
+    const finish = () => {
+        if (closed) return;
+        closed = true;
+        if (unsubscribe) unsubscribe();
+        stream.close();
+    };
+
+    unsubscribe = jobService.subscribe(req.params.id, (event) => {
+        stream.send(event);
+        if (event.type === 'done') setImmediate(finish);
+    });
+    req.on('close', finish);
+});
+
+/**
+ * GET /api/documents
+ * List stored documents (active versions, without their text).
+ */
+router.get('/', async (req, res) => {
+    try {
+        const documents = await documentService.list();
+        res.json({ success: true, data: documents });
+    } catch (error) {
+        log('❌', `List failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/documents/:id
+ * Fetch one document including its extracted text and its sub-documents (email attachments).
+ */
+router.get('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ success: false, error: 'Invalid document id.', code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const document = await documentService.get(id);
+        if (!document) {
+            return res.status(404).json({ success: false, error: 'Document not found.', code: 'NOT_FOUND' });
+        }
+        const attachments = await documentService.listChildren(id);
+        res.json({ success: true, data: { ...document, attachments } });
+    } catch (error) {
+        log('❌', `Get #${id} failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/documents/:id/tables
+ * List the structured tables (sheets) extracted from a spreadsheet or CSV document.
+ */
+router.get('/:id/tables', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ success: false, error: 'Invalid document id.', code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const tables = await tableService.listTables([id]);
+        res.json({ success: true, data: tables });
+    } catch (error) {
+        log('❌', `Tables for #${id} failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/documents/:id/summarize
+ * Summarize a document version of any length (map-reduce over parts that fit the model context).
+ * Body: { style: 'brief' | 'detailed' | 'key_points' | 'action_items' (default 'brief'), refresh?: boolean }
+ *
+ * Cached summaries (per version and style) are returned right away. Otherwise the summary is
+ * written in a background job: responds 202 with the job id (events: summarizing, combining, writing),
+ * or with `?wait=true` blocks until it is done. Pass `refresh: true` to regenerate a cached summary.
+ */
+router.post('/:id/summarize', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ success: false, error: 'Invalid document id.', code: 'INVALID_INPUT' });
+    }
+    const style = req.body?.style ?? 'brief';
+    if (!summaryService.SUMMARY_STYLES.includes(style)) {
+        return res.status(400).json({ success: false, error: `style must be one of: ${summaryService.SUMMARY_STYLES.join(', ')}.`, code: 'INVALID_INPUT' });
+    }
+    const refresh = req.body?.refresh === true;
+
+    try {
+        if (!refresh) {
+            const cached = await summaryService.getCached(id, style);
+            if (cached) return res.json({ success: true, data: cached });
+        }
+
+        const document = await documentService.get(id);
+        if (!document) {
+            return res.status(404).json({ success: false, error: 'Document not found.', code: 'NOT_FOUND' });
+        }
+
+        const job = jobService.enqueue(
+            'summarize',
+            { filename: document.filename, documentId: id, style },
+            (report) => summaryService.summarize(id, style, { refresh, report })
+        );
+
+        if (req.query.wait === 'true') {
+            const finished = await jobService.wait(job.id);
+            if (finished.status === 'failed') {
+                return res.status(500).json({ success: false, error: finished.error, jobId: job.id });
+            }
+            return res.json({ success: true, jobId: job.id, data: finished.result });
+        }
+
+        res.status(202).json({
+            success: true,
+            message: 'Summarization started.',
+            jobId: job.id,
+            job,
+            statusUrl: `/api/documents/jobs/${job.id}`,
+            eventsUrl: `/api/documents/jobs/${job.id}/events`
+        });
+    } catch (error) {
+        log('❌', `Summarize #${id} failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/documents/:id/versions
+ * List all versions of a document (oldest first). `id` may be the id of any version.
+ */
+router.get('/:id/versions', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ success: false, error: 'Invalid document id.', code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const versions = await documentService.listVersions(id);
+        if (versions.length === 0) {
+            return res.status(404).json({ success: false, error: 'Document not found.', code: 'NOT_FOUND' });
+        }
+        res.json({ success: true, data: versions });
+    } catch (error) {
+        log('❌', `Versions for #${id} failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/documents/:id/diff?from=1&to=2
+ * Unified diff of the extracted text of two versions.
+ * `to` defaults to the active version and `from` to the version before `to`.
+ */
+router.get('/:id/diff', async (req, res) => {
+    const id = parseId(req.params.id);
+    const from = req.query.from === undefined ? undefined : parseId(req.query.from);
+    const to = req.query.to === undefined ? undefined : parseId(req.query.to);
+    if (!id || from === null || to === null) {
+        return res.status(400).json({ success: false, error: 'Invalid document id or version number.', code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const versions = await documentService.listVersions(id);
+        if (versions.length === 0) {
+            return res.status(404).json({ success: false, error: 'Document not found.', code: 'NOT_FOUND' });
+        }
+
+        const toVersion = to ?? versions.find(v => v.is_active)?.version ?? versions[versions.length - 1].version;
+        const fromVersion = from ?? [...versions].reverse().find(v => v.version < toVersion)?.version;
+        if (fromVersion === undefined) {
+            return res.status(400).json({ success: false, error: 'There is no earlier version to compare with; pass "from".', code: 'INVALID_INPUT' });
+        }
+
+        const [older, newer] = await Promise.all([
+            documentService.getVersion(id, fromVersion),
+            documentService.getVersion(id, toVersion)
+        ]);
+        if (!older || !newer) {
+            return res.status(404).json({ success: false, error: `Version ${!older ? fromVersion : toVersion} not found.`, code: 'NOT_FOUND' });
+        }
+
+        // Computed in async mode (callback), so other requests are served meanwhile
+        const structured = await new Promise(resolve => structuredPatch(
+            `${older.filename} (v${older.version})`,
+            `${newer.filename} (v${newer.version})`,
+            older.extracted_text,
+            newer.extracted_text,
+            undefined,
+            undefined,
+            { maxEditLength: DIFF_MAX_EDIT_LENGTH, timeout: DIFF_TIMEOUT_MS, callback: resolve }
+        ));
+        if (!structured) {
+            return res.status(422).json({ success: false, error: 'The versions differ too much to diff.', code: 'DIFF_TOO_LARGE' });
+        }
+
+        const stats = { added: 0, removed: 0 };
+        for (const line of structured.hunks.flatMap(hunk => hunk.lines)) {
+            if (line[0] === '+') stats.added++;
+            if (line[0] === '-') stats.removed++;
+        }
+        const patch = formatPatch(structured);
+
+        res.json({
+            success: true,
+            data: {
+                from: { id: older.id, version: older.version },
+                to: { id: newer.id, version: newer.version },
+                stats,
+                patch
+            }
+        });
+    } catch (error) {
+        log('❌', `Diff for #${id} failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/documents/:id/active-version
+ * Choose which version retrieval and search use. Body: { version }
+ */
+router.put('/:id/active-version', async (req, res) => {
+    const id = parseId(req.params.id);
+    const version = parseId(req.body?.version);
+    if (!id || !version) {
+        return res.status(400).json({ success: false, error: 'Body must contain a positive integer "version".', code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const target = await documentService.getVersion(id, version);
+        if (!target) {
+            return res.status(404).json({ success: false, error: `Version ${version} not found.`, code: 'NOT_FOUND' });
+        }
+
+        await documentService.setActiveVersion(target.root_id ?? target.id, target.id);
+        log('🔀', `Document "${target.filename}": version ${version} (#${target.id}) is now active`);
+        res.json({ success: true, data: await documentService.listVersions(id) });
+    } catch (error) {
+        log('❌', `Activating version ${version} of #${id} failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/documents/:id
+ * Delete a document, its sub-documents and their indexed chunks.
+ */
+router.delete('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ success: false, error: 'Invalid document id.', code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const childIds = await documentService.descendantIds(id);
+        const document = await documentService.remove(id);
+        if (!document) {
+            return res.status(404).json({ success: false, error: 'Document not found.', code: 'NOT_FOUND' });
+        }
+
+        for (const documentId of [id, ...childIds]) {
+            try {
+                await ragService.removeDocument(documentId);
+            } catch (indexError) {
+                log('⚠️', `Could not remove indexed chunks for #${documentId}: ${indexError.message}`);
+            }
+        }
+
+        log('🗑️', `Deleted document #${id} "${document.filename}"`);
+        res.json({ success: true, message: 'Document deleted successfully', data: document });
+    } catch (error) {
+        log('❌', `Delete #${id} failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 module.exports = router;
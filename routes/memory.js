@@ -0,0 +1,209 @@
+/**
+ * Memory Routes
+ * The assistant's long-term memory about the user: list, add, edit, confirm and forget.
+ * Memories extracted from conversations are `pending` until confirmed here; only active
+ * memories are added to chat prompts.
+ */
+const express = require('express');
+const router = express.Router();
+const memoryService = require('../services/memoryService');
+
+const log = (emoji, msg) => console.log(`[MEMORY] ${emoji} ${msg}`);
+
+const MAX_PAGE_SIZE = 100;
+const MAX_CONTENT_LENGTH = 500;
+
+/**
+ * Parses a positive integer id route parameter.
+ * @param {string} value - Raw route parameter.
+ * @returns {number|null} - The id, or null if invalid.
+ */
+const parseId = (value) => {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+/**
+ * Validates a memory body.
+ * @param {object} body - { content?, category?, status? }
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Fields are optional (PATCH), but at least one is required.
+ * @returns {{ fields?: object, error?: string }}
+ */
+const parseMemory = (body = {}, { partial = false } = {}) => {
+    const fields = {};
+
+    if (body.content !== undefined) {
+        if (typeof body.content !== 'string' || !body.content.trim() || body.content.length > MAX_CONTENT_LENGTH) {
+            return { error: `content must be a non-empty string of at most ${MAX_CONTENT_LENGTH} characters.` };
+        }
+        fields.content = body.content.trim();
+    } else if (!partial) {
+        return { error: 'content is required.' };
+    }
+
+    if (body.category !== undefined) {
+        if (!memoryService.CATEGORIES.includes(body.category)) {
+            return { error: `category must be one of: ${memoryService.CATEGORIES.join(', ')}.` };
+        }
+        fields.category = body.category;
+    }
+
+    if (body.status !== undefined) {
+        if (!memoryService.STATUSES.includes(body.status)) {
+            return { error: `status must be one of: ${memoryService.STATUSES.join(', ')}.` };
+        }
+        fields.status = body.status;
+    }
+
+    if (partial && Object.keys(fields).length === 0) {
+        return { error: 'Provide content, category and/or status to update.' };
+    }
+    return { fields };
+};
+
+/**
+ * GET /api/memory
+ * List memories, most recently updated first.
+ * Query: status (active | pending; default all), q (search content), limit (1-100, default 50), offset.
+ */
+router.get('/', async (req, res) => {
+    const { status } = req.query;
+    if (status !== undefined && !memoryService.STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `status must be one of: ${memoryService.STATUSES.join(', ')}.`, code: 'INVALID_INPUT' });
+    }
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE || !Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ success: false, error: `limit must be 1-${MAX_PAGE_SIZE} and offset a non-negative integer.`, code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const memories = await memoryService.list({ status: status || null, query, limit, offset });
+        res.json({ success: true, data: memories });
+    } catch (error) {
+        log('❌', `List failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/memory
+ * Add a memory (active). Body: { content, category? }
+ * Content matching an existing memory (case-insensitive) updates and activates that memory.
+ */
+router.post('/', async (req, res) => {
+    const { fields, error } = parseMemory(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, error, code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const memory = await memoryService.create({ ...fields, status: 'active', source: 'api' });
+        log('🧠', `Saved memory #${memory.id}`);
+        res.status(201).json({ success: true, data: memory });
+    } catch (err) {
+        log('❌', `Create failed: ${err.message}`);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+/**
+ * GET /api/memory/:id
+ */
+router.get('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ success: false, error: 'Invalid memory id.', code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const memory = await memoryService.get(id);
+        if (!memory) {
+            return res.status(404).json({ success: false, error: 'Memory not found.', code: 'NOT_FOUND' });
+        }
+        res.json({ success: true, data: memory });
+    } catch (error) {
+        log('❌', `Get #${id} failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PATCH /api/memory/:id
+ * Edit a memory. Body: { content?, category?, status? }
+ */
+router.patch('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ success: false, error: 'Invalid memory id.', code: 'INVALID_INPUT' });
+    }
+    const { fields, error } = parseMemory(req.body, { partial: true });
+    if (error) {
+        return res.status(400).json({ success: false, error, code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const memory = await memoryService.update(id, fields);
+        if (!memory) {
+            return res.status(404).json({ success: false, error: 'Memory not found.', code: 'NOT_FOUND' });
+        }
+        res.json({ success: true, data: memory });
+    } catch (err) {
+        // Unique violation: another memory already has this content
+        if (err.code === '23505') {
+            return res.status(409).json({ success: false, error: 'Another memory already has this content.', code: 'DUPLICATE' });
+        }
+        log('❌', `Update #${id} failed: ${err.message}`);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+/**
+ * POST /api/memory/:id/confirm
+ * Confirm a pending (extracted) memory so it is used in chats.
+ */
+router.post('/:id/confirm', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ success: false, error: 'Invalid memory id.', code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const memory = await memoryService.update(id, { status: 'active' });
+        if (!memory) {
+            return res.status(404).json({ success: false, error: 'Memory not found.', code: 'NOT_FOUND' });
+        }
+        log('✅', `Confirmed memory #${id}`);
+        res.json({ success: true, data: memory });
+    } catch (error) {
+        log('❌', `Confirm #${id} failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/memory/:id
+ * Forget a memory (also used to reject a pending one).
+ */
+router.delete('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ success: false, error: 'Invalid memory id.', code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const memory = await memoryService.remove(id);
+        if (!memory) {
+            return res.status(404).json({ success: false, error: 'Memory not found.', code: 'NOT_FOUND' });
+        }
+        log('🗑️', `Forgot memory #${id}`);
+        res.json({ success: true, message: 'Memory deleted successfully', data: memory });
+    } catch (error) {
+        log('❌', `Delete #${id} failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,170 @@
+/**
+ * Notes Routes
+ * Personal notes: create, list / search, read, edit and delete.
+ * The chat agent manages the same notes through its add_note and search_notes tools.
+ */
+const express = require('express');
+const router = express.Router();
+const noteService = require('../services/noteService');
+
+const log = (emoji, msg) => console.log(`[NOTES] ${emoji} ${msg}`);
+
+const MAX_PAGE_SIZE = 100;
+const MAX_TITLE_LENGTH = 200;
+const MAX_CONTENT_LENGTH = 100000;
+
+/**
+ * Parses a positive integer id route parameter.
+ * @param {string} value - Raw route parameter.
+ * @returns {number|null} - The id, or null if invalid.
+ */
+const parseId = (value) => {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+/**
+ * Validates a note body.
+ * @param {object} body - { title?, content? }
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Fields are optional (PATCH), but at least one is required.
+ * @returns {{ fields?: object, error?: string }}
+ */
+const parseNote = (body = {}, { partial = false } = {}) => {
+    const fields = {};
+
+    if (body.title !== undefined && body.title !== null) {
+        if (typeof body.title !== 'string' || body.title.length > MAX_TITLE_LENGTH) {
+            return { error: `title must be a string of at most ${MAX_TITLE_LENGTH} characters.` };
+        }
+        fields.title = body.title.trim() || null;
+    } else if (body.title === null) {
+        fields.title = null;
+    }
+
+    if (body.content !== undefined) {
+        if (typeof body.content !== 'string' || !body.content.trim() || body.content.length > MAX_CONTENT_LENGTH) {
+            return { error: `content must be a non-empty string of at most ${MAX_CONTENT_LENGTH} characters.` };
+        }
+        fields.content = body.content.trim();
+    } else if (!partial) {
+        return { error: 'content is required.' };
+    }
+
+    if (partial && Object.keys(fields).length === 0) {
+        return { error: 'Provide title and/or content to update.' };
+    }
+    return { fields };
+};
+
+/**
+ * GET /api/notes
+ * List notes, most recently updated first. Query: q (search title and content), limit (1-100, default 50), offset.
+ */
+router.get('/', async (req, res) => {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE || !Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ success: false, error: `limit must be 1-${MAX_PAGE_SIZE} and offset a non-negative integer.`, code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const notes = await noteService.list({ query, limit, offset });
+        res.json({ success: true, data: notes });
+    } catch (error) {
+        log('❌', `List failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/notes
+ * Create a note. Body: { title?, content }
+ */
+router.post('/', async (req, res) => {
+    const { fields, error } = parseNote(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, error, code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const note = await noteService.create(fields);
+        log('📝', `Created note #${note.id}`);
+        res.status(201).json({ success: true, data: note });
+    } catch (err) {
+        log('❌', `Create failed: ${err.message}`);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+/**
+ * GET /api/notes/:id
+ */
+router.get('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ success: false, error: 'Invalid note id.', code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const note = await noteService.get(id);
+        if (!note) {
+            return res.status(404).json({ success: false, error: 'Note not found.', code: 'NOT_FOUND' });
+        }
+        res.json({ success: true, data: note });
+    } catch (error) {
+        log('❌', `Get #${id} failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PATCH /api/notes/:id
+ * Edit a note. Body: { title?, content? }
+ */
+router.patch('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ success: false, error: 'Invalid note id.', code: 'INVALID_INPUT' });
+    }
+    const { fields, error } = parseNote(req.body, { partial: true });
+    if (error) {
+        return res.status(400).json({ success: false, error, code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const note = await noteService.update(id, fields);
+        if (!note) {
+            return res.status(404).json({ success: false, error: 'Note not found.', code: 'NOT_FOUND' });
+        }
+        res.json({ success: true, data: note });
+    } catch (err) {
+        log('❌', `Update #${id} failed: ${err.message}`);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+/**
+ * DELETE /api/notes/:id
+ */
+router.delete('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ success: false, error: 'Invalid note id.', code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const note = await noteService.remove(id);
+        if (!note) {
+            return res.status(404).json({ success: false, error: 'Note not found.', code: 'NOT_FOUND' });
+        }
+        log('🗑️', `Deleted note #${id}`);
+        res.json({ success: true, message: 'Note deleted successfully', data: note });
+    } catch (error) {
+        log('❌', `Delete #${id} failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,225 @@
+/**
+ * Persona Routes
+ * Named system-prompt presets for the chat agent: instructions, temperature, allowed tools and
+ * response length. Select one with `personaId` on /api/chat, or set it on a conversation.
+ */
+const express = require('express');
+const router = express.Router();
+const personaService = require('../services/personaService');
+const toolRegistry = require('../services/tools');
+
+const log = (emoji, msg) => console.log(`[PERSONAS] ${emoji} ${msg}`);
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_INSTRUCTIONS_LENGTH = 20000;
+
+/**
+ * Parses a positive integer id route parameter.
+ * @param {string} value - Raw route parameter.
+ * @returns {number|null} - The id, or null if invalid.
+ */
+const parseId = (value) => {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+/**
+ * Validates a persona body.
+ * @param {object} body - { name?, description?, instructions?, temperature?, allowedTools?, responseLength? }
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Fields are optional (PATCH), but at least one is required.
+ * @returns {{ fields?: object, error?: string }} - `fields` uses column names.
+ */
+const parsePersona = (body = {}, { partial = false } = {}) => {
+    const fields = {};
+
+    if (body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > MAX_NAME_LENGTH) {
+            return { error: `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters.` };
+        }
+        if (body.name.trim().toLowerCase() === 'default') {
+            return { error: 'The name "default" is reserved for the built-in persona.' };
+        }
+        fields.name = body.name.trim();
+    } else if (!partial) {
+        return { error: 'name is required.' };
+    }
+
+    if (body.description !== undefined) {
+        if (body.description !== null && (typeof body.description !== 'string' || body.description.length > MAX_DESCRIPTION_LENGTH)) {
+            return { error: `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters, or null.` };
+        }
+        fields.description = body.description?.trim() || null;
+    }
+
+    if (body.instructions !== undefined) {
+        if (typeof body.instructions !== 'string' || !body.instructions.trim() || body.instructions.length > MAX_INSTRUCTIONS_LENGTH) {
+            return { error: `instructions must be a non-empty string of at most ${MAX_INSTRUCTIONS_LENGTH} characters.` };
+        }
+        fields.instructions = body.instructions.trim();
+    } else if (!partial) {
+        return { error: 'instructions is required.' };
+    }
+
+    if (body.temperature !== undefined) {
+        if (body.temperature !== null && (typeof body.temperature !== 'number' || !(body.temperature >= 0 && body.temperature <= 2))) {
+            return { error: 'temperature must be a number from 0 to 2, or null.' };
+        }
+        fields.temperature = body.temperature;
+    }
+
+    if (body.allowedTools !== undefined) {
+        if (body.allowedTools !== null) {
+            if (!Array.isArray(body.allowedTools) || body.allowedTools.some(name => typeof name !== 'string')) {
+                return { error: 'allowedTools must be a list of tool names, or null for all tools.' };
+            }
+            const unknown = body.allowedTools.find(name => !toolRegistry.get(name));
+            if (unknown !== undefined) {
+                return { error: `Unknown tool "${unknown}" in allowedTools.` };
+            }
+        }
+        fields.allowed_tools = body.allowedTools && [...new Set(body.allowedTools)];
+    }
+
+    if (body.responseLength !== undefined) {
+        if (body.responseLength !== null && !personaService.RESPONSE_LENGTHS.includes(body.responseLength)) {
+            return { error: `responseLength must be one of: ${personaService.RESPONSE_LENGTHS.join(', ')}, or null.` };
+        }
+        fields.response_length = body.responseLength;
+    }
+
+    if (partial && Object.keys(fields).length === 0) {
+        return { error: 'Provide at least one of name, description, instructions, temperature, allowedTools or responseLength.' };
+    }
+    return { fields };
+};
+
+/**
+ * GET /api/personas
+ * List personas by name, after the built-in default (id null).
+ */
+router.get('/', async (req, res) => {
+    try {
+        const personas = await personaService.list();
+        res.json({ success: true, data: [personaService.defaultPersona(), ...personas] });
+    } catch (error) {
+        log('❌', `List failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/personas/default
+ * The built-in persona used when none is selected (read-only).
+ */
+router.get('/default', (req, res) => {
+    res.json({ success: true, data: personaService.defaultPersona() });
+});
+
+/**
+ * POST /api/personas
+ * Create a persona. Body: { name, instructions, description?, temperature?, allowedTools?, responseLength? }
+ */
+router.post('/', async (req, res) => {
+    const { fields, error } = parsePersona(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, error, code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const persona = await personaService.create({
+            name: fields.name,
+            description: fields.description,
+            instructions: fields.instructions,
+            temperature: fields.temperature,
+            allowedTools: fields.allowed_tools,
+            responseLength: fields.response_length
+        });
+        log('🎭', `Created persona #${persona.id} "${persona.name}"`);
+        res.status(201).json({ success: true, data: persona });
+    } catch (err) {
+        // Unique violation: another persona already has this name
+        if (err.code === '23505') {
+            return res.status(409).json({ success: false, error: 'A persona with this name already exists.', code: 'DUPLICATE' });
+        }
+        log('❌', `Create failed: ${err.message}`);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+/**
+ * GET /api/personas/:id
+ */
+router.get('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ success: false, error: 'Invalid persona id.', code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const persona = await personaService.get(id);
+        if (!persona) {
+            return res.status(404).json({ success: false, error: 'Persona not found.', code: 'NOT_FOUND' });
+        }
+        res.json({ success: true, data: persona });
+    } catch (error) {
+        log('❌', `Get #${id} failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PATCH /api/personas/:id
+ * Edit a persona. Body: any of { name, description, instructions, temperature, allowedTools, responseLength }
+ * (null resets description, temperature, allowedTools and responseLength).
+ */
+router.patch('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ success: false, error: 'Invalid persona id.', code: 'INVALID_INPUT' });
+    }
+    const { fields, error } = parsePersona(req.body, { partial: true });
+    if (error) {
+        return res.status(400).json({ success: false, error, code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const persona = await personaService.update(id, fields);
+        if (!persona) {
+            return res.status(404).json({ success: false, error: 'Persona not found.', code: 'NOT_FOUND' });
+        }
+        res.json({ success: true, data: persona });
+    } catch (err) {
+        if (err.code === '23505') {
+            return res.status(409).json({ success: false, error: 'A persona with this name already exists.', code: 'DUPLICATE' });
+        }
+        log('❌', `Update #${id} failed: ${err.message}`);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+/**
+ * DELETE /api/personas/:id
+ * Delete a persona. Conversations that used it go back to the default.
+ */
+router.delete('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ success: false, error: 'Invalid persona id.', code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const persona = await personaService.remove(id);
+        if (!persona) {
+            return res.status(404).json({ success: false, error: 'Persona not found.', code: 'NOT_FOUND' });
+        }
+        log('🗑️', `Deleted persona #${id}`);
+        res.json({ success: true, message: 'Persona deleted successfully', data: persona });
+    } catch (error) {
+        log('❌', `Delete #${id} failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
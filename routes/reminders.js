@@ -0,0 +1,221 @@
+/**
+ * Reminders Routes
+ * One-off reminders. Clients poll GET /api/reminders/due and dismiss what they have shown.
+ * The chat agent creates reminders through its add_reminder tool.
+ */
+const express = require('express');
+const router = express.Router();
+const reminderService = require('../services/reminderService');
+const { parseDateTime } = require('../utils/dates');
+
+const log = (emoji, msg) => console.log(`[REMINDERS] ${emoji} ${msg}`);
+
+const MAX_PAGE_SIZE = 100;
+const MAX_MESSAGE_LENGTH = 1000;
+
+/**
+ * Parses a positive integer id route parameter.
+ * @param {string} value - Raw route parameter.
+ * @returns {number|null} - The id, or null if invalid.
+ */
+const parseId = (value) => {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+/**
+ * Validates a reminder body.
+ * @param {object} body - { message?, remindAt?, dismissed? }
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Fields are optional (PATCH), but at least one is required.
+ * @returns {{ fields?: object, error?: string }} - `fields` uses column names (and `dismissed`).
+ */
+const parseReminder = (body = {}, { partial = false } = {}) => {
+    const fields = {};
+
+    if (body.message !== undefined) {
+        if (typeof body.message !== 'string' || !body.message.trim() || body.message.length > MAX_MESSAGE_LENGTH) {
+            return { error: `message must be a non-empty string of at most ${MAX_MESSAGE_LENGTH} characters.` };
+        }
+        fields.message = body.message.trim();
+    } else if (!partial) {
+        return { error: 'message is required.' };
+    }
+
+    if (body.remindAt !== undefined) {
+        const remindAt = parseDateTime(body.remindAt);
+        if (!remindAt) {
+            return { error: 'remindAt must be an ISO 8601 date-time, e.g. 2025-03-14T09:30 (server time) or 2025-03-14T09:30:00Z.' };
+        }
+        fields.remind_at = remindAt;
+    } else if (!partial) {
+        return { error: 'remindAt is required.' };
+    }
+
+    if (partial && body.dismissed !== undefined) {
+        if (typeof body.dismissed !== 'boolean') return { error: 'dismissed must be a boolean.' };
+        fields.dismissed = body.dismissed;
+    }
+
+    if (partial && Object.keys(fields).length === 0) {
+        return { error: 'Provide at least one of message, remindAt or dismissed.' };
+    }
+    return { fields };
+};
+
+/**
+ * GET /api/reminders
+ * List reminders in time order. Query: status (pending | due | dismissed | all, default pending),
+ * from, to (ISO date-times), limit (1-100, default 100), offset.
+ */
+router.get('/', async (req, res) => {
+    const { status = 'pending' } = req.query;
+    if (!reminderService.STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `status must be one of: ${reminderService.STATUSES.join(', ')}.`, code: 'INVALID_INPUT' });
+    }
+    const from = req.query.from === undefined ? null : parseDateTime(req.query.from);
+    const to = req.query.to === undefined ? null : parseDateTime(req.query.to);
+    if ((req.query.from !== undefined && !from) || (req.query.to !== undefined && !to)) {
+        return res.status(400).json({ success: false, error: 'from and to must be ISO 8601 date-times.', code: 'INVALID_INPUT' });
+    }
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE || !Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ success: false, error: `limit must be 1-${MAX_PAGE_SIZE} and offset a non-negative integer.`, code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const reminders = await reminderService.list({ status, from, to, limit, offset });
+        res.json({ success: true, data: reminders });
+    } catch (error) {
+        log('❌', `List failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/reminders/due
+ * Reminders whose time has come and that have not been dismissed.
+ */
+router.get('/due', async (req, res) => {
+    try {
+        const reminders = await reminderService.list({ status: 'due', limit: MAX_PAGE_SIZE });
+        res.json({ success: true, data: reminders });
+    } catch (error) {
+        log('❌', `Due list failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/reminders
+ * Create a reminder. Body: { message, remindAt } (a date without a time means 09:00 server time).
+ */
+router.post('/', async (req, res) => {
+    const { fields, error } = parseReminder(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, error, code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const reminder = await reminderService.create({ message: fields.message, remindAt: fields.remind_at });
+        log('⏰', `Created reminder #${reminder.id} for ${fields.remind_at.toISOString()}`);
+        res.status(201).json({ success: true, data: reminder });
+    } catch (err) {
+        log('❌', `Create failed: ${err.message}`);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+/**
+ * GET /api/reminders/:id
+ */
+router.get('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ success: false, error: 'Invalid reminder id.', code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const reminder = await reminderService.get(id);
+        if (!reminder) {
+            return res.status(404).json({ success: false, error: 'Reminder not found.', code: 'NOT_FOUND' });
+        }
+        res.json({ success: true, data: reminder });
+    } catch (error) {
+        log('❌', `Get #${id} failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PATCH /api/reminders/:id
+ * Edit, snooze (new remindAt) or dismiss a reminder. Body: { message?, remindAt?, dismissed? }
+ */
+router.patch('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ success: false, error: 'Invalid reminder id.', code: 'INVALID_INPUT' });
+    }
+    const { fields, error } = parseReminder(req.body, { partial: true });
+    if (error) {
+        return res.status(400).json({ success: false, error, code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const reminder = await reminderService.update(id, fields);
+        if (!reminder) {
+            return res.status(404).json({ success: false, error: 'Reminder not found.', code: 'NOT_FOUND' });
+        }
+        res.json({ success: true, data: reminder });
+    } catch (err) {
+        log('❌', `Update #${id} failed: ${err.message}`);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+/**
+ * POST /api/reminders/:id/dismiss
+ * Dismiss a reminder once it has been shown.
+ */
+router.post('/:id/dismiss', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ success: false, error: 'Invalid reminder id.', code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const reminder = await reminderService.update(id, { dismissed: true });
+        if (!reminder) {
+            return res.status(404).json({ success: false, error: 'Reminder not found.', code: 'NOT_FOUND' });
+        }
+        res.json({ success: true, data: reminder });
+    } catch (error) {
+        log('❌', `Dismiss #${id} failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/reminders/:id
+ */
+router.delete('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ success: false, error: 'Invalid reminder id.', code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const reminder = await reminderService.remove(id);
+        if (!reminder) {
+            return res.status(404).json({ success: false, error: 'Reminder not found.', code: 'NOT_FOUND' });
+        }
+        log('🗑️', `Deleted reminder #${id}`);
+        res.json({ success: true, message: 'Reminder deleted successfully', data: reminder });
+    } catch (error) {
+        log('❌', `Delete #${id} failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
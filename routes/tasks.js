@@ -0,0 +1,206 @@
+/**
+ * Tasks Routes
+ * To-do tasks with a due date, priority and done flag.
+ * The chat agent manages the same tasks through its add_task, list_tasks and update_task tools.
+ */
+const express = require('express');
+const router = express.Router();
+const taskService = require('../services/taskService');
+const { parseDate } = require('../utils/dates');
+
+const log = (emoji, msg) => console.log(`[TASKS] ${emoji} ${msg}`);
+
+const MAX_PAGE_SIZE = 100;
+const MAX_TITLE_LENGTH = 500;
+const MAX_NOTES_LENGTH = 10000;
+
+/**
+ * Parses a positive integer id route parameter.
+ * @param {string} value - Raw route parameter.
+ * @returns {number|null} - The id, or null if invalid.
+ */
+const parseId = (value) => {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+/**
+ * Validates a task body.
+ * @param {object} body - { title?, notes?, dueDate?, priority?, done? }
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Fields are optional (PATCH), but at least one is required.
+ * @returns {{ fields?: object, error?: string }} - `fields` uses column names.
+ */
+const parseTask = (body = {}, { partial = false } = {}) => {
+    const fields = {};
+
+    if (body.title !== undefined) {
+        if (typeof body.title !== 'string' || !body.title.trim() || body.title.length > MAX_TITLE_LENGTH) {
+            return { error: `title must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters.` };
+        }
+        fields.title = body.title.trim();
+    } else if (!partial) {
+        return { error: 'title is required.' };
+    }
+
+    if (body.notes !== undefined) {
+        if (body.notes !== null && (typeof body.notes !== 'string' || body.notes.length > MAX_NOTES_LENGTH)) {
+            return { error: `notes must be a string of at most ${MAX_NOTES_LENGTH} characters, or null.` };
+        }
+        fields.notes = body.notes?.trim() || null;
+    }
+
+    if (body.dueDate !== undefined) {
+        const dueDate = body.dueDate === null ? null : parseDate(body.dueDate);
+        if (body.dueDate !== null && !dueDate) {
+            return { error: 'dueDate must be a date (YYYY-MM-DD) or null.' };
+        }
+        fields.due_date = dueDate;
+    }
+
+    if (body.priority !== undefined) {
+        if (!taskService.PRIORITIES.includes(body.priority)) {
+            return { error: `priority must be one of: ${taskService.PRIORITIES.join(', ')}.` };
+        }
+        fields.priority = body.priority;
+    }
+
+    if (body.done !== undefined) {
+        if (typeof body.done !== 'boolean') return { error: 'done must be a boolean.' };
+        if (!partial && body.done) return { error: 'New tasks cannot be created as done.' };
+        fields.done = body.done;
+    }
+
+    if (partial && Object.keys(fields).length === 0) {
+        return { error: 'Provide at least one of title, notes, dueDate, priority or done.' };
+    }
+    return { fields };
+};
+
+/**
+ * GET /api/tasks
+ * List tasks: open first, by due date (undated last) and priority.
+ * Query: status (open | done | all, default open), dueFrom, dueTo (YYYY-MM-DD), overdue=true,
+ * q (search title and notes), limit (1-100, default 100), offset.
+ */
+router.get('/', async (req, res) => {
+    const { status = 'open', dueFrom, dueTo } = req.query;
+    if (!taskService.STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `status must be one of: ${taskService.STATUSES.join(', ')}.`, code: 'INVALID_INPUT' });
+    }
+    if ((dueFrom !== undefined && !parseDate(dueFrom)) || (dueTo !== undefined && !parseDate(dueTo))) {
+        return res.status(400).json({ success: false, error: 'dueFrom and dueTo must be dates (YYYY-MM-DD).', code: 'INVALID_INPUT' });
+    }
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE || !Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ success: false, error: `limit must be 1-${MAX_PAGE_SIZE} and offset a non-negative integer.`, code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const tasks = await taskService.list({
+            status,
+            dueFrom: dueFrom || null,
+            dueTo: dueTo || null,
+            overdue: req.query.overdue === 'true',
+            query: typeof req.query.q === 'string' ? req.query.q.trim() : '',
+            limit,
+            offset
+        });
+        res.json({ success: true, data: tasks });
+    } catch (error) {
+        log('❌', `List failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/tasks
+ * Create a task. Body: { title, notes?, dueDate? (YYYY-MM-DD), priority? (low | medium | high, default medium) }
+ */
+router.post('/', async (req, res) => {
+    const { fields, error } = parseTask(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, error, code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const task = await taskService.create({ title: fields.title, notes: fields.notes, dueDate: fields.due_date, priority: fields.priority });
+        log('✅', `Created task #${task.id}`);
+        res.status(201).json({ success: true, data: task });
+    } catch (err) {
+        log('❌', `Create failed: ${err.message}`);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+/**
+ * GET /api/tasks/:id
+ */
+router.get('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ success: false, error: 'Invalid task id.', code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const task = await taskService.get(id);
+        if (!task) {
+            return res.status(404).json({ success: false, error: 'Task not found.', code: 'NOT_FOUND' });
+        }
+        res.json({ success: true, data: task });
+    } catch (error) {
+        log('❌', `Get #${id} failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PATCH /api/tasks/:id
+ * Edit a task or mark it done. Body: { title?, notes?, dueDate?, priority?, done? } (null clears notes / dueDate).
+ */
+router.patch('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ success: false, error: 'Invalid task id.', code: 'INVALID_INPUT' });
+    }
+    const { fields, error } = parseTask(req.body, { partial: true });
+    if (error) {
+        return res.status(400).json({ success: false, error, code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const task = await taskService.update(id, fields);
+        if (!task) {
+            return res.status(404).json({ success: false, error: 'Task not found.', code: 'NOT_FOUND' });
+        }
+        res.json({ success: true, data: task });
+    } catch (err) {
+        log('❌', `Update #${id} failed: ${err.message}`);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+/**
+ * DELETE /api/tasks/:id
+ */
+router.delete('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ success: false, error: 'Invalid task id.', code: 'INVALID_INPUT' });
+    }
+
+    try {
+        const task = await taskService.remove(id);
+        if (!task) {
+            return res.status(404).json({ success: false, error: 'Task not found.', code: 'NOT_FOUND' });
+        }
+        log('🗑️', `Deleted task #${id}`);
+        res.json({ success: true, message: 'Task deleted successfully', data: task });
+    } catch (error) {
+        log('❌', `Delete #${id} failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -21,7 +21,7 @@ async function test() {
 
         form.append('file', fs.createReadStream(filePath));
 
-        const response = await axios.post('http://localhost:3000/api/documents/upload', form, {
+        const response = await axios.post('http://localhost:3000/api/documents/upload?wait=true', form, {
             headers: {
                 ...form.getHeaders()
             }
@@ -0,0 +1,105 @@
+/**
+ * Checks the zip-bomb and path guards of services/extractors/archiveExtractor.js against small
+ * in-memory archives. Run with `node scripts/test_archive_guards.js`; exits with 1 on failure.
+ * The size checks read JSZip's private `_data` sizes, so run this after upgrading JSZip.
+ */
+const assert = require('assert');
+const JSZip = require('jszip');
+const archiveExtractor = require('../services/extractors/archiveExtractor');
+
+const MB = 1024 * 1024;
+
+async function zip(files, options = {}) {
+    const archive = new JSZip();
+    for (const [name, content, fileOptions] of files) archive.file(name, content, fileOptions);
+    return archive.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', ...options });
+}
+
+const skippedFor = (result, filename) => result.skipped.find(entry => entry.filename === filename)?.error ?? '(not skipped)';
+
+const tests = {
+    'keeps ordinary files': async () => {
+        const result = await archiveExtractor.expand(await zip([['notes/a.txt', 'hello'], ['b.md', '# Title']]));
+        assert.deepStrictEqual(result.files.map(file => file.originalname).sort(), ['b.md', 'notes/a.txt']);
+        assert.strictEqual(result.files[0].buffer.length, result.files[0].size);
+        assert.deepStrictEqual(result.skipped, []);
+    },
+
+    'JSZip still exposes the declared sizes the guards read': async () => {
+        const loaded = await JSZip.loadAsync(await zip([['a.txt', 'a'.repeat(1000)]]));
+        const data = loaded.file('a.txt')._data;
+        assert.strictEqual(data?.uncompressedSize, 1000, 'entry._data.uncompressedSize is missing');
+        assert.ok(data.compressedSize > 0 && data.compressedSize < 1000, 'entry._data.compressedSize is missing');
+    },
+
+    'rejects a high compression ratio': async () => {
+        const result = await archiveExtractor.expand(await zip([['bomb.txt', 'a'.repeat(5 * MB)], ['ok.txt', 'fine']]));
+        assert.match(skippedFor(result, 'bomb.txt'), /compression ratio/);
+        assert.deepStrictEqual(result.files.map(file => file.originalname), ['ok.txt']);
+    },
+
+    'rejects an entry over the per-file limit': async () => {
+        const big = Buffer.alloc(16 * MB);
+        for (let i = 0; i < big.length; i += 4) big.writeUInt32LE((i * 2654435761) >>> 0, i); // not compressible
+        const result = await archiveExtractor.expand(await zip([['big.bin', big]], { compression: 'STORE' }));
+        assert.match(skippedFor(result, 'big.bin'), /larger than 15MB/);
+        assert.strictEqual(result.files.length, 0);
+    },
+
+    'rejects paths that escape the archive': async () => {
+        const result = await archiveExtractor.expand(await zip([['../evil.txt', 'x'], ['a/../../evil2.txt', 'x'], ['/etc/passwd', 'x'], ['ok.txt', 'x']]));
+        assert.deepStrictEqual(result.files.map(file => file.originalname), ['ok.txt']);
+        for (const entry of result.skipped) assert.strictEqual(entry.error, 'Unsafe path in archive.');
+        assert.strictEqual(result.skipped.length, 3);
+        assert.strictEqual(archiveExtractor.safeName('C:/Windows/x.txt'), null);
+        assert.strictEqual(archiveExtractor.safeName('a/./b.txt'), 'a/b.txt');
+    },
+
+    'rejects symbolic links': async () => {
+        const buffer = await zip([['link', '/etc/passwd', { unixPermissions: 0o120777 }]], { platform: 'UNIX' });
+        const result = await archiveExtractor.expand(buffer);
+        assert.match(skippedFor(result, 'link'), /Symbolic links/);
+    },
+
+    'does not expand nested archives': async () => {
+        const inner = await zip([['inner.txt', 'x']]);
+        const result = await archiveExtractor.expand(await zip([['inner.zip', inner], ['more.tar', 'x']]));
+        assert.match(skippedFor(result, 'inner.zip'), /Nested archives/);
+        assert.match(skippedFor(result, 'more.tar'), /Nested archives/);
+        assert.strictEqual(result.files.length, 0);
+    },
+
+    'rejects too many entries': async () => {
+        const files = Array.from({ length: 501 }, (_, i) => [`f${i}.txt`, 'x']);
+        await assert.rejects(archiveExtractor.expand(await zip(files, { compression: 'STORE' })), /501 files; the limit is 500/);
+    },
+
+    'rejects an invalid archive': async () => {
+        await assert.rejects(archiveExtractor.expand(Buffer.from('not a zip')), /Invalid ZIP archive/);
+    },
+
+    'applies the limits to document packages': async () => {
+        const pkg = await archiveExtractor.openPackage(await zip([['content.xml', '<x/>'], ['bomb.xml', 'a'.repeat(5 * MB)]]), 'OpenDocument');
+        assert.strictEqual(await pkg.read('content.xml'), '<x/>');
+        assert.strictEqual(await pkg.read('missing.xml'), null);
+        await assert.rejects(pkg.read('bomb.xml'), /compression ratio/);
+    }
+};
+
+async function main() {
+    console.log('🧪 Testing archive guards...');
+    let failed = 0;
+    for (const [name, test] of Object.entries(tests)) {
+        try {
+            await test();
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${name}: ${error.message}`);
+        }
+    }
+    console.log(failed ? `\n${failed} of ${Object.keys(tests).length} checks failed` : '\nAll checks passed');
+    process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,118 @@
+/**
+ * Checks the pure agent tools and the tool-argument validator: calculator precedence and error
+ * cases, date_time parsing and arithmetic, and schema rejection of bad tool calls.
+ * Run with `node scripts/test_tools.js`; exits with 1 on failure. Needs no API keys or database.
+ */
+const assert = require('assert');
+const calculator = require('../services/tools/calculator');
+const dateTime = require('../services/tools/dateTime');
+const { validate } = require('../services/tools/schema');
+const toolRegistry = require('../services/tools');
+
+// Calculator result, or the error content when the expression is rejected
+async function calculate(expression) {
+    const result = await calculator.handler({ expression });
+    return result.success ? Number(result.content.slice(result.content.lastIndexOf('= ') + 2)) : result.content;
+}
+
+async function dates(args) {
+    const result = await dateTime.handler(args);
+    return result.success ? JSON.parse(result.content) : result.content;
+}
+
+// Runs a tool call through the registry as the agent loop does
+function callTool(name, args, context = {}) {
+    return toolRegistry.execute(
+        { id: 'call_1', function: { name, arguments: typeof args === 'string' ? args : JSON.stringify(args) } },
+        { mode: 'chat', tables: [], emit: () => {}, steps: [], sources: [], iteration: 1, searchCount: 0, ...context }
+    );
+}
+
+const tests = {
+    'calculator: precedence and associativity': async () => {
+        assert.strictEqual(await calculate('2^3^2'), 512); // right-associative
+        assert.strictEqual(await calculate('2**3**2'), 512);
+        assert.strictEqual(await calculate('-2^2'), -4); // power binds tighter than unary minus
+        assert.strictEqual(await calculate('(-2)^2'), 4);
+        assert.strictEqual(await calculate('1 + 2 * 3'), 7);
+        assert.strictEqual(await calculate('(1 + 2) * 3'), 9);
+        assert.strictEqual(await calculate('10 - 4 - 3'), 3);
+        assert.strictEqual(await calculate('2 * 3!'), 12);
+        assert.strictEqual(await calculate('0.1 + 0.2'), 0.3);
+        assert.strictEqual(await calculate('log(8, 2) + sqrt(16) + round(pi, 2)'), 10.14);
+    },
+
+    'calculator: factorial bounds': async () => {
+        assert.strictEqual(await calculate('0!'), 1);
+        assert.ok(Number.isFinite(await calculate('170!')));
+        assert.match(await calculate('171!'), /Factorial needs an integer from 0 to 170/);
+        assert.match(await calculate('3.5!'), /Factorial needs an integer/);
+        assert.match(await calculate('(-1)!'), /Factorial needs an integer/);
+    },
+
+    'calculator: division by zero and malformed input': async () => {
+        assert.match(await calculate('1/0'), /Division by zero/);
+        assert.match(await calculate('5 % 0'), /Division by zero/);
+        assert.match(await calculate('2 +* 3'), /Unexpected "\*"/);
+        assert.match(await calculate('(1 + 2'), /Expected "\)"/);
+        assert.match(await calculate('foo(2)'), /Unknown function or constant "foo"/);
+        assert.match(await calculate('2 $ 3'), /Unexpected character "\$"/);
+        assert.match(await calculate('10^400'), /not a finite number/);
+    },
+
+    'date_time: rejects dates that would roll over': async () => {
+        for (const date of ['2025-13-01', '2025-00-10', '2025-02-29', '2025-04-31', '2025-01-01T24:00', '2025-01-01T10:60']) {
+            assert.match(await dates({ operation: 'add', date, amount: { days: 1 } }), /Invalid date/, date);
+        }
+        assert.match(await dates({ operation: 'add', date: 'next tuesday', amount: { days: 1 } }), /Invalid date/);
+    },
+
+    'date_time: calendar arithmetic': async () => {
+        assert.strictEqual((await dates({ operation: 'add', date: '2024-02-29', amount: { days: 1 } })).result.iso, '2024-03-01T00:00:00+00:00');
+        assert.strictEqual((await dates({ operation: 'add', date: '2024-01-31', amount: { months: 1 } })).result.iso, '2024-02-29T00:00:00+00:00');
+        const difference = await dates({ operation: 'difference', date: '2025-01-01', end_date: '2025-03-01' });
+        assert.strictEqual(difference.totalDays, 59);
+        assert.strictEqual(difference.months, 2);
+    },
+
+    'schema: rejects bad arguments': async () => {
+        const schema = dateTime.parameters;
+        assert.deepStrictEqual(validate(schema, { operation: 'now' }), []);
+        assert.deepStrictEqual(validate(schema, {}), ['arguments.operation is required']);
+        assert.deepStrictEqual(validate(schema, { operation: 'later' }), ['arguments.operation must be one of: "now", "add", "difference", "convert"']);
+        assert.deepStrictEqual(validate(schema, { operation: 'add', amount: { months: 1.5 } }), ['arguments.amount.months must be an integer']);
+        assert.deepStrictEqual(validate(schema, { operation: 'add', amount: { fortnights: 1 } }), ['arguments.amount.fortnights is not a known parameter']);
+        assert.deepStrictEqual(validate(schema, { operation: 'now', date: 20250101 }), ['arguments.date must be a string']);
+        assert.deepStrictEqual(validate(calculator.parameters, { expression: '' }), ['arguments.expression must not be empty']);
+        assert.deepStrictEqual(validate(calculator.parameters, { expression: '1'.repeat(501) }), ['arguments.expression must have at most 500 characters']);
+        assert.deepStrictEqual(validate({ type: 'array', items: { type: 'number' }, maxItems: 2 }, [1, 'x', 3]),
+            ['arguments must have at most 2 item(s)', 'arguments[1] must be a number']);
+        assert.deepStrictEqual(validate({ type: ['string', 'null'] }, 3), ['arguments must be a string or a null']);
+    },
+
+    'registry: invalid calls are answered, not run': async () => {
+        assert.match((await callTool('date_time', { operation: 'later' })).content, /^Invalid arguments for date_time: arguments.operation must be one of/);
+        assert.strictEqual((await callTool('calculate', '{not json')).content, 'Invalid JSON arguments.');
+        assert.strictEqual((await callTool('no_such_tool', {})).content, 'Unknown tool "no_such_tool".');
+        assert.strictEqual((await callTool('calculate', { expression: '1+1' }, { allowedTools: ['date_time'] })).content, 'Unknown tool "calculate".');
+        assert.strictEqual((await callTool('calculate', { expression: '1+1' })).content, '1+1 = 2');
+    }
+};
+
+async function main() {
+    console.log('🧪 Testing agent tools...');
+    let failed = 0;
+    for (const [name, test] of Object.entries(tests)) {
+        try {
+            await test();
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${name}: ${error.message}`);
+        }
+    }
+    console.log(failed ? `\n${failed} of ${Object.keys(tests).length} checks failed` : '\nAll checks passed');
+    process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -62,6 +62,12 @@ app.use('/api/blogs', require('./routes/blogs'));
 app.use('/api/groq', require('./routes/groq'));
 app.use('/api/chat', require('./routes/chat'));
 app.use('/api/documents', require('./routes/documents'));
+app.use('/api/conversations', require('./routes/conversations'));
+app.use('/api/notes', require('./routes/notes'));
+app.use('/api/tasks', require('./routes/tasks'));
+app.use('/api/reminders', require('./routes/reminders'));
+app.use('/api/memory', require('./routes/memory'));
+app.use('/api/personas', require('./routes/personas'));
 
 // Error handling middleware (must be last)
 app.use(errorHandler);
@@ -0,0 +1,50 @@
+/**
+ * Context Packer
+ * Token estimation and budget-constrained selection of document chunks for the LLM prompt.
+ */
+
+// Rough characters-per-token ratio for Llama-family tokenizers on English text.
+const CHARS_PER_TOKEN = 4;
+
+class ContextPacker {
+    /**
+     * Estimates the token count of a text.
+     * @param {string} text
+     * @returns {number}
+     */
+    estimateTokens(text) {
+        if (!text) return 0;
+        return Math.ceil(text.length / CHARS_PER_TOKEN);
+    }
+
+    /**
+     * Greedily selects chunks, in the given priority order, until the token budget is spent.
+     * A chunk that does not fit is skipped so smaller, lower-ranked chunks can still use the remainder.
+     * @param {Array<object>} chunks - Candidate chunks, best first.
+     * @param {number} budget - Maximum number of tokens to use.
+     * @param {function} format - Renders a chunk exactly as it will appear in the prompt.
+     * @param {string} [separator] - Text placed between chunks.
+     * @returns {{ chunks: Array<object>, text: string, usedTokens: number }}
+     */
+    pack(chunks, budget, format, separator = '\n\n---\n\n') {
+        const separatorTokens = this.estimateTokens(separator);
+        const selected = [];
+        const rendered = [];
+        let usedTokens = 0;
+
+        for (const chunk of chunks) {
+            const text = format(chunk);
+            const tokens = this.estimateTokens(text);
+            const cost = tokens + (selected.length > 0 ? separatorTokens : 0);
+            if (usedTokens + cost > budget) continue;
+
+            selected.push({ ...chunk, tokens });
+            rendered.push(text);
+            usedTokens += cost;
+        }
+
+        return { chunks: selected, text: rendered.join(separator), usedTokens };
+    }
+}
+
+module.exports = new ContextPacker();
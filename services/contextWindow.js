@@ -0,0 +1,191 @@
+/**
+ * Context Window Manager
+ * Token accounting for the chat-completion message list. When a request nears the model's
+ * context limit, bulky tool outputs are condensed and older conversation turns are rolled
+ * into a running summary, so long chats and deep research runs keep fitting.
+ */
+
+const contextPacker = require('./contextPacker');
+
+// Context size when the caller gives none (Llama 4 Scout on Groq); see llmService.contextTokens
+const DEFAULT_CONTEXT_TOKENS = 131072;
+// Tokens kept free for the model's reply, at most a quarter of the context
+const RESPONSE_RESERVE_TOKENS = 4096;
+// Compact once the prompt uses this share of the budget, down to TARGET_RATIO
+const COMPACT_RATIO = 0.8;
+const TARGET_RATIO = 0.6;
+// Per-message formatting overhead (role, separators)
+const MESSAGE_OVERHEAD_TOKENS = 4;
+// Tool outputs above this size are condensed first
+const TOOL_OUTPUT_MAX_TOKENS = 1500;
+// Most recent history messages that are never summarized
+const KEEP_RECENT_MESSAGES = 4;
+// Input cap for one summarization request, at most half the budget
+const MAX_SUMMARY_INPUT_TOKENS = 24000;
+
+const SUMMARY_HEADER = '## EARLIER CONVERSATION (SUMMARIZED)\n';
+const CONDENSED_PREFIX = '[Condensed tool output]\n';
+const TRUNCATED_SUFFIX = '\n[…truncated to fit the context window]';
+
+const log = (emoji, msg) => console.log(`[CONTEXT] ${emoji} ${msg}`);
+
+class ContextWindow {
+    /**
+     * Usable prompt budget in tokens (context size minus the reply reserve).
+     * @param {number} [contextTokens] - The model's context size.
+     * @returns {number}
+     */
+    budget(contextTokens = DEFAULT_CONTEXT_TOKENS) {
+        return contextTokens - Math.min(RESPONSE_RESERVE_TOKENS, Math.floor(contextTokens / 4));
+    }
+
+    /**
+     * The system message carrying a running summary of earlier turns.
+     * @param {string} summary
+     * @returns {{ role: string, content: string }}
+     */
+    summaryMessage(summary) {
+        return { role: 'system', content: `${SUMMARY_HEADER}${summary}` };
+    }
+
+    /**
+     * The running summary in a message list, if any.
+     * @param {Array<object>} messages
+     * @returns {string|null}
+     */
+    summaryOf(messages) {
+        const message = messages.find(m => m.role === 'system' && m.content.startsWith(SUMMARY_HEADER));
+        return message ? message.content.slice(SUMMARY_HEADER.length) : null;
+    }
+
+    /**
+     * Estimates the prompt size of a message list, including the tool definitions.
+     * @param {Array<object>} messages - Chat-completion messages.
+     * @param {Array<object>} [tools] - Tool definitions sent with the request.
+     * @returns {number}
+     */
+    count(messages, tools = []) {
+        const toolTokens = tools.length > 0 ? contextPacker.estimateTokens(JSON.stringify(tools)) : 0;
+        return messages.reduce((sum, message) => sum + this.countMessage(message), toolTokens);
+    }
+
+    countMessage(message) {
+        return MESSAGE_OVERHEAD_TOKENS +
+            contextPacker.estimateTokens(message.content || '') +
+            (message.tool_calls ? contextPacker.estimateTokens(JSON.stringify(message.tool_calls)) : 0);
+    }
+
+    /**
+     * Shrinks a message list that nears the context limit. In order, until it fits:
+     * condense large tool outputs (oldest first), summarize older conversation turns into a
+     * running summary (a system message after the system prompt), then truncate the largest messages.
+     *
+     * @param {Array<object>} messages - Leading system message(s), history, the current user message, then this turn's calls.
+     * @param {object} options
+     * @param {object} options.currentMessage - The current user message (never summarized).
+     * @param {Array<object>} [options.tools] - Tool definitions sent with the request.
+     * @param {function(string, string): Promise<string>} options.summarize - (instructions, text) → summary.
+     * @param {function(): void} [options.onCompact] - Called once before compacting.
+     * @param {number} [options.contextTokens] - Context size of the model the messages are sent to.
+     * @returns {Promise<{ messages: Array<object>, used: number, limit: number, summarizedTurns: number, condensedToolOutputs: number }>}
+     */
+    async fit(messages, { currentMessage, tools = [], summarize, onCompact, contextTokens }) {
+        const budget = this.budget(contextTokens);
+        let used = this.count(messages, tools);
+        const stats = { limit: budget, summarizedTurns: 0, condensedToolOutputs: 0 };
+        if (used <= budget * COMPACT_RATIO) return { messages, used, ...stats };
+        const summaryInputTokens = Math.min(MAX_SUMMARY_INPUT_TOKENS, Math.floor(budget / 2));
+
+        if (onCompact) onCompact();
+        log('🗜️', `Prompt is ~${used}/${budget} tokens; compacting`);
+        const target = budget * TARGET_RATIO;
+        let fitted = [...messages];
+
+        // 1. Bulky tool outputs, oldest first
+        for (let i = 0; i < fitted.length && used > target; i++) {
+            const message = fitted[i];
+            if (message.role !== 'tool' || message.content.startsWith(CONDENSED_PREFIX)) continue;
+            if (contextPacker.estimateTokens(message.content) <= TOOL_OUTPUT_MAX_TOKENS) continue;
+
+            const digest = await this.summarizeSafely(
+                summarize,
+                `Condense this tool output for the question "${this.clip(currentMessage.content, 500)}". Keep facts, figures, names, dates and URLs that could matter for the answer; drop boilerplate and navigation text.`,
+                message.content,
+                summaryInputTokens
+            );
+            fitted[i] = { ...message, content: `${CONDENSED_PREFIX}${digest}` };
+            stats.condensedToolOutputs++;
+            used = this.count(fitted, tools);
+        }
+
+        // 2. Older conversation turns into the running summary
+        if (used > target) {
+            const leading = fitted.findIndex(message => message.role !== 'system');
+            const current = fitted.indexOf(currentMessage);
+            let cut = Math.max(current - KEEP_RECENT_MESSAGES, leading);
+            while (cut < current && fitted[cut].role === 'tool') cut++; // keep tool replies with their call
+
+            const older = fitted.slice(leading, cut);
+            if (leading >= 0 && older.length > 0) {
+                const systems = fitted.slice(0, leading);
+                const previous = systems.find(message => message.content.startsWith(SUMMARY_HEADER));
+                const transcript = older
+                    .filter(message => message.content)
+                    .map(message => `${message.role.toUpperCase()}: ${message.content}`)
+                    .join('\n\n');
+
+                const summary = await this.summarizeSafely(
+                    summarize,
+                    'Update the running summary of this conversation with the new messages. Keep what the user asked for, decisions, facts and open questions; be concise. Reply with the summary only.',
+                    `${previous ? `CURRENT SUMMARY:\n${previous.content.slice(SUMMARY_HEADER.length)}\n\n` : ''}NEW MESSAGES:\n${transcript}`,
+                    summaryInputTokens
+                );
+                fitted = [
+                    ...systems.filter(message => message !== previous),
+                    this.summaryMessage(summary),
+                    ...fitted.slice(cut)
+                ];
+                stats.summarizedTurns += older.length;
+                used = this.count(fitted, tools);
+            }
+        }
+
+        // 3. Still too large: truncate the largest messages
+        while (used > budget) {
+            let largest = -1;
+            fitted.forEach((message, i) => {
+                if (message === currentMessage) return;
+                if (largest < 0 || this.countMessage(message) > this.countMessage(fitted[largest])) largest = i;
+            });
+            if (largest < 0) break;
+            const content = fitted[largest].content || '';
+            const excess = used - budget;
+            const keep = Math.max(Math.floor(content.length / 2), content.length - excess * 4 - TRUNCATED_SUFFIX.length);
+            if (keep <= 0 || content.length < 200) break;
+            fitted[largest] = { ...fitted[largest], content: `${content.substring(0, keep)}${TRUNCATED_SUFFIX}` };
+            used = this.count(fitted, tools);
+        }
+
+        log('📉', `Prompt is now ~${used} tokens (${stats.condensedToolOutputs} tool outputs condensed, ${stats.summarizedTurns} messages summarized)`);
+        return { messages: fitted, used, ...stats };
+    }
+
+    /**
+     * Runs the summarizer, falling back to the beginning of the text if it fails.
+     */
+    async summarizeSafely(summarize, instructions, text, maxInputTokens = MAX_SUMMARY_INPUT_TOKENS) {
+        const input = this.clip(text, maxInputTokens * 4);
+        try {
+            return (await summarize(instructions, input)).trim();
+        } catch (error) {
+            log('⚠️', `Summarization failed (${error.message}); keeping an excerpt`);
+            return this.clip(text, TOOL_OUTPUT_MAX_TOKENS * 4);
+        }
+    }
+
+    clip(text, maxChars) {
+        return text.length > maxChars ? `${text.substring(0, maxChars)}…` : text;
+    }
+}
+
+module.exports = new ContextWindow();
@@ -0,0 +1,215 @@
+/**
+ * Conversation Service
+ * Persists chat conversations and their messages in Postgres, so chat history is kept
+ * server-side instead of being re-sent by the client on every turn.
+ */
+
+const db = require('../config/database');
+const contextWindow = require('./contextWindow');
+
+// Length of a title derived from the first user message
+const TITLE_LENGTH = 60;
+const SNIPPET_LENGTH = 160;
+
+const SUMMARY_COLUMNS = `c.id, c.title, c.persona_id, c.created_at, c.updated_at,
+    (SELECT COUNT(*)::int FROM messages m WHERE m.conversation_id = c.id) AS message_count`;
+
+class ConversationService {
+    /**
+     * Creates an empty conversation.
+     * @param {string|null} [title] - Title; set from the first message when omitted.
+     * @param {number|null} [personaId] - Persona its chats use; the default persona when null.
+     * @returns {Promise<object>}
+     */
+    async create(title = null, personaId = null) {
+        const result = await db.query(
+            'INSERT INTO conversations (title, persona_id) VALUES ($1, $2) RETURNING id, title, persona_id, created_at, updated_at',
+            [title, personaId]
+        );
+        return { ...result.rows[0], message_count: 0 };
+    }
+
+    /**
+     * Lists conversations, most recently active first.
+     * @param {object} [options]
+     * @param {number} [options.limit=50]
+     * @param {number} [options.offset=0]
+     * @returns {Promise<Array>}
+     */
+    async list({ limit = 50, offset = 0 } = {}) {
+        const result = await db.query(
+            `SELECT ${SUMMARY_COLUMNS} FROM conversations c ORDER BY c.updated_at DESC, c.id DESC LIMIT $1 OFFSET $2`,
+            [limit, offset]
+        );
+        return result.rows;
+    }
+
+    /**
+     * Fetches a conversation with all of its messages.
+     * @param {number} id - Conversation id.
+     * @returns {Promise<object|null>}
+     */
+    async get(id) {
+        const result = await db.query(`SELECT ${SUMMARY_COLUMNS} FROM conversations c WHERE c.id = $1`, [id]);
+        if (!result.rows[0]) return null;
+        const messages = await db.query(
+            'SELECT id, role, content, sources, search_steps, created_at FROM messages WHERE conversation_id = $1 ORDER BY id',
+            [id]
+        );
+        return { ...result.rows[0], messages: messages.rows };
+    }
+
+    /**
+     * Whether a conversation exists.
+     * @param {number} id
+     * @returns {Promise<boolean>}
+     */
+    async exists(id) {
+        const result = await db.query('SELECT 1 FROM conversations WHERE id = $1', [id]);
+        return result.rows.length > 0;
+    }
+
+    /**
+     * The persona a conversation's chats use.
+     * @param {number} id
+     * @returns {Promise<number|null>} - Persona id, or null for the default (or a missing conversation).
+     */
+    async personaId(id) {
+        const result = await db.query('SELECT persona_id FROM conversations WHERE id = $1', [id]);
+        return result.rows[0]?.persona_id ?? null;
+    }
+
+    /**
+     * Renames a conversation and/or changes its persona.
+     * @param {number} id
+     * @param {object} fields - { title?, persona_id? }
+     * @returns {Promise<object|null>} - The updated conversation, or null if it does not exist.
+     */
+    async update(id, fields) {
+        const values = [id];
+        const assignments = Object.entries(fields).map(([column, value]) => {
+            values.push(value);
+            return `${column} = $${values.length}`;
+        });
+        const result = await db.query(
+            `UPDATE conversations SET ${[...assignments, 'updated_at = CURRENT_TIMESTAMP'].join(', ')} WHERE id = $1 RETURNING id, title, persona_id, created_at, updated_at`,
+            values
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Deletes a conversation and its messages.
+     * @param {number} id
+     * @returns {Promise<object|null>} - The deleted conversation, or null if it did not exist.
+     */
+    async remove(id) {
+        const result = await db.query('DELETE FROM conversations WHERE id = $1 RETURNING id, title, persona_id, created_at, updated_at', [id]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Finds conversations whose title or messages contain the query (case-insensitive).
+     * @param {string} query
+     * @param {number} [limit=20]
+     * @returns {Promise<Array>} - Conversations with the best-matching message snippet (`match`), most recent first.
+     */
+    async search(query, limit = 20) {
+        const pattern = `%${query.replace(/[\\%_]/g, '\\$&')}%`;
+        const result = await db.query(
+            `SELECT ${SUMMARY_COLUMNS},
+                    (SELECT json_build_object('messageId', m.id, 'role', m.role, 'content', m.content)
+                     FROM messages m
+                     WHERE m.conversation_id = c.id AND m.content ILIKE $1
+                     ORDER BY m.id DESC LIMIT 1) AS match
+             FROM conversations c
+             WHERE c.title ILIKE $1
+                OR EXISTS (SELECT 1 FROM messages m WHERE m.conversation_id = c.id AND m.content ILIKE $1)
+             ORDER BY c.updated_at DESC, c.id DESC
+             LIMIT $2`,
+            [pattern, limit]
+        );
+        return result.rows.map(({ match, ...row }) => ({
+            ...row,
+            match: match && { messageId: match.messageId, role: match.role, snippet: this.snippet(match.content, query) }
+        }));
+    }
+
+    /**
+     * Chat history of a conversation in the chat-completion format: the running summary of its
+     * older messages (a system message) if they were summarized, then every message after them.
+     * contextWindow.fit shrinks it further when it does not fit the model.
+     * @param {number} id - Conversation id.
+     * @returns {Promise<Array<{role: string, content: string}>>} - Oldest first.
+     */
+    async history(id) {
+        const conversation = await db.query(
+            'SELECT context_summary, context_summary_until FROM conversations WHERE id = $1',
+            [id]
+        );
+        const { context_summary: summary = null, context_summary_until: until = null } = conversation.rows[0] || {};
+        const result = await db.query(
+            'SELECT role, content FROM messages WHERE conversation_id = $1 AND id > $2 ORDER BY id',
+            [id, until || 0]
+        );
+        return summary ? [contextWindow.summaryMessage(summary), ...result.rows] : result.rows;
+    }
+
+    /**
+     * Stores the running summary of a conversation, which replaces its oldest messages in later histories.
+     * @param {number} id - Conversation id.
+     * @param {string} summary - Summary of the messages it covers (including those of the previous summary).
+     * @param {number} summarizedMessages - Messages after the previous summary that it now also covers, oldest first.
+     * @returns {Promise<void>}
+     */
+    async saveSummary(id, summary, summarizedMessages) {
+        await db.query(
+            `UPDATE conversations c SET context_summary = $2, context_summary_until = (
+                 SELECT MAX(id) FROM (
+                     SELECT id FROM messages
+                     WHERE conversation_id = c.id AND id > COALESCE(c.context_summary_until, 0)
+                     ORDER BY id LIMIT $3
+                 ) covered
+             ) WHERE c.id = $1`,
+            [id, summary, summarizedMessages]
+        );
+    }
+
+    /**
+     * Appends a user message and the assistant's reply, and titles untitled conversations
+     * after their first message.
+     * @param {number} id - Conversation id.
+     * @param {string} userMessage
+     * @param {object} reply - { response, sources?, searchSteps? } from GroqService.chat.
+     * @returns {Promise<void>}
+     */
+    async appendTurn(id, userMessage, reply) {
+        await db.query(
+            `INSERT INTO messages (conversation_id, role, content, sources, search_steps)
+             VALUES ($1, 'user', $2, '[]', '[]'), ($1, 'assistant', $3, $4, $5)`,
+            [id, userMessage, reply.response || '', JSON.stringify(reply.sources || []), JSON.stringify(reply.searchSteps || [])]
+        );
+        await db.query(
+            'UPDATE conversations SET updated_at = CURRENT_TIMESTAMP, title = COALESCE(title, $2) WHERE id = $1',
+            [id, this.titleFrom(userMessage)]
+        );
+    }
+
+    titleFrom(message) {
+        const text = message.replace(/\s+/g, ' ').trim();
+        return text.length > TITLE_LENGTH ? `${text.substring(0, TITLE_LENGTH - 1)}…` : text;
+    }
+
+    /**
+     * A window of text around the first occurrence of the query.
+     */
+    snippet(content, query) {
+        const text = content.replace(/\s+/g, ' ').trim();
+        const at = Math.max(text.toLowerCase().indexOf(query.toLowerCase()), 0);
+        const start = Math.max(at - SNIPPET_LENGTH / 2, 0);
+        const window = text.substring(start, start + SNIPPET_LENGTH);
+        return `${start > 0 ? '…' : ''}${window}${start + SNIPPET_LENGTH < text.length ? '…' : ''}`;
+    }
+}
+
+module.exports = new ConversationService();
@@ -0,0 +1,267 @@
+/**
+ * Document Library Service
+ * Persists uploaded documents and their extracted text in Postgres.
+ * Re-uploads of a file name become versions of the same document (grouped by root_id);
+ * exactly one version per document is active and used for retrieval.
+ */
+
+const crypto = require('crypto');
+const db = require('../config/database');
+
+// Columns returned by list endpoints (extracted text is omitted to keep payloads small)
+const SUMMARY_COLUMNS = 'id, parent_id, root_id, version, is_active, filename, mime_type, size_bytes, content_hash, LENGTH(extracted_text) AS text_length, created_at';
+// Id shared by all versions of a document
+const ROOT_ID = 'COALESCE(root_id, id)';
+
+class DocumentService {
+    /**
+     * Stores an uploaded file's metadata, extracted text and segments.
+     * @param {Object} file - Multer file object
+     * @param {string} text - Extracted text.
+     * @param {Array} [segments] - Segments with location metadata (see ragService.extractSegments).
+     * @param {object} [options]
+     * @param {number|null} [options.parentId] - Parent document (e.g. the email an attachment came from).
+     * @param {object|null} [options.versionOf] - Existing document row this upload is a new version of.
+     *   The new version becomes the active one.
+     * @returns {Promise<object>} - The stored document row.
+     */
+    async create(file, text, segments = [], { parentId = null, versionOf = null } = {}) {
+        const rootId = versionOf ? (versionOf.root_id ?? versionOf.id) : null;
+        const result = await db.query(
+            `INSERT INTO documents (filename, mime_type, size_bytes, content_hash, extracted_text, segments, parent_id, root_id, version)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8,
+                     COALESCE((SELECT MAX(version) + 1 FROM documents WHERE ${ROOT_ID} = $8), 1))
+             RETURNING ${SUMMARY_COLUMNS}`,
+            [file.originalname, file.mimetype || null, file.size ?? file.buffer.length, this.hash(file.buffer), text, JSON.stringify(segments), parentId, rootId]
+        );
+        const document = result.rows[0];
+        if (rootId) await this.setActiveVersion(rootId, document.id);
+        return document;
+    }
+
+    /**
+     * Lists the active version of every document, newest first, without their text.
+     * @returns {Promise<Array>} - Rows include `version_count`.
+     */
+    async list() {
+        const result = await db.query(
+            `SELECT ${SUMMARY_COLUMNS},
+                    (SELECT COUNT(*)::int FROM documents v WHERE COALESCE(v.root_id, v.id) = COALESCE(documents.root_id, documents.id)) AS version_count
+             FROM documents
+             WHERE is_active
+             ORDER BY created_at DESC`
+        );
+        return result.rows;
+    }
+
+    /**
+     * Finds a top-level document with exactly the same bytes.
+     * @param {string} contentHash - SHA-256 hex digest (see hash).
+     * @returns {Promise<object|null>} - The active match if any, otherwise the newest.
+     */
+    async findDuplicate(contentHash) {
+        const result = await db.query(
+            `SELECT ${SUMMARY_COLUMNS} FROM documents
+             WHERE content_hash = $1 AND parent_id IS NULL
+             ORDER BY is_active DESC, id DESC LIMIT 1`,
+            [contentHash]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Finds the newest top-level document with a file name, to attach a new version to.
+     * @param {string} filename
+     * @returns {Promise<object|null>}
+     */
+    async findLatestByName(filename) {
+        const result = await db.query(
+            `SELECT ${SUMMARY_COLUMNS} FROM documents
+             WHERE filename = $1 AND parent_id IS NULL
+             ORDER BY version DESC, id DESC LIMIT 1`,
+            [filename]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Lists all versions of the document that `id` belongs to, oldest first.
+     * @param {number} id - Id of any version.
+     * @returns {Promise<Array>} - [] if the document does not exist.
+     */
+    async listVersions(id) {
+        const result = await db.query(
+            `SELECT ${SUMMARY_COLUMNS} FROM documents
+             WHERE ${ROOT_ID} = (SELECT ${ROOT_ID} FROM documents WHERE id = $1)
+             ORDER BY version`,
+            [id]
+        );
+        return result.rows;
+    }
+
+    /**
+     * Fetches one version (with its text) of the document that `id` belongs to.
+     * @param {number} id - Id of any version.
+     * @param {number} version - Version number.
+     * @returns {Promise<object|null>}
+     */
+    async getVersion(id, version) {
+        const result = await db.query(
+            `SELECT ${SUMMARY_COLUMNS}, extracted_text FROM documents
+             WHERE ${ROOT_ID} = (SELECT ${ROOT_ID} FROM documents WHERE id = $1) AND version = $2`,
+            [id, version]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Makes one version the active one: it and its sub-documents are used for retrieval,
+     * the other versions and their sub-documents are not.
+     * @param {number} rootId - Root id of the document.
+     * @param {number} versionId - Id of the version to activate.
+     */
+    async setActiveVersion(rootId, versionId) {
+        await db.query(
+            `WITH RECURSIVE tree AS (
+                 SELECT id, (id = $2) AS active FROM documents WHERE ${ROOT_ID} = $1
+                 UNION ALL
+                 SELECT d.id, t.active FROM documents d JOIN tree t ON d.parent_id = t.id
+             )
+             UPDATE documents SET is_active = tree.active FROM tree WHERE documents.id = tree.id`,
+            [rootId, versionId]
+        );
+    }
+
+    /**
+     * Fetches one document including its extracted text and segments.
+     * @param {number} id - Document id.
+     * @returns {Promise<object|null>}
+     */
+    async get(id) {
+        const result = await db.query(`SELECT ${SUMMARY_COLUMNS}, extracted_text, segments FROM documents WHERE id = $1`, [id]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Fetches several documents including their extracted text and segments, in the order requested.
+     * Unknown ids are skipped.
+     * @param {number[]} ids - Document ids.
+     * @returns {Promise<Array>}
+     */
+    async getMany(ids) {
+        if (ids.length === 0) return [];
+        const result = await db.query(`SELECT ${SUMMARY_COLUMNS}, extracted_text, segments FROM documents WHERE id = ANY($1)`, [ids]);
+        const byId = new Map(result.rows.map(row => [row.id, row]));
+        return ids.map(id => byId.get(id)).filter(Boolean);
+    }
+
+    /**
+     * Resolves search filters to the ids of matching documents.
+     * @param {object} filters
+     * @param {number[]} [filters.documentIds] - Restrict to these documents.
+     * @param {string[]} [filters.fileTypes] - Extensions ("pdf") or MIME types ("application/pdf").
+     * @param {Date} [filters.uploadedAfter] - Uploaded at or after this time.
+     * @param {Date} [filters.uploadedBefore] - Uploaded before this time.
+     * Only active versions match; an id of another version resolves to the document's active version.
+     * @returns {Promise<number[]|null>} - Matching ids, or null when no filter is set (all active documents).
+     */
+    async filterIds({ documentIds, fileTypes, uploadedAfter, uploadedBefore } = {}) {
+        const conditions = [];
+        const params = [];
+        if (documentIds?.length) {
+            params.push(documentIds);
+            conditions.push(`${ROOT_ID} IN (SELECT ${ROOT_ID} FROM documents WHERE id = ANY($${params.length}))`);
+        }
+        if (fileTypes?.length) {
+            params.push(fileTypes.map(type => type.toLowerCase().replace(/^\./, '')));
+            conditions.push(`(LOWER(mime_type) = ANY($${params.length}) OR LOWER(SUBSTRING(filename FROM '\\.([^.]+)$')) = ANY($${params.length}))`);
+        }
+        if (uploadedAfter) {
+            params.push(uploadedAfter);
+            conditions.push(`created_at >= $${params.length}`);
+        }
+        if (uploadedBefore) {
+            params.push(uploadedBefore);
+            conditions.push(`created_at < $${params.length}`);
+        }
+        if (conditions.length === 0) return null;
+
+        const result = await db.query(`SELECT id FROM documents WHERE is_active AND ${conditions.join(' AND ')}`, params);
+        return result.rows.map(row => row.id);
+    }
+
+    /**
+     * Ids of all active documents (superseded versions and their sub-documents are left out of retrieval).
+     * @returns {Promise<number[]>}
+     */
+    async activeIds() {
+        const result = await db.query('SELECT id FROM documents WHERE is_active');
+        return result.rows.map(row => row.id);
+    }
+
+    /**
+     * Lists the direct sub-documents (e.g. email attachments) of a document.
+     * @param {number} id - Parent document id.
+     * @returns {Promise<Array>}
+     */
+    async listChildren(id) {
+        const result = await db.query(`SELECT ${SUMMARY_COLUMNS} FROM documents WHERE parent_id = $1 ORDER BY id`, [id]);
+        return result.rows;
+    }
+
+    /**
+     * Ids of all sub-documents below a document, at any depth.
+     * @param {number} id - Document id.
+     * @returns {Promise<number[]>}
+     */
+    async descendantIds(id) {
+        const result = await db.query(
+            `WITH RECURSIVE tree AS (
+                 SELECT id FROM documents WHERE parent_id = $1
+                 UNION ALL
+                 SELECT d.id FROM documents d JOIN tree t ON d.parent_id = t.id
+             )
+             SELECT id FROM tree`,
+            [id]
+        );
+        return result.rows.map(row => row.id);
+    }
+
+    /**
+     * Deletes a document version (its sub-documents are removed by ON DELETE CASCADE).
+     * The remaining versions stay grouped; if the active version is deleted, the newest remaining one becomes active.
+     * @param {number} id - Document id.
+     * @returns {Promise<object|null>} - The deleted row, or null if it did not exist.
+     */
+    async remove(id) {
+        const versions = await this.listVersions(id);
+        const removed = versions.find(v => v.id === id);
+        const remaining = versions.filter(v => v.id !== id);
+        if (removed && remaining.length > 0) {
+            let rootId = removed.root_id ?? removed.id;
+            if (rootId === id) {
+                // Deleting the first version: the oldest remaining one becomes the root
+                rootId = remaining[0].id;
+                await db.query(
+                    'UPDATE documents SET root_id = CASE WHEN id = $1 THEN NULL ELSE $1 END WHERE id = ANY($2)',
+                    [rootId, remaining.map(v => v.id)]
+                );
+            }
+            if (removed.is_active) await this.setActiveVersion(rootId, remaining[remaining.length - 1].id);
+        }
+
+        const result = await db.query(`DELETE FROM documents WHERE id = $1 RETURNING ${SUMMARY_COLUMNS}`, [id]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * SHA-256 hex digest of the raw file bytes.
+     * @param {Buffer} buffer
+     * @returns {string}
+     */
+    hash(buffer) {
+        return crypto.createHash('sha256').update(buffer).digest('hex');
+    }
+}
+
+module.exports = new DocumentService();
@@ -0,0 +1,212 @@
+/**
+ * Archive Extractor
+ * Expands ZIP archives into multer-like file objects for batch ingestion.
+ * Guards against zip bombs (entry count, declared and actual uncompressed size,
+ * compression ratio, nested archives) and path traversal (absolute paths, `..`, symlinks).
+ * ZIP-based documents (EPUB, PPTX, ODT) are read through openPackage() with the same size limits.
+ */
+
+const path = require('path');
+const JSZip = require('jszip');
+
+const MAX_ENTRIES = Number(process.env.ZIP_MAX_ENTRIES) || 500;
+// Documents have many small parts (slides with their relationships and notes, images)
+const MAX_PACKAGE_ENTRIES = 5000;
+const MAX_ENTRY_BYTES = 15 * 1024 * 1024; // same as the single-upload limit
+const MAX_TOTAL_BYTES = (Number(process.env.ZIP_MAX_TOTAL_MB) || 100) * 1024 * 1024;
+const MAX_COMPRESSION_RATIO = 100;
+const RATIO_CHECK_MIN_BYTES = 1024 * 1024; // small, highly repetitive files are harmless
+const ARCHIVE_EXTENSIONS = ['.zip', '.jar', '.7z', '.rar', '.gz', '.tgz', '.tar'];
+const SYMLINK_MODE = 0o120000;
+const FILE_TYPE_MASK = 0o170000;
+
+class ArchiveExtractor {
+    /**
+     * Whether a file is a ZIP archive.
+     * @param {Object} file - Multer file object
+     * @returns {boolean}
+     */
+    isZip(file) {
+        const mime = file.mimetype || '';
+        return mime === 'application/zip' || mime === 'application/x-zip-compressed' ||
+            (file.originalname || '').toLowerCase().endsWith('.zip');
+    }
+
+    /**
+     * Expands a ZIP archive.
+     * @param {Buffer} buffer - ZIP bytes.
+     * @returns {Promise<{files: Array<object>, skipped: Array<{filename: string, error: string}>}>}
+     *   `files` are multer-like ({ originalname, mimetype, buffer, size }) with the archive path as name.
+     * @throws {Error} If the archive is unreadable or exceeds the entry / size limits as a whole.
+     */
+    async expand(buffer) {
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(buffer);
+        } catch (error) {
+            throw new Error(`Invalid ZIP archive: ${error.message}`);
+        }
+
+        const entries = Object.values(zip.files).filter(entry => !entry.dir);
+        if (entries.length > MAX_ENTRIES) {
+            throw new Error(`ZIP archive has ${entries.length} files; the limit is ${MAX_ENTRIES}.`);
+        }
+
+        const files = [];
+        const skipped = [];
+        let totalBytes = 0;
+
+        for (const entry of entries) {
+            const name = this.safeName(entry.unsafeOriginalName || entry.name);
+            if (!name) {
+                skipped.push({ filename: entry.unsafeOriginalName || entry.name, error: 'Unsafe path in archive.' });
+                continue;
+            }
+            if (this.isIgnored(name)) continue;
+
+            const reject = (error) => skipped.push({ filename: name, error });
+            if (entry.unixPermissions && (entry.unixPermissions & FILE_TYPE_MASK) === SYMLINK_MODE) {
+                reject('Symbolic links are not allowed.');
+                continue;
+            }
+            if (ARCHIVE_EXTENSIONS.includes(path.posix.extname(name).toLowerCase())) {
+                reject('Nested archives are not expanded.');
+                continue;
+            }
+
+            const sizeError = this.checkDeclaredSize(entry);
+            if (sizeError) {
+                reject(sizeError);
+                continue;
+            }
+
+            const remaining = MAX_TOTAL_BYTES - totalBytes;
+            const content = await this.inflate(entry, Math.min(MAX_ENTRY_BYTES, remaining));
+            if (!content) {
+                if (remaining < MAX_ENTRY_BYTES) {
+                    throw new Error(`ZIP archive expands to more than ${MAX_TOTAL_BYTES / 1024 / 1024}MB.`);
+                }
+                reject(`File is larger than ${MAX_ENTRY_BYTES / 1024 / 1024}MB.`);
+                continue;
+            }
+
+            totalBytes += content.length;
+            files.push({ originalname: name, mimetype: '', buffer: content, size: content.length });
+        }
+
+        return { files, skipped };
+    }
+
+    /**
+     * Opens a ZIP-based document (EPUB, PPTX, ODT) whose parts are read with the archive limits:
+     * entry count, size per part and in total, and compression ratio.
+     * @param {Buffer} buffer - Document bytes.
+     * @param {string} format - Format name for error messages (e.g. 'EPUB').
+     * @returns {Promise<{zip: JSZip, read: function(string): Promise<string|null>}>}
+     *   `read(path)` returns a part as text, or null if the package has no such part.
+     * @throws {Error} If the package is unreadable or has too many entries; `read` throws if a part exceeds the limits.
+     */
+    async openPackage(buffer, format) {
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(buffer);
+        } catch (error) {
+            throw new Error(`Invalid ${format} file: ${error.message}`);
+        }
+
+        const entryCount = Object.values(zip.files).filter(entry => !entry.dir).length;
+        if (entryCount > MAX_PACKAGE_ENTRIES) {
+            throw new Error(`${format} file has ${entryCount} parts; the limit is ${MAX_PACKAGE_ENTRIES}.`);
+        }
+
+        let totalBytes = 0;
+        const read = async (name) => {
+            const entry = zip.file(name);
+            if (!entry) return null;
+
+            const sizeError = this.checkDeclaredSize(entry);
+            if (sizeError) throw new Error(`${format} part ${name}: ${sizeError}`);
+
+            const content = await this.inflate(entry, Math.min(MAX_ENTRY_BYTES, MAX_TOTAL_BYTES - totalBytes));
+            if (!content) {
+                throw new Error(`${format} file expands to more than the ${MAX_ENTRY_BYTES / 1024 / 1024}MB per part or ${MAX_TOTAL_BYTES / 1024 / 1024}MB in total limit.`);
+            }
+            totalBytes += content.length;
+            return content.toString('utf8');
+        };
+        return { zip, read };
+    }
+
+    /**
+     * Checks an entry's declared uncompressed size and compression ratio. Declared sizes come from
+     * the archive and can lie; they are checked again while inflating.
+     * @returns {string|null} - Why the entry is rejected, or null.
+     */
+    checkDeclaredSize(entry) {
+        const declared = entry._data?.uncompressedSize ?? 0;
+        const compressed = entry._data?.compressedSize ?? 0;
+        if (declared > MAX_ENTRY_BYTES) {
+            return `File is larger than ${MAX_ENTRY_BYTES / 1024 / 1024}MB.`;
+        }
+        if (declared > RATIO_CHECK_MIN_BYTES && compressed > 0 && declared / compressed > MAX_COMPRESSION_RATIO) {
+            return 'Suspicious compression ratio (possible zip bomb).';
+        }
+        return null;
+    }
+
+    /**
+     * Inflates an entry, stopping as soon as it exceeds `limit` bytes.
+     * @returns {Promise<Buffer|null>} - The content, or null if it is over the limit.
+     */
+    inflate(entry, limit) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            let done = false;
+            const stream = entry.nodeStream('nodebuffer');
+
+            stream.on('data', (chunk) => {
+                if (done) return;
+                size += chunk.length;
+                if (size > limit) {
+                    done = true;
+                    stream.pause();
+                    resolve(null);
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            stream.on('end', () => {
+                if (!done) resolve(Buffer.concat(chunks));
+                done = true;
+            });
+            stream.on('error', (error) => {
+                if (!done) reject(error);
+                done = true;
+            });
+        });
+    }
+
+    /**
+     * Normalizes an archive path, or returns null if it escapes the archive root.
+     * @param {string} name - Entry path as stored in the archive.
+     * @returns {string|null}
+     */
+    safeName(name) {
+        const slashed = String(name).replace(/\\/g, '/');
+        if (slashed.startsWith('/') || /^[a-zA-Z]:/.test(slashed) || slashed.includes('\0')) return null;
+        if (slashed.split('/').includes('..')) return null;
+        const normalized = path.posix.normalize(slashed);
+        return normalized && normalized !== '.' ? normalized : null;
+    }
+
+    /**
+     * OS metadata that is never a document (macOS resource forks, .DS_Store, Thumbs.db, dotfiles).
+     */
+    isIgnored(name) {
+        const base = path.posix.basename(name);
+        return name.startsWith('__MACOSX/') || base.startsWith('.') || base === 'Thumbs.db' || base === 'desktop.ini';
+    }
+}
+
+module.exports = new ArchiveExtractor();
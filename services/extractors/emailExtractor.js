@@ -0,0 +1,93 @@
+/**
+ * Email Extractor
+ * Parses single messages (.eml) and mailboxes (.mbox) with mailparser.
+ * Each message becomes a segment headed by From / To / Cc / Date / Subject;
+ * attachments are returned as files so they can be stored as sub-documents.
+ */
+
+const { simpleParser } = require('mailparser');
+const markupExtractor = require('./markupExtractor');
+
+// mbox messages start with a "From " line at the top of the file or after a blank line
+const MBOX_SEPARATOR = /(?:^|\n\r?\n)From [^\r\n]*\r?\n/;
+
+class EmailExtractor {
+    /**
+     * Parses an .eml file or an mbox mailbox.
+     * @param {Buffer} buffer - Raw file bytes.
+     * @param {object} [options]
+     * @param {boolean} [options.mbox=false] - Treat the buffer as an mbox mailbox.
+     * @returns {Promise<{segments: Array<{text: string, location: object}>, attachments: Array<object>}>}
+     *   Attachments are multer-like file objects ({ originalname, mimetype, buffer, size }) with the 1-based `message` they came from.
+     */
+    async extract(buffer, { mbox = false } = {}) {
+        const rawMessages = mbox ? this.splitMbox(buffer.toString('binary')).map(raw => Buffer.from(raw, 'binary')) : [buffer];
+        const segments = [];
+        const attachments = [];
+
+        for (const [index, raw] of rawMessages.entries()) {
+            const message = index + 1;
+            const parsed = await simpleParser(raw, { skipImageLinks: true, skipTextToHtml: true });
+            const headers = this.headers(parsed);
+
+            const body = parsed.text?.trim() ||
+                (parsed.html ? markupExtractor.htmlToMarkdown(parsed.html, { mainContent: false }).markdown : '');
+
+            const own = (parsed.attachments || []).filter(a => !a.related && a.content?.length > 0);
+            const lines = [
+                headers.from && `From: ${headers.from}`,
+                headers.to && `To: ${headers.to}`,
+                headers.cc && `Cc: ${headers.cc}`,
+                headers.date && `Date: ${headers.date}`,
+                `Subject: ${headers.subject || '(no subject)'}`,
+                own.length > 0 && `Attachments: ${own.map((a, i) => a.filename || `attachment-${i + 1}`).join(', ')}`
+            ].filter(Boolean);
+
+            const location = { message, subject: headers.subject || '' };
+            if (headers.from) location.from = headers.from;
+            if (headers.date) location.date = headers.date;
+            segments.push({ text: `${lines.join('\n')}\n\n${body}`.trim(), location });
+
+            own.forEach((attachment, i) => {
+                attachments.push({
+                    originalname: attachment.filename || `attachment-${i + 1}`,
+                    mimetype: attachment.contentType || 'application/octet-stream',
+                    buffer: attachment.content,
+                    size: attachment.content.length,
+                    message
+                });
+            });
+        }
+
+        return { segments, attachments };
+    }
+
+    /**
+     * Header summary of a parsed message.
+     * @param {object} parsed - mailparser result.
+     * @returns {{from: string, to: string, cc: string, date: string, subject: string}}
+     */
+    headers(parsed) {
+        return {
+            from: parsed.from?.text || '',
+            to: parsed.to ? [].concat(parsed.to).map(a => a.text).join(', ') : '',
+            cc: parsed.cc ? [].concat(parsed.cc).map(a => a.text).join(', ') : '',
+            date: parsed.date ? parsed.date.toISOString() : '',
+            subject: (parsed.subject || '').trim()
+        };
+    }
+
+    /**
+     * Splits an mbox mailbox into raw messages, undoing ">From " quoting.
+     * @param {string} mbox
+     * @returns {string[]}
+     */
+    splitMbox(mbox) {
+        return mbox
+            .split(MBOX_SEPARATOR)
+            .map(raw => raw.replace(/^>(>*From )/gm, '$1'))
+            .filter(raw => raw.trim().length > 0);
+    }
+}
+
+module.exports = new EmailExtractor();
@@ -0,0 +1,66 @@
+/**
+ * EPUB Extractor
+ * Reads an ebook's chapters in reading (spine) order and converts each XHTML
+ * chapter to Markdown.
+ */
+
+const path = require('path');
+const archiveExtractor = require('./archiveExtractor');
+const markupExtractor = require('./markupExtractor');
+
+const CHAPTER_MEDIA_TYPES = ['application/xhtml+xml', 'text/html'];
+
+class EpubExtractor {
+    /**
+     * Extracts the book as Markdown chapters.
+     * @param {Buffer} buffer - .epub bytes.
+     * @returns {Promise<{title: string, chapters: Array<{chapter: number, markdown: string}>}>}
+     * @throws {Error} If the file is not a valid EPUB or exceeds the archive size limits.
+     */
+    async extract(buffer) {
+        const pkg = await archiveExtractor.openPackage(buffer, 'EPUB');
+        const opfPath = await this.packagePath(pkg);
+        const opf = markupExtractor.parseXml(await pkg.read(opfPath));
+        const baseDir = path.posix.dirname(opfPath);
+
+        const manifest = new Map();
+        for (const item of Array.from(opf.getElementsByTagName('item'))) {
+            manifest.set(item.getAttribute('id'), {
+                href: decodeURIComponent(item.getAttribute('href') || ''),
+                mediaType: item.getAttribute('media-type') || ''
+            });
+        }
+
+        const title = (opf.getElementsByTagName('dc:title')[0]?.textContent || '').trim();
+        const chapters = [];
+        for (const itemref of Array.from(opf.getElementsByTagName('itemref'))) {
+            const item = manifest.get(itemref.getAttribute('idref'));
+            if (!item || !CHAPTER_MEDIA_TYPES.includes(item.mediaType)) continue;
+
+            const html = await pkg.read(path.posix.normalize(path.posix.join(baseDir, item.href)));
+            if (html === null) continue;
+
+            const { markdown } = markupExtractor.htmlToMarkdown(html, { mainContent: false });
+            if (markdown) chapters.push({ chapter: chapters.length + 1, markdown });
+        }
+
+        return { title, chapters };
+    }
+
+    /**
+     * Path of the OPF package document, from META-INF/container.xml.
+     */
+    async packagePath(pkg) {
+        const container = await pkg.read('META-INF/container.xml');
+        if (container !== null) {
+            const rootfile = markupExtractor.parseXml(container).getElementsByTagName('rootfile')[0];
+            const fullPath = rootfile?.getAttribute('full-path');
+            if (fullPath && pkg.zip.file(fullPath)) return fullPath;
+        }
+        const opf = Object.keys(pkg.zip.files).find(name => name.endsWith('.opf'));
+        if (!opf) throw new Error('Invalid EPUB file: no package document (.opf) found.');
+        return opf;
+    }
+}
+
+module.exports = new EpubExtractor();
@@ -0,0 +1,149 @@
+/**
+ * Markup Extractor
+ * Converts HTML to structured Markdown (readability-style main content) and
+ * XML to an indented element outline.
+ */
+
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { Readability, isProbablyReaderable } = require('@mozilla/readability');
+const TurndownService = require('turndown');
+const { gfm } = require('turndown-plugin-gfm');
+
+// Elements that never carry readable content
+const NON_CONTENT_SELECTORS = 'script, style, noscript, template, iframe, svg, canvas, object, embed';
+// Page chrome dropped when the page is not article-like
+const BOILERPLATE_SELECTORS = 'nav, header, footer, aside, form, [role="navigation"], [role="banner"], [role="contentinfo"], [aria-hidden="true"]';
+
+class MarkupExtractor {
+    constructor() {
+        this.turndown = new TurndownService({
+            headingStyle: 'atx',
+            codeBlockStyle: 'fenced',
+            bulletListMarker: '-',
+            emDelimiter: '*'
+        });
+        this.turndown.use(gfm);
+
+        // Images become their alt text; data URIs and tracking pixels are noise for the LLM.
+        this.turndown.addRule('imageAlt', {
+            filter: 'img',
+            replacement: (content, node) => node.getAttribute('alt') || ''
+        });
+
+        // Keep link targets only for absolute web URLs.
+        this.turndown.addRule('webLinks', {
+            filter: 'a',
+            replacement: (content, node) => {
+                const href = node.getAttribute('href') || '';
+                const text = content.trim();
+                if (!text) return '';
+                return /^https?:\/\//i.test(href) ? `[${text}](${href})` : text;
+            }
+        });
+    }
+
+    /**
+     * Converts an HTML document to Markdown, keeping only the main content.
+     * Article-like pages go through Mozilla Readability; other pages keep their
+     * body minus navigation, header, footer and sidebars.
+     * @param {string} html - Full HTML document.
+     * @param {object} [options]
+     * @param {boolean} [options.mainContent=true] - Set false to convert the whole body (ebook chapters, email bodies).
+     * @returns {{ title: string, markdown: string }}
+     */
+    htmlToMarkdown(html, { mainContent = true } = {}) {
+        const dom = new JSDOM(html, { virtualConsole: new VirtualConsole() });
+        const document = dom.window.document;
+        document.querySelectorAll(NON_CONTENT_SELECTORS).forEach(el => el.remove());
+
+        let title = (document.title || '').trim();
+        let contentHtml = null;
+
+        if (!mainContent) {
+            contentHtml = document.body ? document.body.innerHTML : '';
+        } else if (isProbablyReaderable(document)) {
+            const article = new Readability(document.cloneNode(true)).parse();
+            if (article?.content) {
+                contentHtml = article.content;
+                title = article.title || title;
+            }
+        }
+
+        if (!contentHtml) {
+            document.querySelectorAll(BOILERPLATE_SELECTORS).forEach(el => el.remove());
+            const main = document.querySelector('main, [role="main"], article') || document.body;
+            contentHtml = main ? main.innerHTML : '';
+        }
+
+        dom.window.close();
+        const markdown = this.turndown.turndown(contentHtml || '').replace(/\n{3,}/g, '\n\n').trim();
+        return { title, markdown };
+    }
+
+    /**
+     * Renders an XML document as an indented outline that keeps element structure:
+     *   element [attr=value]: text
+     * Suitable for RSS/Atom feeds and config files.
+     * @param {string} xml - XML document.
+     * @returns {string}
+     */
+    xmlToOutline(xml) {
+        const root = this.parseXml(xml).documentElement;
+
+        const lines = [];
+        const walk = (element, depth) => {
+            const attrs = Array.from(element.attributes)
+                .filter(attr => !attr.name.startsWith('xmlns'))
+                .map(attr => `${attr.name}=${attr.value}`);
+            const ownText = Array.from(element.childNodes)
+                .filter(node => node.nodeType === 3 || node.nodeType === 4) // text, CDATA
+                .map(node => node.nodeValue)
+                .join(' ')
+                .replace(/\s+/g, ' ')
+                .trim();
+            const text = /<[a-z][\s\S]*>/i.test(ownText) ? this.htmlFragmentToText(ownText) : ownText;
+
+            let line = `${'  '.repeat(depth)}${element.nodeName}`;
+            if (attrs.length > 0) line += ` [${attrs.join(', ')}]`;
+            if (text) line += `: ${text}`;
+            lines.push(line);
+
+            for (const child of Array.from(element.children)) walk(child, depth + 1);
+        };
+        walk(root, 0);
+        return lines.join('\n');
+    }
+
+    /**
+     * Parses an XML document (also used for the XML parts of PPTX, ODT and EPUB packages).
+     * @param {string} xml
+     * @returns {Document}
+     * @throws {Error} If the XML is malformed.
+     */
+    parseXml(xml) {
+        let document;
+        try {
+            document = new JSDOM(xml, { contentType: 'text/xml', virtualConsole: new VirtualConsole() }).window.document;
+        } catch (error) {
+            throw new Error(`Invalid XML document: ${error.message}`);
+        }
+        if (!document.documentElement || document.documentElement.nodeName === 'parsererror') {
+            throw new Error('Invalid XML document.');
+        }
+        return document;
+    }
+
+    /**
+     * Converts an HTML fragment (e.g. an RSS description) to plain text.
+     * @param {string} html
+     * @returns {string}
+     */
+    htmlFragmentToText(html) {
+        const dom = new JSDOM(`<body>${html}</body>`, { virtualConsole: new VirtualConsole() });
+        const text = dom.window.document.body.textContent.replace(/\s+/g, ' ').trim();
+        dom.window.close();
+        return text;
+    }
+}
+
+module.exports = new MarkupExtractor();
@@ -0,0 +1,219 @@
+/**
+ * Office Package Extractor
+ * Reads text from ZIP-based office formats: PowerPoint (.pptx) slide decks
+ * and OpenDocument text (.odt) files.
+ */
+
+const path = require('path');
+const archiveExtractor = require('./archiveExtractor');
+const markupExtractor = require('./markupExtractor');
+
+const ODT_HEADING = 'text:h';
+const ODT_PARAGRAPH = 'text:p';
+
+class OfficeExtractor {
+    /**
+     * Extracts one segment per slide, in presentation order, including speaker notes.
+     * @param {Buffer} buffer - .pptx bytes.
+     * @returns {Promise<Array<{text: string, location: {slide: number, title?: string}}>>}
+     * @throws {Error} If the file is not a valid ZIP package or exceeds the archive size limits.
+     */
+    async extractPptx(buffer) {
+        const pkg = await archiveExtractor.openPackage(buffer, 'PowerPoint');
+        const slidePaths = await this.pptxSlideOrder(pkg);
+        const segments = [];
+
+        for (const [index, slidePath] of slidePaths.entries()) {
+            const slide = markupExtractor.parseXml(await pkg.read(slidePath));
+            const title = this.pptxSlideTitle(slide);
+            const lines = this.pptxParagraphs(slide);
+
+            const notesPath = await this.pptxRelationTarget(pkg, slidePath, 'notesSlide');
+            const notesXml = notesPath && await pkg.read(notesPath);
+            if (notesXml) {
+                const notes = markupExtractor.parseXml(notesXml);
+                // Skip the slide-number placeholder that every notes page carries
+                const noteLines = this.pptxParagraphs(notes, ['sldNum', 'sldImg']);
+                if (noteLines.length > 0) lines.push('', 'Notes:', ...noteLines);
+            }
+
+            const text = lines.join('\n').trim();
+            if (!text) continue;
+            const location = { slide: index + 1 };
+            if (title) location.title = title;
+            segments.push({ text: `=== Slide ${index + 1}${title ? `: ${title}` : ''} ===\n${text}`, location });
+        }
+        return segments;
+    }
+
+    /**
+     * Slide part paths in presentation order (falls back to file-name order).
+     */
+    async pptxSlideOrder(pkg) {
+        const byNumber = (a, b) => Number(a.match(/(\d+)\.xml$/)[1]) - Number(b.match(/(\d+)\.xml$/)[1]);
+        const fallback = Object.keys(pkg.zip.files).filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name)).sort(byNumber);
+
+        const presentationXml = await pkg.read('ppt/presentation.xml');
+        const relsXml = await pkg.read('ppt/_rels/presentation.xml.rels');
+        if (presentationXml === null || relsXml === null) return fallback;
+
+        const presentation = markupExtractor.parseXml(presentationXml);
+        const rels = this.relationships(markupExtractor.parseXml(relsXml), 'ppt');
+        const ordered = Array.from(presentation.getElementsByTagName('p:sldId'))
+            .map(el => rels.get(el.getAttribute('r:id'))?.target)
+            .filter(target => target && pkg.zip.file(target));
+        return ordered.length > 0 ? ordered : fallback;
+    }
+
+    /**
+     * Resolves the target of a slide's relationship of the given type (e.g. its notes slide).
+     */
+    async pptxRelationTarget(pkg, partPath, type) {
+        const relsPath = path.posix.join(path.posix.dirname(partPath), '_rels', `${path.posix.basename(partPath)}.rels`);
+        const relsXml = await pkg.read(relsPath);
+        if (relsXml === null) return null;
+        const rels = this.relationships(markupExtractor.parseXml(relsXml), path.posix.dirname(partPath));
+        for (const rel of rels.values()) {
+            if (rel.type.endsWith(`/${type}`)) return rel.target;
+        }
+        return null;
+    }
+
+    /**
+     * Parses a .rels part into a map of id -> { type, target } with targets resolved against baseDir.
+     */
+    relationships(relsDoc, baseDir) {
+        const rels = new Map();
+        for (const rel of Array.from(relsDoc.getElementsByTagName('Relationship'))) {
+            if (rel.getAttribute('TargetMode') === 'External') continue;
+            const target = rel.getAttribute('Target') || '';
+            rels.set(rel.getAttribute('Id'), {
+                type: rel.getAttribute('Type') || '',
+                target: target.startsWith('/') ? target.slice(1) : path.posix.normalize(path.posix.join(baseDir, target))
+            });
+        }
+        return rels;
+    }
+
+    /**
+     * Text of the slide's title placeholder, if any.
+     */
+    pptxSlideTitle(slide) {
+        for (const shape of Array.from(slide.getElementsByTagName('p:sp'))) {
+            const placeholder = shape.getElementsByTagName('p:ph')[0];
+            const type = placeholder?.getAttribute('type');
+            if (type === 'title' || type === 'ctrTitle') {
+                return this.pptxParagraphs(shape).join(' ').trim();
+            }
+        }
+        return '';
+    }
+
+    /**
+     * One line per DrawingML paragraph (text boxes, placeholders, table cells).
+     * @param {Element|Document} root
+     * @param {string[]} [skipPlaceholders] - Placeholder types whose shapes are ignored.
+     * @returns {string[]}
+     */
+    pptxParagraphs(root, skipPlaceholders = []) {
+        const lines = [];
+        for (const paragraph of Array.from(root.getElementsByTagName('a:p'))) {
+            if (skipPlaceholders.length > 0) {
+                let shape = paragraph.parentElement;
+                while (shape && shape.nodeName !== 'p:sp') shape = shape.parentElement;
+                const type = shape?.getElementsByTagName('p:ph')[0]?.getAttribute('type');
+                if (type && skipPlaceholders.includes(type)) continue;
+            }
+            const text = Array.from(paragraph.getElementsByTagName('a:t')).map(t => t.textContent).join('').trim();
+            if (text) lines.push(text);
+        }
+        return lines;
+    }
+
+    /**
+     * Converts an OpenDocument text file to Markdown-style lines (headings keep their outline level),
+     * so it can be split by heading like Markdown.
+     * @param {Buffer} buffer - .odt bytes.
+     * @returns {Promise<string>}
+     * @throws {Error} If the file is not a valid OpenDocument file or exceeds the archive size limits.
+     */
+    async extractOdtMarkdown(buffer) {
+        const pkg = await archiveExtractor.openPackage(buffer, 'OpenDocument');
+        const content = await pkg.read('content.xml');
+        if (content === null) throw new Error('Invalid OpenDocument file: content.xml is missing.');
+
+        const document = markupExtractor.parseXml(content);
+        const body = document.getElementsByTagName('office:text')[0];
+        if (!body) return '';
+
+        const lines = [];
+        this.odtBlocks(body, lines, 0);
+        return lines.join('\n\n').replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    /**
+     * Walks ODT block elements (headings, paragraphs, lists, tables, sections) in document order.
+     */
+    odtBlocks(element, lines, listDepth) {
+        for (const child of Array.from(element.children)) {
+            switch (child.nodeName) {
+                case ODT_HEADING: {
+                    const text = this.odtInlineText(child).trim();
+                    const level = Math.min(Math.max(Number(child.getAttribute('text:outline-level')) || 1, 1), 6);
+                    if (text) lines.push(`${'#'.repeat(level)} ${text}`);
+                    break;
+                }
+                case ODT_PARAGRAPH: {
+                    const text = this.odtInlineText(child).trim();
+                    if (text) lines.push(listDepth > 0 ? `${'  '.repeat(listDepth - 1)}- ${text}` : text);
+                    break;
+                }
+                case 'text:list':
+                    this.odtBlocks(child, lines, listDepth + 1);
+                    break;
+                case 'table:table':
+                    lines.push(this.odtTable(child));
+                    break;
+                default:
+                    // list items, sections, table-of-contents bodies, frames...
+                    this.odtBlocks(child, lines, listDepth);
+            }
+        }
+    }
+
+    /**
+     * Inline text of a paragraph, honouring ODT's encoded spaces, tabs and line breaks.
+     */
+    odtInlineText(element) {
+        let text = '';
+        for (const node of Array.from(element.childNodes)) {
+            if (node.nodeType === 3) {
+                text += node.nodeValue;
+            } else if (node.nodeName === 'text:s') {
+                text += ' '.repeat(Number(node.getAttribute('text:c')) || 1);
+            } else if (node.nodeName === 'text:tab') {
+                text += '\t';
+            } else if (node.nodeName === 'text:line-break') {
+                text += '\n';
+            } else if (node.nodeName !== 'text:note-citation' && node.nodeType === 1) {
+                text += this.odtInlineText(node);
+            }
+        }
+        return text;
+    }
+
+    /**
+     * Renders an ODT table as pipe-separated rows.
+     */
+    odtTable(table) {
+        return Array.from(table.getElementsByTagName('table:table-row'))
+            .map(row => Array.from(row.children)
+                .filter(cell => cell.nodeName === 'table:table-cell')
+                .map(cell => Array.from(cell.getElementsByTagName(ODT_PARAGRAPH)).map(p => this.odtInlineText(p).trim()).join(' '))
+                .join(' | '))
+            .filter(line => line.replace(/[|\s]/g, '').length > 0)
+            .join('\n');
+    }
+}
+
+module.exports = new OfficeExtractor();
@@ -0,0 +1,164 @@
+/**
+ * RTF Extractor
+ * Converts Rich Text Format to plain text: control words are interpreted
+ * (paragraphs, tabs, table cells, Unicode and code-page escapes) and
+ * non-text destinations (font/colour tables, pictures, metadata) are skipped.
+ */
+
+// Groups whose content is never document text
+const SKIPPED_DESTINATIONS = new Set([
+    'fonttbl', 'colortbl', 'stylesheet', 'listtable', 'listoverridetable', 'rsidtbl', 'revtbl',
+    'info', 'generator', 'filetbl', 'xmlnstbl', 'themedata', 'colorschememapping', 'latentstyles',
+    'datastore', 'pict', 'objdata', 'fldinst', 'datafield', 'bkmkstart', 'bkmkend', 'pgdsctbl',
+    'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf'
+]);
+
+// Control words that produce text
+const CONTROL_TEXT = {
+    par: '\n', line: '\n', sect: '\n\n', page: '\n\n', tab: '\t', cell: ' | ', row: '\n',
+    emdash: '—', endash: '–', bullet: '•',
+    lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”'
+};
+
+// Windows code pages used by \ansicpg that are not named windows-NNNN
+const CODE_PAGE_ENCODINGS = { 932: 'shift_jis', 936: 'gbk', 949: 'euc-kr', 950: 'big5', 10000: 'macintosh', 65001: 'utf-8' };
+
+class RtfExtractor {
+    /**
+     * Converts an RTF document to plain text.
+     * @param {Buffer|string} input - RTF bytes or text.
+     * @returns {string}
+     * @throws {Error} If the input is not RTF.
+     */
+    toText(input) {
+        const rtf = Buffer.isBuffer(input) ? input.toString('latin1') : input;
+        if (!rtf.trimStart().startsWith('{\\rtf')) throw new Error('Invalid RTF document.');
+
+        let decoder = this.decoderFor(1252);
+        let state = { skip: false, uc: 1 };
+        const stack = [];
+        const out = [];
+        let bytes = [];
+
+        const flushBytes = () => {
+            if (bytes.length === 0) return;
+            if (!state.skip) out.push(decoder.decode(Buffer.from(bytes)));
+            bytes = [];
+        };
+        const emit = (text) => {
+            flushBytes();
+            if (!state.skip) out.push(text);
+        };
+
+        let i = 0;
+        // Skips the ANSI fallback characters that follow a \u escape.
+        const skipFallback = (count) => {
+            while (count > 0 && i < rtf.length) {
+                const ch = rtf[i];
+                if (ch === '{' || ch === '}') break;
+                if (ch === '\\') {
+                    if (rtf[i + 1] === '\'') {
+                        i += 4;
+                    } else {
+                        const word = /^\\([a-zA-Z]+)(-?\d+)? ?|^\\./.exec(rtf.slice(i, i + 40));
+                        i += word ? word[0].length : 1;
+                    }
+                } else if (ch !== '\r' && ch !== '\n') {
+                    i++;
+                } else {
+                    i++;
+                    continue;
+                }
+                count--;
+            }
+        };
+
+        while (i < rtf.length) {
+            const ch = rtf[i];
+
+            if (ch === '{') {
+                flushBytes();
+                stack.push(state);
+                state = { ...state };
+                i++;
+            } else if (ch === '}') {
+                flushBytes();
+                state = stack.pop() || state;
+                i++;
+            } else if (ch === '\\') {
+                const next = rtf[i + 1];
+                if (next === '\'') {
+                    bytes.push(parseInt(rtf.substr(i + 2, 2), 16));
+                    i += 4;
+                    continue;
+                }
+                if (/[a-zA-Z]/.test(next || '')) {
+                    const match = /^\\([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.slice(i, i + 40));
+                    i += match[0].length;
+                    const word = match[1];
+                    const param = match[2] !== undefined ? Number(match[2]) : null;
+
+                    if (SKIPPED_DESTINATIONS.has(word)) {
+                        flushBytes();
+                        state.skip = true;
+                    } else if (word === 'ansicpg' && param !== null) {
+                        flushBytes();
+                        decoder = this.decoderFor(param);
+                    } else if (word === 'uc' && param !== null) {
+                        state.uc = param;
+                    } else if (word === 'u' && param !== null) {
+                        emit(String.fromCharCode(param < 0 ? param + 65536 : param));
+                        skipFallback(state.uc);
+                    } else if (CONTROL_TEXT[word] !== undefined) {
+                        emit(CONTROL_TEXT[word]);
+                    }
+                    continue;
+                }
+
+                // Control symbols
+                i += 2;
+                if (next === '*') {
+                    flushBytes();
+                    state.skip = true;
+                } else if (next === '\\' || next === '{' || next === '}') {
+                    emit(next);
+                } else if (next === '~') {
+                    emit(' ');
+                } else if (next === '_') {
+                    emit('-');
+                } else if (next === '\n' || next === '\r') {
+                    emit('\n');
+                }
+            } else if (ch === '\r' || ch === '\n') {
+                i++;
+            } else {
+                emit(ch);
+                i++;
+            }
+        }
+        flushBytes();
+
+        return out.join('')
+            .replace(/\u00a0/g, ' ')
+            .split('\n')
+            .map(line => line.replace(/[ \t]+$/g, ''))
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * TextDecoder for a Windows code page, falling back to windows-1252.
+     * @param {number} codePage
+     * @returns {TextDecoder}
+     */
+    decoderFor(codePage) {
+        try {
+            return new TextDecoder(CODE_PAGE_ENCODINGS[codePage] || `windows-${codePage}`);
+        } catch {
+            return new TextDecoder('windows-1252');
+        }
+    }
+}
+
+module.exports = new RtfExtractor();
@@ -2,22 +2,21 @@
  * Groq AI Orchestrator Service
  * Implements AGENTIC chat with dynamic, multi-step web search.
  * Supports real-time progress callbacks for SSE streaming.
+ * Model calls go through llmService (Groq, Gemini or a local OpenAI-compatible server, with fallback).
  *
  * Flow: Perceive → Reason → Act (search) → Observe → Refine → Respond
  */
 
-const Groq = require('groq-sdk');
-const tavilyService = require('./tavilyService');
-
-const groq = new Groq({
-    apiKey: process.env.GROQ_API_KEY
-});
-
-const MODEL_NAME = 'meta-llama/llama-4-scout-17b-16e-instruct';
+const llmService = require('./llmService');
+const contextWindow = require('./contextWindow');
+const toolRegistry = require('./tools');
 
 // Max agentic iterations
 const MAX_AGENTIC_STEPS = 6;
 
+// Cap on summaries written while compacting the context window
+const CONTEXT_SUMMARY_MAX_TOKENS = 1024;
+
 const SYSTEM_PROMPT = `You are an expert AI assistant with real-time web search capabilities. Your goal is to provide comprehensive, insightful, and well-organized responses.
 
 ## RESPONSE STYLE (CRITICAL)
@@ -96,57 +95,6 @@ ${'```'}
 - Do NOT use special characters like parentheses inside node labels without quoting them`;
 
 
-const WEB_SEARCH_TOOL = {
-    type: 'function',
-    function: {
-        name: 'web_search',
-        description: "Search the web for current information. You SHOULD call this multiple times with different queries to build comprehensive answers. Use specific, focused queries for best results.",
-        parameters: {
-            type: 'object',
-            properties: {
-                query: {
-                    type: 'string',
-                    description: "Concise, focused search query. For multi-part questions, search each part separately."
-                },
-                topic: {
-                    type: 'string',
-                    enum: ['general', 'news'],
-                    description: "Type of search: 'general' for facts, 'news' for recent events"
-                },
-                search_depth: {
-                    type: 'string',
-                    enum: ['basic', 'advanced'],
-                    description: "Search depth: 'basic' for quick lookups, 'advanced' for deep research."
-                },
-                max_results: {
-                    type: 'number',
-                    description: "Number of results to return (1-10). Default is 5."
-                }
-            },
-            required: ['query']
-        }
-    }
-};
-
-const BROWSER_EXTRACT_TOOL = {
-    type: 'function',
-    function: {
-        name: 'browser_extract',
-        description: "Fetch and read the full content of specific web pages. Use this after web_search to dive deeper into promising sources, triangulate information, or perform detailed analysis of a specific page.",
-        parameters: {
-            type: 'object',
-            properties: {
-                urls: {
-                    type: 'array',
-                    items: { type: 'string' },
-                    description: "Array of URLs to extract full content from."
-                }
-            },
-            required: ['urls']
-        }
-    }
-};
-
 const DEEP_RESEARCH_PROMPT = `
 ## DEEP RESEARCH PROTOCOL (MODE: ENABLED)
 You are now in **DEEP RESEARCH** mode. Your objective is not just to answer, but to perform a **comprehensive investigation**.
@@ -180,7 +128,19 @@ class GroqService {
      *
      * @param {string} message - The user's message
      * @param {Array} conversationHistory - Conversation history
-     * @param {Object|boolean} optionsOrForceSearch - Options object or forceSearch boolean (legacy)
+     * @param {Object|boolean} optionsOrForceSearch - Options object or forceSearch boolean (legacy).
+     *   `context` is document text for the system prompt; `contextSources` are its citations;
+     *   `tables` are table summaries (tableService.listTables) the model may query.
+     *   `documentSearch` ({ documentIds?, mode? }) offers the search_documents tool over the document
+     *   library (restricted to `documentIds` when non-empty). The tools offered are those of the
+     *   tool registry (services/tools) enabled for the mode and these options.
+     *   `model` is the model name (`<provider>:<model>`) or list of names to try first (see llmService);
+     *   the run falls back along its chain when a model is rate-limited or down.
+     *   `persona` (personaService.toChatOptions) replaces SYSTEM_PROMPT with its `instructions`, and
+     *   can set the `temperature` and restrict the tools to `allowedTools`.
+     *   `memories` (memoryService.relevant) are long-term facts about the user added to the prompt.
+     *   `signal` (AbortSignal) cancels the run: in-flight Groq and Tavily requests are aborted and
+     *   the result is { success: false, code: 'CANCELLED' }.
      * @param {function} onProgress - Callback for SSE streaming
      */
     async chat(message, conversationHistory = [], optionsOrForceSearch = {}, onProgress = null) {
@@ -189,7 +149,7 @@ class GroqService {
             ? { forceSearch: optionsOrForceSearch }
             : optionsOrForceSearch;
 
-        const { forceSearch = false, context = '', isDeepResearch = false } = options;
+        const { forceSearch = false, context = '', contextSources = [], tables = [], documentSearch = null, isDeepResearch = false, memories = [], model = null, persona = null, signal = null } = options;
 
         const log = (emoji, msg) => console.log(`[GROQ] ${emoji} ${msg}`);
         const emit = (event) => {
@@ -198,6 +158,39 @@ class GroqService {
             }
         };
 
+        // Answer text is streamed as `token` events when there is a progress listener.
+        // Tokens of a reply that turns out not to be the final answer are retracted with `token_reset`.
+        let tokensSent = false;
+        const onToken = onProgress
+            ? (delta) => { tokensSent = true; emit({ type: 'token', delta }); }
+            : null;
+        const resetTokens = () => {
+            if (!tokensSent) return;
+            tokensSent = false;
+            emit({ type: 'token_reset', message: 'Discarding the partial answer...' });
+        };
+
+        // Models still to try; after a fallback, the rest of the run stays on the model that answered
+        let models = llmService.chain(model);
+        let modelUsed = null;
+        // Fits the prompt to a model's context before it is sent (set once the messages exist)
+        let fitContext = async () => {};
+        const complete = async (request, tokenHandler = null) => {
+            const result = await llmService.complete(request, {
+                models,
+                onToken: tokenHandler,
+                signal,
+                prepare: (name) => fitContext(request.tools, name),
+                onFallback: ({ from, to }) => {
+                    resetTokens();
+                    emit({ type: 'model_fallback', from, to, message: `${from} is unavailable, switching to ${to}...` });
+                }
+            });
+            models = models.slice(models.indexOf(result.model));
+            modelUsed = result.model;
+            return result.message;
+        };
+
         try {
             const MODE_LABEL = isDeepResearch ? 'DEEP RESEARCH' : 'AGENTIC CHAT';
             log('💬', `━━━ ${MODE_LABEL} START ━━━`);
@@ -208,7 +201,7 @@ class GroqService {
             const timeStr = now.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: true });
 
             // ── Build System Prompt ─────────────────────────────────────
-            let finalSystemPrompt = `${SYSTEM_PROMPT}\n\n## CURRENT REAL-WORLD CONTEXT\n- Current Date: ${dateStr}\n- Current Time: ${timeStr}\n\nYou MUST use this time context.`;
+            let finalSystemPrompt = `${persona?.instructions || SYSTEM_PROMPT}\n\n## CURRENT REAL-WORLD CONTEXT\n- Current Date: ${dateStr}\n- Current Time: ${timeStr}\n\nYou MUST use this time context.`;
 
             if (isDeepResearch) {
                 finalSystemPrompt += `\n\n${DEEP_RESEARCH_PROMPT}`;
@@ -217,49 +210,86 @@ class GroqService {
                 emit({ type: 'thinking', message: 'Analyzing your question...' });
             }
 
+            if (memories.length > 0) {
+                finalSystemPrompt += `\n\n${this.buildMemoryPrompt(memories)}`;
+            }
+
             if (context) {
                 finalSystemPrompt += `\n\nRELEVANT CONTEXT FROM DOCUMENTS:\n${context}`;
             }
 
+            // ── Tool Strategy ───────────────────────────────────────────
+            const searchSteps = [];
+            const allSources = [...contextSources];
+            const toolContext = {
+                mode: isDeepResearch ? 'deep_research' : 'chat',
+                isDeepResearch, tables, documentSearch, signal, emit,
+                allowedTools: persona?.allowedTools || null,
+                steps: searchSteps,
+                sources: allSources,
+                iteration: 0,
+                searchCount: 0
+            };
+            const availableTools = toolRegistry.available(toolContext);
+            const tools = toolRegistry.definitions(availableTools);
+            for (const section of toolRegistry.prompts(availableTools, toolContext)) {
+                finalSystemPrompt += `\n\n${section}`;
+            }
+
+            const userMessage = { role: 'user', content: message };
             const messages = [
                 { role: 'system', content: finalSystemPrompt },
                 ...conversationHistory,
-                { role: 'user', content: message }
+                userMessage
             ];
 
-            // ── Tool Strategy ───────────────────────────────────────────
-            let tools = [WEB_SEARCH_TOOL];
-            if (isDeepResearch) {
-                tools.push(BROWSER_EXTRACT_TOOL);
-            }
+            // Keeps `messages` within the context of the model each request goes to
+            const contextUsage = { limit: contextWindow.budget(), used: 0, summarizedTurns: 0, condensedToolOutputs: 0 };
+            fitContext = async (requestTools = [], modelName) => {
+                const fitted = await contextWindow.fit(messages, {
+                    currentMessage: userMessage,
+                    tools: requestTools,
+                    contextTokens: llmService.contextTokens(modelName),
+                    // Summaries stay on the run's models (e.g. a local model keeps the conversation local)
+                    summarize: (instructions, text) => this.complete(
+                        [{ role: 'system', content: instructions }, { role: 'user', content: text }],
+                        { maxTokens: CONTEXT_SUMMARY_MAX_TOKENS, signal, model: models }
+                    ),
+                    onCompact: () => emit({ type: 'compacting', message: 'Summarizing earlier context to stay within the model limit...' })
+                });
+                messages.splice(0, messages.length, ...fitted.messages);
+                contextUsage.limit = fitted.limit;
+                contextUsage.used = fitted.used;
+                contextUsage.summarizedTurns += fitted.summarizedTurns;
+                contextUsage.condensedToolOutputs += fitted.condensedToolOutputs;
+            };
 
             let toolChoice = 'auto';
             if (context) {
-                tools = [];
-                toolChoice = 'none';
                 emit({ type: 'thinking', message: 'Searching your local knowledge...' });
-            } else if (forceSearch) {
+            }
+            if (forceSearch && availableTools.some(tool => tool.name === 'web_search')) {
                 toolChoice = { type: 'function', function: { name: 'web_search' } };
             }
 
             // ── Agentic Loop ────────────────────────────────────────────
-            const searchSteps = [];
-            const allSources = [];
             let iteration = 0;
             let lastAssistantMessage = null;
-            let totalSearchCount = 0;
             const maxSteps = isDeepResearch ? 10 : MAX_AGENTIC_STEPS;
+            // Deep research asks for more searches until there are 4, unless the run cannot search at all
+            const canSearch = availableTools.some(tool => tool.countsAsSearch);
+            const isShallow = () => isDeepResearch && canSearch && toolContext.searchCount < 4 && iteration < maxSteps;
 
             while (iteration < maxSteps) {
                 iteration++;
+                signal?.throwIfAborted();
                 log('🔄', `━━━ Step ${iteration}/${maxSteps} ━━━`);
 
-                const callOptions = {
-                    model: MODEL_NAME,
+                const request = {
                     messages,
-                    temperature: isDeepResearch ? 0.4 : 0.7, // Lower temperature for more focused research
-                    tools: tools.length > 0 ? tools : undefined,
-                    tool_choice: tools.length > 0 ? (iteration === 1 && forceSearch ? toolChoice : 'auto') : undefined
+                    temperature: persona?.temperature ?? (isDeepResearch ? 0.4 : 0.7), // Lower temperature for more focused research
+                    tools,
+                    toolChoice: iteration === 1 && forceSearch ? toolChoice : 'auto'
                 };
 
                 if (iteration > 1) {
@@ -269,10 +299,15 @@ class GroqService {
                     emit({ type: 'thinking', message: phaseMsg });
                 }
 
-                let response;
+                // A reply is only streamed if it can be accepted as the final answer
+                const mayFinish = !isShallow();
+
+                let assistantMsg;
                 try {
-                    response = await groq.chat.completions.create(callOptions);
+                    assistantMsg = await complete(request, mayFinish ? onToken : null);
                 } catch (apiError) {
+                    if (signal?.aborted) throw apiError;
+                    resetTokens();
                     // (Error handling logic from previous implementation)
                     const status = apiError.status || apiError.response?.status;
                     const errorBody = apiError.error || apiError.body?.error || {};
@@ -293,23 +328,22 @@ class GroqService {
                             break;
                         }
                     }
-                    if (totalSearchCount > 0) {
+                    if (toolContext.searchCount > 0) {
                         emit({ type: 'synthesizing', message: 'Recovering research data...' });
                         try {
-                            const synthCall = await groq.chat.completions.create({ model: MODEL_NAME, messages, temperature: 0.7 });
-                            lastAssistantMessage = synthCall.choices[0].message;
+                            lastAssistantMessage = await complete({ messages, temperature: persona?.temperature ?? 0.7 }, onToken);
                             break;
                         } catch (e) { log('❌', 'Synthesis failed after error'); }
                     }
                     throw apiError;
                 }
 
-                const assistantMsg = response.choices[0].message;
+                if (assistantMsg.tool_calls?.length > 0) resetTokens();
 
                 // If assistant tries to stop, but research is shallow...
                 if (!assistantMsg.tool_calls || assistantMsg.tool_calls.length === 0) {
-                    if (isDeepResearch && totalSearchCount < 4 && iteration < maxSteps) {
-                        log('⚠️', `Research felt shallow (${totalSearchCount} searches). Forcing continuation...`);
+                    if (isShallow()) {
+                        log('⚠️', `Research felt shallow (${toolContext.searchCount} searches). Forcing continuation...`);
                         emit({ type: 'thinking', message: 'Research seems shallow. Digging for more angles...' });
 
                         messages.push(assistantMsg);
@@ -327,80 +361,19 @@ class GroqService {
                 messages.push(assistantMsg);
 
                 // ── Process Tool Calls ──────────────────────────────────
-                const toolResults = await Promise.all(assistantMsg.tool_calls.map(async (toolCall) => {
-                    const functionName = toolCall.function.name;
-                    let args;
-                    try { args = JSON.parse(toolCall.function.arguments); } catch (e) {
-                        return { role: 'tool', tool_call_id: toolCall.id, content: 'Invalid JSON arguments.' };
-                    }
-
-                    if (functionName === 'web_search') {
-                        const { query, topic = 'general' } = args;
-                        // Force high breadth and depth for Deep Research
-                        const search_depth = isDeepResearch ? 'advanced' : (args.search_depth || 'basic');
-                        const max_results = isDeepResearch ? 10 : (args.max_results || 5);
-
-                        totalSearchCount++;
-                        const step = {
-                            id: `step-${iteration}-${totalSearchCount}`,
-                            type: 'searching',
-                            query, topic, depth: search_depth,
-                            status: 'running', timestamp: Date.now()
-                        };
-                        searchSteps.push(step);
-                        emit({ type: 'searching', step, message: `Searching: "${query}" (depth: ${search_depth})...` });
-
-                        const searchResult = await tavilyService.search({
-                            query,
-                            topic,
-                            max_results,
-                            search_depth
-                        });
-
-                        step.status = searchResult.success ? 'done' : 'error';
-                        step.resultCount = searchResult.success ? (searchResult.sources?.length ?? 0) : 0;
-                        emit({ type: 'search_complete', step, message: `Found ${step.resultCount} results for "${query}"` });
-
-                        if (searchResult.success && searchResult.sources) allSources.push(...searchResult.sources);
-                        return { role: 'tool', tool_call_id: toolCall.id, content: searchResult.success ? searchResult.results : `Search failed: ${searchResult.error}` };
-                    }
-
-                    if (functionName === 'browser_extract') {
-                        const { urls } = args;
-                        const stepId = `extract-${iteration}-${Date.now()}`;
-                        const step = {
-                            id: stepId,
-                            type: 'reading',
-                            urls,
-                            status: 'running', timestamp: Date.now()
-                        };
-                        searchSteps.push(step);
-                        emit({ type: 'reading', step, message: `Deep-reading ${urls.length} full web pages...` });
-                        log('📄', `Extracting: ${urls.join(', ')}`);
-
-                        const extractResult = await tavilyService.extract(urls);
-                        step.status = extractResult.success ? 'done' : 'error';
-                        emit({ type: 'reading_complete', step, message: extractResult.success ? `Finished reading ${urls.length} pages` : 'Failed to read web pages' });
-
-                        if (extractResult.success) {
-                            const formatted = extractResult.results.map(r => `URL: ${r.url}\nCONTENT: ${r.raw_content || r.content}`).join('\n\n---\n\n');
-                            return { role: 'tool', tool_call_id: toolCall.id, content: `Extracted Content:\n${formatted}` };
-                        }
-                        return { role: 'tool', tool_call_id: toolCall.id, content: `Extraction failed: ${extractResult.error}` };
-                    }
-
-                    return { role: 'tool', tool_call_id: toolCall.id, content: 'Unknown tool.' };
-                }));
+                toolContext.iteration = iteration;
+                const toolResults = await Promise.all(assistantMsg.tool_calls.map(toolCall => toolRegistry.execute(toolCall, toolContext)));
 
+                signal?.throwIfAborted();
                 for (const result of toolResults) messages.push(result);
                 log('📊', `Step ${iteration}: processes ${toolResults.length} tool(s).`);
             }
 
             if (!lastAssistantMessage) {
                 emit({ type: 'synthesizing', message: 'Synthesizing long-form research report...' });
-                const finalCall = await groq.chat.completions.create({ model: MODEL_NAME, messages, temperature: 0.5 });
-                lastAssistantMessage = finalCall.choices[0].message;
-            } else if (totalSearchCount > 0) {
+                signal?.throwIfAborted();
+                lastAssistantMessage = await complete({ messages, temperature: persona?.temperature ?? 0.5 }, onToken);
+            } else if (toolContext.searchCount > 0) {
                 emit({ type: 'synthesizing', message: isDeepResearch ? 'Finalizing structured report...' : 'Writing final answer...' });
             }
 
@@ -409,23 +382,68 @@ class GroqService {
 
             return {
                 response: lastAssistantMessage.content,
-                searchPerformed: totalSearchCount > 0,
+                searchPerformed: toolContext.searchCount > 0,
                 sources: uniqueSources,
                 searchSteps,
                 totalSteps: iteration,
-                totalSearches: totalSearchCount
+                totalSearches: toolContext.searchCount,
+                model: modelUsed,
+                // Running summary of the history messages summarized in this run (to store with the conversation)
+                contextSummary: contextUsage.summarizedTurns > 0 ? contextWindow.summaryOf(messages) : null,
+                contextWindow: {
+                    limit: contextUsage.limit,
+                    used: contextUsage.used,
+                    remaining: contextUsage.limit - contextUsage.used,
+                    summarizedTurns: contextUsage.summarizedTurns,
+                    condensedToolOutputs: contextUsage.condensedToolOutputs
+                }
             };
         } catch (error) {
+            if (signal?.aborted) {
+                log('🛑', 'Run cancelled');
+                emit({ type: 'cancelled', message: 'Request cancelled.' });
+                return { success: false, error: 'Request cancelled.', code: 'CANCELLED' };
+            }
             emit({ type: 'error', message: error.message });
             return this.handleError(error);
         }
     }
 
+    /**
+     * System prompt section with the user's long-term memories.
+     * @param {Array<{id: number, category: string, content: string}>} memories
+     * @returns {string}
+     */
+    buildMemoryPrompt(memories) {
+        const lines = memories.map(memory => `- [#${memory.id}] (${memory.category}) ${memory.content}`);
+        return `## WHAT YOU KNOW ABOUT THE USER\n${lines.join('\n')}\n\nThese are facts and preferences the user shared in earlier conversations. Apply them where relevant (e.g. suggest vegetarian recipes to a vegetarian, use their city for local questions) without reciting them. If the user contradicts one, follow what they say now.`;
+    }
+
+    /**
+     * Single non-agentic completion (no tools, no search), e.g. for summarization.
+     * @param {Array<{role: string, content: string}>} messages
+     * @param {object} [options]
+     * @param {number} [options.temperature=0.3]
+     * @param {number} [options.maxTokens] - Cap on generated tokens.
+     * @param {AbortSignal|null} [options.signal] - Aborts the request.
+     * @param {string|string[]|null} [options.model] - Model name(s) to try first; default LLM_MODEL.
+     * @returns {Promise<string>} - The assistant's reply.
+     * @throws {Error} If every model of the chain fails, or the request is aborted.
+     */
+    async complete(messages, { temperature = 0.3, maxTokens, signal = null, model = null } = {}) {
+        const { message } = await llmService.complete(
+            { messages, temperature, maxTokens },
+            { models: llmService.chain(model), signal }
+        );
+        return message.content || '';
+    }
+
     deduplicateSources(sources) {
         const seen = new Set();
         return sources.filter(s => {
-            if (!s.url || seen.has(s.url)) return false;
-            seen.add(s.url);
+            const key = s.type === 'document' ? `doc:${s.documentId ?? s.title}:${s.chunkIndex}` : s.url;
+            if (!key || seen.has(key)) return false;
+            seen.add(key);
             return true;
         });
     }
@@ -458,3 +476,4 @@ class GroqService {
 }
 
 module.exports = new GroqService();
+module.exports.SYSTEM_PROMPT = SYSTEM_PROMPT;
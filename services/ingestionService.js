@@ -0,0 +1,161 @@
+/**
+ * Ingestion Service
+ * The document ingestion pipeline: skip exact duplicates, extract, store (as a new version
+ * when the file name already exists), save tables, index for RAG, then recurse into email
+ * attachments as sub-documents. Runs inside a background job.
+ */
+
+const ragService = require('./ragService');
+const documentService = require('./documentService');
+const tableService = require('./tableService');
+const archiveExtractor = require('./extractors/archiveExtractor');
+
+// Attachments of attached emails are followed this many levels deep
+const MAX_ATTACHMENT_DEPTH = 2;
+
+const log = (emoji, msg) => console.log(`[INGEST] ${emoji} ${msg}`);
+
+class IngestionService {
+    /**
+     * Extracts and stores an uploaded file.
+     * @param {Object} file - Multer file object
+     * @param {function(object): void} [report] - Progress callback ({ type, message, ... } events).
+     * @returns {Promise<object>} - { message, document, text, indexed, chunks, tables, attachments, ocr? },
+     *   or { message, document, duplicate: true } when the same bytes were already uploaded.
+     * @throws {Error} If extraction fails.
+     */
+    async ingest(file, report = () => {}) {
+        const duplicate = await documentService.findDuplicate(documentService.hash(file.buffer));
+        if (duplicate) {
+            log('♻️', `"${file.originalname}" is identical to document #${duplicate.id}; skipping`);
+            report({ type: 'duplicate', message: `Identical to "${duplicate.filename}" (document #${duplicate.id}, version ${duplicate.version})` });
+            return { message: 'Document already uploaded', duplicate: true, document: duplicate };
+        }
+
+        report({ type: 'extracting', message: `Extracting text from "${file.originalname}"...` });
+        const result = await ragService.processDocument(file);
+        if (!result.success) throw new Error(result.error);
+        report({ type: 'extracted', message: `Extracted ${result.text.length} characters in ${result.segments.length} segments` });
+
+        const previous = await documentService.findLatestByName(file.originalname);
+        const stored = await this.store(file, result, report, { versionOf: previous });
+        return {
+            message: previous ? `Stored as version ${stored.document.version} of "${previous.filename}"` : 'Document text extracted successfully',
+            document: stored.document,
+            text: result.text,
+            indexed: stored.chunks > 0,
+            chunks: stored.chunks,
+            tables: stored.tables,
+            attachments: stored.attachments,
+            ...(result.ocr && { ocr: result.ocr })
+        };
+    }
+
+    /**
+     * Ingests several uploaded files, expanding ZIP archives. A failing file does not stop the batch.
+     * @param {Array<Object>} uploads - Multer file objects.
+     * @param {function(object): void} [report] - Progress callback.
+     * @returns {Promise<object>} - { files: [{ filename, success, document?, chunks?, tables?, attachments?, error? }], succeeded, failed }
+     */
+    async ingestBatch(uploads, report = () => {}) {
+        const results = [];
+        const files = [];
+
+        for (const upload of uploads) {
+            if (!archiveExtractor.isZip(upload)) {
+                files.push(upload);
+                continue;
+            }
+            report({ type: 'unpacking', message: `Unpacking "${upload.originalname}"...` });
+            try {
+                const { files: entries, skipped } = await archiveExtractor.expand(upload.buffer);
+                log('🗜️', `"${upload.originalname}": ${entries.length} files, ${skipped.length} skipped`);
+                files.push(...entries);
+                results.push(...skipped.map(s => ({ filename: s.filename, archive: upload.originalname, success: false, error: s.error })));
+            } catch (error) {
+                results.push({ filename: upload.originalname, success: false, error: error.message });
+            }
+        }
+
+        for (const [index, file] of files.entries()) {
+            report({ type: 'file', message: `(${index + 1}/${files.length}) ${file.originalname}`, index: index + 1, total: files.length });
+            try {
+                const result = await this.ingest(file, report);
+                results.push(result.duplicate
+                    ? { filename: file.originalname, success: true, duplicate: true, document: result.document }
+                    : {
+                        filename: file.originalname,
+                        success: true,
+                        document: result.document,
+                        chunks: result.chunks,
+                        tables: result.tables.length,
+                        attachments: result.attachments.length
+                    });
+            } catch (error) {
+                log('⚠️', `Batch file "${file.originalname}" failed: ${error.message}`);
+                report({ type: 'warning', message: `"${file.originalname}" failed: ${error.message}` });
+                results.push({ filename: file.originalname, success: false, error: error.message });
+            }
+        }
+
+        const succeeded = results.filter(r => r.success).length;
+        return { message: `Processed ${results.length} files`, files: results, succeeded, failed: results.length - succeeded };
+    }
+
+    /**
+     * Stores an extracted document, its tables and its vector chunks, then does the same
+     * for any email attachments as sub-documents.
+     * @param {Object} file - Multer file object
+     * @param {object} result - Successful ragService.processDocument result.
+     * @param {function(object): void} report - Progress callback.
+     * @param {object} [options]
+     * @param {number|null} [options.parentId] - Parent document id for attachments.
+     * @param {object|null} [options.versionOf] - Existing document this is a new version of.
+     * @param {number} [options.depth] - Attachment nesting level.
+     * @returns {Promise<object>} - { document, tables, chunks, attachments }
+     */
+    async store(file, result, report, { parentId = null, versionOf = null, depth = 0 } = {}) {
+        report({ type: 'storing', message: `Saving "${file.originalname}"...` });
+        const document = await documentService.create(file, result.text, result.segments, { parentId, versionOf });
+        log('💾', `Saved document #${document.id} "${document.filename}" v${document.version}${parentId ? ` (attachment of #${parentId})` : ''}`);
+
+        let tables = [];
+        if (result.tables) {
+            tables = await tableService.saveTables(document.id, result.tables);
+            log('📊', `Saved ${tables.length} table(s) for #${document.id}`);
+        }
+
+        // Index for RAG retrieval. Failure here must not lose the stored document.
+        report({ type: 'indexing', message: `Indexing "${document.filename}" for search...` });
+        let chunks = 0;
+        try {
+            chunks = await ragService.ingestSegments(result.segments, { source: document.filename, documentId: document.id });
+            report({ type: 'indexed', message: `Indexed ${chunks} chunks` });
+        } catch (indexError) {
+            log('⚠️', `Indexing skipped: ${indexError.message}`);
+            report({ type: 'warning', message: `Indexing skipped: ${indexError.message}` });
+        }
+
+        const attachments = [];
+        for (const attachment of result.attachments || []) {
+            if (depth >= MAX_ATTACHMENT_DEPTH) {
+                attachments.push({ filename: attachment.originalname, error: 'Attachment nesting too deep.' });
+                continue;
+            }
+            report({ type: 'extracting', message: `Extracting attachment "${attachment.originalname}"...` });
+            const extracted = await ragService.processDocument(attachment);
+            if (!extracted.success) {
+                log('⚠️', `Attachment "${attachment.originalname}" skipped: ${extracted.error}`);
+                report({ type: 'warning', message: `Attachment "${attachment.originalname}" skipped: ${extracted.error}` });
+                attachments.push({ filename: attachment.originalname, error: extracted.error });
+                continue;
+            }
+            const stored = await this.store(attachment, extracted, report, { parentId: document.id, depth: depth + 1 });
+            attachments.push({ filename: attachment.originalname, ...stored });
+        }
+
+        return { document, tables, chunks, attachments };
+    }
+}
+
+module.exports = new IngestionService();
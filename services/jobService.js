@@ -0,0 +1,175 @@
+/**
+ * Job Service
+ * In-process background job queue for long-running work such as document ingestion.
+ * Jobs run one at a time (JOB_CONCURRENCY) and record their progress events so that
+ * clients can poll the status or follow the events over SSE.
+ * Jobs live in memory: they are lost on restart and pruned JOB_TTL_MINUTES after finishing.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 1;
+const JOB_TTL_MS = (Number(process.env.JOB_TTL_MINUTES) || 60) * 60 * 1000;
+const MAX_EVENTS_PER_JOB = 500;
+
+const log = (emoji, msg) => console.log(`[JOBS] ${emoji} ${msg}`);
+
+class JobService {
+    constructor() {
+        this.jobs = new Map();
+        this.queue = [];
+        this.running = 0;
+        this.emitter = new EventEmitter();
+        this.emitter.setMaxListeners(0);
+    }
+
+    /**
+     * Queues a job.
+     * @param {string} type - Job type, e.g. 'ingest'.
+     * @param {object} meta - Public metadata shown in the job status (e.g. { filename }).
+     * @param {function(function(object): void): Promise<object>} handler -
+     *   Does the work. Receives a `report(event)` callback for progress events and resolves to the job result.
+     * @returns {object} - Public view of the queued job.
+     */
+    enqueue(type, meta, handler) {
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            status: 'queued',
+            meta,
+            result: null,
+            error: null,
+            events: [],
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            handler
+        };
+        this.jobs.set(job.id, job);
+        this.queue.push(job);
+        this.record(job, { type: 'queued', message: 'Waiting to start...' });
+        log('📥', `Queued ${type} job ${job.id}`);
+
+        setImmediate(() => this.drain());
+        return this.toPublic(job);
+    }
+
+    /**
+     * Public view of a job, or null if unknown.
+     * @param {string} id - Job id.
+     * @returns {object|null}
+     */
+    get(id) {
+        const job = this.jobs.get(id);
+        return job ? this.toPublic(job) : null;
+    }
+
+    /**
+     * Subscribes to a job's events. Already recorded events are replayed first.
+     * @param {string} id - Job id.
+     * @param {function(object): void} listener - Called for each event.
+     * @returns {function(): void|null} - Unsubscribe function, or null if the job is unknown.
+     */
+    subscribe(id, listener) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+
+        job.events.forEach(listener);
+        if (this.isFinished(job)) return () => {};
+
+        const channel = `job:${id}`;
+        this.emitter.on(channel, listener);
+        return () => this.emitter.off(channel, listener);
+    }
+
+    /**
+     * Resolves once a job has finished.
+     * @param {string} id - Job id.
+     * @returns {Promise<object|null>} - Public view of the finished job, or null if unknown.
+     */
+    wait(id) {
+        const job = this.jobs.get(id);
+        if (!job) return Promise.resolve(null);
+        if (this.isFinished(job)) return Promise.resolve(this.toPublic(job));
+
+        return new Promise(resolve => {
+            const unsubscribe = this.subscribe(id, (event) => {
+                if (event.type === 'done') {
+                    unsubscribe();
+                    resolve(this.toPublic(job));
+                }
+            });
+        });
+    }
+
+    isFinished(job) {
+        return job.status === 'completed' || job.status === 'failed';
+    }
+
+    /**
+     * Starts queued jobs while there is capacity.
+     */
+    drain() {
+        while (this.running < CONCURRENCY && this.queue.length > 0) {
+            const job = this.queue.shift();
+            this.running++;
+            this.run(job).finally(() => {
+                this.running--;
+                this.drain();
+            });
+        }
+    }
+
+    async run(job) {
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        log('▶️', `Running ${job.type} job ${job.id}`);
+
+        try {
+            job.result = await job.handler((event) => this.record(job, event));
+            job.status = 'completed';
+            this.record(job, { type: 'result', data: job.result });
+            log('✅', `Job ${job.id} completed`);
+        } catch (error) {
+            job.status = 'failed';
+            job.error = error.message;
+            this.record(job, { type: 'error', message: error.message });
+            log('❌', `Job ${job.id} failed: ${error.message}`);
+        } finally {
+            job.finishedAt = new Date().toISOString();
+            job.handler = null; // release the uploaded file buffers
+            this.record(job, { type: 'done' });
+            setTimeout(() => this.jobs.delete(job.id), JOB_TTL_MS).unref();
+        }
+    }
+
+    /**
+     * Stores an event on the job and forwards it to subscribers.
+     */
+    record(job, event) {
+        const stamped = { ...event, jobId: job.id, timestamp: Date.now() };
+        // Keep the first events and the latest ones; drop the middle of very long runs.
+        if (job.events.length >= MAX_EVENTS_PER_JOB) job.events.splice(1, 1);
+        job.events.push(stamped);
+        if (event.type !== 'result' && event.type !== 'done') job.stage = event.message || event.type;
+        this.emitter.emit(`job:${job.id}`, stamped);
+    }
+
+    toPublic(job) {
+        return {
+            id: job.id,
+            type: job.type,
+            status: job.status,
+            stage: job.stage || null,
+            ...job.meta,
+            result: job.result,
+            error: job.error,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt
+        };
+    }
+}
+
+module.exports = new JobService();
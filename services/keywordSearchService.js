@@ -0,0 +1,129 @@
+/**
+ * Keyword Search Service
+ * Full-text index of document chunks in Postgres (`document_chunks`, `simple` text search
+ * configuration so identifiers, codes and names are not stemmed), ranked with BM25.
+ * Candidates come from a GIN-indexed tsvector match; BM25 is computed over them using
+ * corpus statistics from the same table.
+ */
+
+const db = require('../config/database');
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+// Candidates fetched from Postgres before BM25 re-scoring
+const CANDIDATE_LIMIT = 200;
+const MAX_QUERY_TERMS = 16;
+
+// Words, numbers and compound identifiers such as INV-2024-0042, ERR_CONN_RESET or v2.3.1
+const TERM_PATTERN = /[\p{L}\p{N}]+(?:[-_./:][\p{L}\p{N}]+)*/gu;
+const TERM_PART_SEPARATOR = /[-_./:]/;
+
+class KeywordSearchService {
+    /**
+     * Replaces the indexed chunks of a document.
+     * @param {number} documentId - Document id.
+     * @param {Array<{text: string, location: object}>} chunks - Chunks in document order (index = chunkIndex).
+     * @returns {Promise<number>} - Number of indexed chunks.
+     */
+    async indexChunks(documentId, chunks) {
+        await db.query('DELETE FROM document_chunks WHERE document_id = $1', [documentId]);
+        if (chunks.length === 0) return 0;
+        await db.query(
+            `INSERT INTO document_chunks (document_id, chunk_index, content, location)
+             SELECT $1, * FROM unnest($2::int[], $3::text[], $4::jsonb[])`,
+            [documentId, chunks.map((_, i) => i), chunks.map(c => c.text), chunks.map(c => JSON.stringify(c.location || {}))]
+        );
+        return chunks.length;
+    }
+
+    /**
+     * Ranks chunks by BM25 against the query terms.
+     * @param {string} query - Free-text query.
+     * @param {object} [options]
+     * @param {number} [options.k=10] - Number of chunks to return.
+     * @param {number[]|null} [options.documentIds] - Restrict to these documents (null = all active documents).
+     * @returns {Promise<Array<{text: string, metadata: object, score: number}>>} - Best first.
+     */
+    async search(query, { k = 10, documentIds = null } = {}) {
+        const terms = this.terms(query);
+        if (terms.length === 0) return [];
+
+        // $1 = document filter, $2.. = one plainto_tsquery per term, OR-ed together
+        const params = [documentIds, ...terms];
+        const tsqueries = terms.map((_, i) => `plainto_tsquery('simple', $${i + 2})`);
+        const anyTerm = `(${tsqueries.join(' || ')})`;
+        const scope = '($1::int[] IS NULL OR c.document_id = ANY($1))';
+
+        const stats = await db.query(
+            `SELECT COUNT(*)::int AS n,
+                    COALESCE(AVG(LENGTH(c.content)), 1)::float AS avg_length,
+                    ${tsqueries.map((q, i) => `COUNT(*) FILTER (WHERE c.tsv @@ ${q})::int AS df${i}`).join(', ')}
+             FROM document_chunks c JOIN documents d ON d.id = c.document_id
+             WHERE ${scope} AND d.is_active`,
+            params
+        );
+        const { n, avg_length: avgLength } = stats.rows[0];
+        if (n === 0) return [];
+
+        const candidates = await db.query(
+            `SELECT c.document_id, c.chunk_index, c.content, c.location, d.filename
+             FROM document_chunks c JOIN documents d ON d.id = c.document_id
+             WHERE ${scope} AND d.is_active AND c.tsv @@ ${anyTerm}
+             ORDER BY ts_rank_cd(c.tsv, ${anyTerm}) DESC
+             LIMIT ${CANDIDATE_LIMIT}`,
+            params
+        );
+
+        const idf = terms.map((_, i) => {
+            const df = stats.rows[0][`df${i}`];
+            return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+        });
+
+        return candidates.rows
+            .map(row => {
+                const counts = this.termCounts(row.content);
+                const lengthNorm = K1 * (1 - B + B * row.content.length / avgLength);
+                const score = terms.reduce((sum, term, i) => {
+                    const tf = counts.get(term) || 0;
+                    return sum + (tf === 0 ? 0 : idf[i] * (tf * (K1 + 1)) / (tf + lengthNorm));
+                }, 0);
+                return {
+                    text: row.content,
+                    metadata: { source: row.filename, documentId: row.document_id, chunkIndex: row.chunk_index, location: row.location || {} },
+                    score: Math.round(score * 1e4) / 1e4
+                };
+            })
+            .filter(chunk => chunk.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, k);
+    }
+
+    /**
+     * Distinct lower-cased query terms (at most MAX_QUERY_TERMS).
+     * @param {string} text
+     * @returns {string[]}
+     */
+    terms(text) {
+        return [...new Set((text.toLowerCase().match(TERM_PATTERN) || []))].slice(0, MAX_QUERY_TERMS);
+    }
+
+    /**
+     * Term frequencies of a chunk. Compound identifiers also count towards each of their parts,
+     * mirroring how Postgres indexes hyphenated words.
+     * @param {string} text
+     * @returns {Map<string, number>}
+     */
+    termCounts(text) {
+        const counts = new Map();
+        const add = (term) => counts.set(term, (counts.get(term) || 0) + 1);
+        for (const token of text.toLowerCase().match(TERM_PATTERN) || []) {
+            add(token);
+            const parts = token.split(TERM_PART_SEPARATOR);
+            if (parts.length > 1) parts.forEach(add);
+        }
+        return counts;
+    }
+}
+
+module.exports = new KeywordSearchService();
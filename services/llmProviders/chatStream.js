@@ -0,0 +1,52 @@
+/**
+ * OpenAI-style chat-completion streams
+ * Assembles streamed chunks ({ choices: [{ delta }] }) into one assistant message.
+ * Shared by the providers that speak the OpenAI chat API (Groq, OpenAI-compatible servers).
+ */
+
+/**
+ * Reads a chat-completion stream, passing each content delta to `onToken` as it arrives.
+ * @param {AsyncIterable<object>} stream - Chunks with `choices[0].delta`.
+ * @param {function(string): void} onToken - Receives content deltas.
+ * @returns {Promise<object>} - The assistant message ({ role, content, tool_calls? }).
+ */
+async function readChatStream(stream, onToken) {
+    let content = '';
+    const toolCalls = [];
+    for await (const chunk of stream) {
+        const delta = chunk.choices?.[0]?.delta;
+        if (!delta) continue;
+        if (delta.content) {
+            content += delta.content;
+            onToken(delta.content);
+        }
+        // Tool calls arrive in pieces keyed by index
+        for (const call of delta.tool_calls || []) {
+            const target = toolCalls[call.index ?? toolCalls.length] ??= { id: call.id, type: 'function', function: { name: '', arguments: '' } };
+            if (call.id) target.id = call.id;
+            if (call.function?.name) target.function.name += call.function.name;
+            if (call.function?.arguments) target.function.arguments += call.function.arguments;
+        }
+    }
+
+    const message = { role: 'assistant', content: content || null };
+    if (toolCalls.length > 0) message.tool_calls = toolCalls.filter(Boolean);
+    return message;
+}
+
+/**
+ * The OpenAI chat-completion body for a provider-neutral request.
+ * @param {object} request - { model, messages, temperature?, maxTokens?, tools?, toolChoice? }
+ * @returns {object}
+ */
+function toChatCompletionBody({ model, messages, temperature, maxTokens, tools = [], toolChoice }) {
+    return {
+        model,
+        messages,
+        ...(temperature !== undefined && { temperature }),
+        ...(maxTokens && { max_tokens: maxTokens }),
+        ...(tools.length > 0 && { tools, tool_choice: toolChoice || 'auto' })
+    };
+}
+
+module.exports = { readChatStream, toChatCompletionBody };
@@ -0,0 +1,171 @@
+/**
+ * Gemini Provider
+ * Chat completions through the Gemini API (@google/generative-ai). Configured with GEMINI_API_KEY.
+ *
+ * Requests and replies use the OpenAI chat format like the other providers; this module
+ * translates messages, tool definitions and function calls to and from Gemini's format.
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+/**
+ * Converts a tool's JSON schema to the OpenAPI subset Gemini accepts (type, nullable,
+ * description, enum, properties, required, items). Range and length limits are dropped;
+ * the tool registry still validates them. Values without a type are sent as strings.
+ * @param {object} schema - JSON schema.
+ * @returns {object} - Gemini schema.
+ */
+function toGeminiSchema(schema = {}) {
+    const types = [].concat(schema.type || 'string');
+    const result = { type: types.find(type => type !== 'null') || 'string' };
+    if (types.includes('null')) result.nullable = true;
+    if (schema.description) result.description = schema.description;
+    if (schema.enum) result.enum = schema.enum;
+
+    if (result.type === 'object') {
+        result.properties = Object.fromEntries(
+            Object.entries(schema.properties || {}).map(([name, property]) => [name, toGeminiSchema(property)])
+        );
+        if (schema.required?.length) result.required = schema.required;
+    } else if (result.type === 'array') {
+        result.items = toGeminiSchema(schema.items);
+    }
+    return result;
+}
+
+/**
+ * Parses tool-call arguments, which Gemini needs as an object.
+ */
+const parseArguments = (text) => {
+    try {
+        return JSON.parse(text || '{}');
+    } catch (e) {
+        return {};
+    }
+};
+
+/**
+ * Converts OpenAI chat messages to a Gemini system instruction and contents. System messages
+ * are joined into the instruction; tool results become function responses, named after
+ * the tool calls they answer. Consecutive turns with the same role are merged.
+ * @param {Array<object>} messages
+ * @returns {{ systemInstruction?: string, contents: Array<object> }}
+ */
+function toGeminiContents(messages) {
+    const system = [];
+    const contents = [];
+    const toolNames = new Map();
+    const push = (role, parts) => {
+        if (parts.length === 0) return;
+        const last = contents[contents.length - 1];
+        if (last?.role === role) last.parts.push(...parts);
+        else contents.push({ role, parts });
+    };
+
+    for (const message of messages) {
+        if (message.role === 'system') {
+            system.push(message.content);
+        } else if (message.role === 'user') {
+            push('user', [{ text: message.content }]);
+        } else if (message.role === 'assistant') {
+            const parts = message.content ? [{ text: message.content }] : [];
+            for (const call of message.tool_calls || []) {
+                toolNames.set(call.id, call.function.name);
+                parts.push({ functionCall: { name: call.function.name, args: parseArguments(call.function.arguments) } });
+            }
+            push('model', parts);
+        } else if (message.role === 'tool') {
+            push('function', [{
+                functionResponse: {
+                    name: toolNames.get(message.tool_call_id) || 'tool',
+                    response: { content: message.content }
+                }
+            }]);
+        }
+    }
+
+    return { systemInstruction: system.length > 0 ? system.join('\n\n') : undefined, contents };
+}
+
+class GeminiProvider {
+    constructor() {
+        this.name = 'gemini';
+        this.apiKey = process.env.GEMINI_API_KEY;
+        this.contextTokens = 1048576;
+        this.client = this.apiKey ? new GoogleGenerativeAI(this.apiKey) : null;
+    }
+
+    isConfigured() {
+        return !!this.client;
+    }
+
+    /**
+     * Runs one chat completion, streamed when `onToken` is given.
+     * @param {object} request - { model, messages, temperature?, maxTokens?, tools?, toolChoice? }
+     * @param {object} [options]
+     * @param {function(string): void|null} [options.onToken] - Receives content deltas.
+     * @param {AbortSignal|null} [options.signal] - Aborts the request.
+     * @returns {Promise<object>} - The assistant message ({ role, content, tool_calls? }).
+     * @throws {Error} GoogleGenerativeAIFetchError with `status` when the API rejects the request.
+     */
+    async complete({ model, messages, temperature, maxTokens, tools = [], toolChoice }, { onToken = null, signal = null } = {}) {
+        const { systemInstruction, contents } = toGeminiContents(messages);
+        const forcedTool = typeof toolChoice === 'object' ? toolChoice.function?.name : null;
+        const generativeModel = this.client.getGenerativeModel({
+            model,
+            systemInstruction,
+            generationConfig: {
+                ...(temperature !== undefined && { temperature }),
+                ...(maxTokens && { maxOutputTokens: maxTokens })
+            },
+            ...(tools.length > 0 && {
+                tools: [{
+                    functionDeclarations: tools.map(({ function: fn }) => ({
+                        name: fn.name,
+                        description: fn.description,
+                        parameters: toGeminiSchema(fn.parameters)
+                    }))
+                }],
+                toolConfig: {
+                    functionCallingConfig: forcedTool
+                        ? { mode: 'ANY', allowedFunctionNames: [forcedTool] }
+                        : { mode: 'AUTO' }
+                }
+            })
+        });
+
+        let content = '';
+        const functionCalls = [];
+        const read = (response) => {
+            for (const part of response.candidates?.[0]?.content?.parts || []) {
+                if (part.text) {
+                    content += part.text;
+                    if (onToken) onToken(part.text);
+                }
+                if (part.functionCall) functionCalls.push(part.functionCall);
+            }
+        };
+
+        if (onToken) {
+            const result = await generativeModel.generateContentStream({ contents }, { signal });
+            for await (const chunk of result.stream) read(chunk);
+        } else {
+            const result = await generativeModel.generateContent({ contents }, { signal });
+            read(result.response);
+        }
+
+        const message = { role: 'assistant', content: content || null };
+        if (functionCalls.length > 0) {
+            // Gemini does not number its function calls; ids only need to be unique within the run
+            const batch = Date.now().toString(36);
+            message.tool_calls = functionCalls.map((call, index) => ({
+                id: `gemini-${batch}-${index}`,
+                type: 'function',
+                function: { name: call.name, arguments: JSON.stringify(call.args || {}) }
+            }));
+        }
+        return message;
+    }
+}
+
+module.exports = GeminiProvider;
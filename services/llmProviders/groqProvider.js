@@ -0,0 +1,40 @@
+/**
+ * Groq Provider
+ * Chat completions through the Groq API (groq-sdk). Configured with GROQ_API_KEY.
+ */
+
+const Groq = require('groq-sdk');
+const { readChatStream, toChatCompletionBody } = require('./chatStream');
+
+class GroqProvider {
+    constructor() {
+        this.name = 'groq';
+        this.apiKey = process.env.GROQ_API_KEY;
+        this.contextTokens = 131072;
+        this.client = this.apiKey ? new Groq({ apiKey: this.apiKey }) : null;
+    }
+
+    isConfigured() {
+        return !!this.client;
+    }
+
+    /**
+     * Runs one chat completion, streamed when `onToken` is given.
+     * @param {object} request - { model, messages, temperature?, maxTokens?, tools?, toolChoice? }
+     * @param {object} [options]
+     * @param {function(string): void|null} [options.onToken] - Receives content deltas.
+     * @param {AbortSignal|null} [options.signal] - Aborts the request.
+     * @returns {Promise<object>} - The assistant message ({ role, content, tool_calls? }).
+     */
+    async complete(request, { onToken = null, signal = null } = {}) {
+        const body = toChatCompletionBody(request);
+        if (!onToken) {
+            const response = await this.client.chat.completions.create(body, { signal });
+            return response.choices[0].message;
+        }
+        const stream = await this.client.chat.completions.create({ ...body, stream: true }, { signal });
+        return readChatStream(stream, onToken);
+    }
+}
+
+module.exports = GroqProvider;
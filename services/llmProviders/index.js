@@ -0,0 +1,39 @@
+/**
+ * LLM Provider Registry
+ * The chat-model providers llmService can route requests to. Models are named
+ * `<provider>:<model>`, e.g. `groq:llama-3.3-70b-versatile`, `gemini:gemini-2.0-flash`
+ * or `local:llama3.1:8b`.
+ *
+ * Every provider implements the same interface:
+ *   - isConfigured()                           → whether its API key / URL is set
+ *   - contextTokens                            → default context size of its models, in tokens
+ *   - complete(request, { onToken, signal })   → assistant message ({ role, content, tool_calls? })
+ * where `request` is { model, messages, temperature?, maxTokens?, tools?, toolChoice? } in the
+ * OpenAI chat format, and `onToken` (optional) streams content deltas.
+ *
+ * Providers:
+ *   - groq    Groq API (GROQ_API_KEY)
+ *   - gemini  Google Gemini API (GEMINI_API_KEY)
+ *   - local   Any OpenAI-compatible server, e.g. Ollama or llama.cpp (LOCAL_LLM_URL)
+ */
+
+const PROVIDERS = {
+    groq: () => new (require('./groqProvider'))(),
+    gemini: () => new (require('./geminiProvider'))(),
+    local: () => new (require('./openaiCompatibleProvider'))()
+};
+
+const instances = new Map();
+
+/**
+ * Returns the provider instance for a name (created on first use).
+ * @param {string} name - Provider name.
+ * @returns {object|null} - The provider, or null for an unknown name.
+ */
+function getProvider(name) {
+    if (!PROVIDERS[name]) return null;
+    if (!instances.has(name)) instances.set(name, PROVIDERS[name]());
+    return instances.get(name);
+}
+
+module.exports = { getProvider, PROVIDER_NAMES: Object.keys(PROVIDERS) };
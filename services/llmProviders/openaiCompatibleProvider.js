@@ -0,0 +1,76 @@
+/**
+ * OpenAI-compatible Provider
+ * Chat completions from any server with an OpenAI-style /chat/completions endpoint, such as
+ * a local Ollama (http://localhost:11434/v1) or llama.cpp server (http://localhost:8080/v1).
+ * Configured with LOCAL_LLM_URL (and LOCAL_LLM_API_KEY when the server needs one).
+ */
+
+const axios = require('axios');
+const { readChatStream, toChatCompletionBody } = require('./chatStream');
+
+// Local models can take a while to load before the first token
+const REQUEST_TIMEOUT_MS = (Number(process.env.LOCAL_LLM_TIMEOUT_SECONDS) || 300) * 1000;
+
+/**
+ * Parses a server-sent event stream of JSON `data:` lines, up to `data: [DONE]`.
+ * @param {AsyncIterable<Buffer>} body - Response body stream.
+ * @returns {AsyncGenerator<object>}
+ */
+async function* readEvents(body) {
+    let buffer = '';
+    for await (const data of body) {
+        buffer += data.toString('utf8');
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith('data:')) continue;
+            const payload = trimmed.slice(5).trim();
+            if (payload === '[DONE]') return;
+            if (payload) yield JSON.parse(payload);
+        }
+    }
+}
+
+class OpenAICompatibleProvider {
+    constructor() {
+        this.name = 'local';
+        this.baseUrl = (process.env.LOCAL_LLM_URL || '').replace(/\/+$/, '');
+        this.apiKey = process.env.LOCAL_LLM_API_KEY;
+        // Must not exceed the server's context setting (e.g. Ollama's num_ctx)
+        this.contextTokens = Number(process.env.LOCAL_LLM_CONTEXT_TOKENS) || 8192;
+    }
+
+    isConfigured() {
+        return !!this.baseUrl;
+    }
+
+    /**
+     * Runs one chat completion, streamed when `onToken` is given.
+     * @param {object} request - { model, messages, temperature?, maxTokens?, tools?, toolChoice? }
+     * @param {object} [options]
+     * @param {function(string): void|null} [options.onToken] - Receives content deltas.
+     * @param {AbortSignal|null} [options.signal] - Aborts the request.
+     * @returns {Promise<object>} - The assistant message ({ role, content, tool_calls? }).
+     * @throws {Error} Axios errors; `response.status` is set when the server answered.
+     */
+    async complete(request, { onToken = null, signal = null } = {}) {
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+            ...toChatCompletionBody(request),
+            stream: !!onToken
+        }, {
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+            },
+            responseType: onToken ? 'stream' : 'json',
+            timeout: REQUEST_TIMEOUT_MS,
+            signal
+        });
+
+        if (!onToken) return response.data.choices[0].message;
+        return readChatStream(readEvents(response.data), onToken);
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,152 @@
+/**
+ * LLM Service
+ * Routes chat completions to a model of one of the providers in services/llmProviders, and
+ * falls back along a chain of models when one is rate-limited or unavailable.
+ *
+ * A request names its model as `<provider>:<model>` (default LLM_MODEL). Its chain is that
+ * model (or the list of models the request gives) followed by LLM_FALLBACK_MODELS. Models whose
+ * provider is not configured are skipped. A model is only given up on for rate limits (429),
+ * timeouts, server errors (5xx) and connection failures; other errors, such as an invalid
+ * request, a bad API key or an unparseable reply, are returned to the caller.
+ *
+ * Each model's context size is its LLM_CONTEXT_TOKENS entry, or else its provider's default.
+ */
+
+const Groq = require('groq-sdk');
+const { getProvider, PROVIDER_NAMES } = require('./llmProviders');
+
+const DEFAULT_MODEL = process.env.LLM_MODEL || 'groq:meta-llama/llama-4-scout-17b-16e-instruct';
+const FALLBACK_MODELS = (process.env.LLM_FALLBACK_MODELS || '').split(',').map(model => model.trim()).filter(Boolean);
+// Context sizes of specific models: `<provider>:<model>=tokens`, comma-separated
+const CONTEXT_TOKENS = new Map((process.env.LLM_CONTEXT_TOKENS || '').split(',').map(entry => {
+    const separator = entry.lastIndexOf('=');
+    return [entry.slice(0, separator).trim(), Number(entry.slice(separator + 1))];
+}).filter(([name, tokens]) => name && tokens > 0));
+// Models a request may list in its own chain
+const MAX_REQUEST_MODELS = 5;
+
+const log = (emoji, msg) => console.log(`[LLM] ${emoji} ${msg}`);
+
+// Network errors that mean the server is down or unreachable (ECONNABORTED: axios timeout)
+const TRANSPORT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED'];
+
+/**
+ * Whether a failed request should be retried with the next model in the chain: rate limits,
+ * timeouts, server errors and transport failures. Anything else (a bad request, a parse error,
+ * a bug) is thrown, so it is not mistaken for an outage.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+    const status = error.status || error.response?.status;
+    if (status) return status === 408 || status === 429 || status >= 500;
+    if (error instanceof Groq.APIConnectionError) return true; // includes APIConnectionTimeoutError
+    if ([error.code, error.cause?.code].some(code => TRANSPORT_ERROR_CODES.includes(code))) return true;
+    return /fetch failed/i.test(error.message); // fetch (Gemini SDK) wraps network errors in this message
+}
+
+class LLMService {
+    /**
+     * Splits a model name into provider and provider model (`local:llama3.1:8b` →
+     * { provider: 'local', model: 'llama3.1:8b' }).
+     * @param {string} name
+     * @returns {{ provider: string, model: string }|null} - null if the name is invalid.
+     */
+    parseModel(name) {
+        if (typeof name !== 'string') return null;
+        const separator = name.indexOf(':');
+        const provider = name.slice(0, separator).trim();
+        const model = name.slice(separator + 1).trim();
+        if (separator < 0 || !PROVIDER_NAMES.includes(provider) || !model) return null;
+        return { provider, model };
+    }
+
+    /**
+     * Validates a request's `model` option: a model name or a list of them (tried in order).
+     * @param {*} value
+     * @returns {string|null} - An error message, or null if valid (or absent).
+     */
+    validateModels(value) {
+        if (value === undefined || value === null) return null;
+        const names = [].concat(value);
+        if (names.length === 0 || names.length > MAX_REQUEST_MODELS) {
+            return `model must be a model name or a list of 1-${MAX_REQUEST_MODELS} model names.`;
+        }
+        const invalid = names.find(name => !this.parseModel(name));
+        if (invalid !== undefined) {
+            return `Invalid model "${invalid}". Use <provider>:<model> with provider ${PROVIDER_NAMES.join(', ')} (e.g. groq:llama-3.3-70b-versatile).`;
+        }
+        return null;
+    }
+
+    /**
+     * The models to try, in order, for a requested model (or list of models).
+     * @param {string|string[]|null} [requested] - Defaults to LLM_MODEL.
+     * @returns {string[]} - Model names whose provider is configured.
+     */
+    chain(requested = null) {
+        const names = [...new Set([...[].concat(requested || DEFAULT_MODEL), ...FALLBACK_MODELS])];
+        return names.filter(name => {
+            const parsed = this.parseModel(name);
+            return parsed && getProvider(parsed.provider).isConfigured();
+        });
+    }
+
+    /**
+     * Context size of a model in tokens (prompt and reply).
+     * @param {string} name - `<provider>:<model>`.
+     * @returns {number}
+     */
+    contextTokens(name) {
+        if (CONTEXT_TOKENS.has(name)) return CONTEXT_TOKENS.get(name);
+        return getProvider(this.parseModel(name).provider).contextTokens;
+    }
+
+    /**
+     * Runs a chat completion on the first model of the chain that answers.
+     * @param {object} request - { messages, temperature?, maxTokens?, tools?, toolChoice? } (OpenAI chat format).
+     * @param {object} [options]
+     * @param {string[]} [options.models] - Chain from chain(); defaults to the default chain.
+     * @param {function(string): void|null} [options.onToken] - Streams content deltas.
+     * @param {AbortSignal|null} [options.signal] - Aborts the request.
+     * @param {function(object): void|null} [options.onFallback] - Called with { from, to, error } before
+     *   moving to the next model (tokens already streamed by the failed model should be discarded).
+     * @param {function(string): Promise<void>|null} [options.prepare] - Awaited with each model's name before it
+     *   is tried, e.g. to fit `request.messages` to its context size.
+     * @returns {Promise<{ message: object, model: string }>} - The assistant message and the model that wrote it.
+     * @throws {Error} The last model's error when every model fails, or the first non-retryable error.
+     */
+    async complete(request, { models = this.chain(), onToken = null, signal = null, onFallback = null, prepare = null } = {}) {
+        if (models.length === 0) {
+            throw new Error('No configured LLM provider for the requested models. Set GROQ_API_KEY, GEMINI_API_KEY or LOCAL_LLM_URL.');
+        }
+
+        for (let i = 0; i < models.length; i++) {
+            const { provider, model } = this.parseModel(models[i]);
+            if (prepare) await prepare(models[i]);
+            try {
+                const message = await getProvider(provider).complete({ ...request, model }, { onToken, signal });
+                return { message, model: models[i] };
+            } catch (error) {
+                const next = models[i + 1];
+                if (signal?.aborted || !next || !isRetryable(error)) throw error;
+                log('↪️', `${models[i]} failed (${error.status || error.response?.status || error.code || error.message}); falling back to ${next}`);
+                if (onFallback) onFallback({ from: models[i], to: next, error });
+            }
+        }
+    }
+
+    /**
+     * The default model, the fallback chain and which providers are configured.
+     * @returns {object}
+     */
+    describe() {
+        return {
+            defaultModel: DEFAULT_MODEL,
+            fallbackModels: FALLBACK_MODELS,
+            providers: PROVIDER_NAMES.map(name => ({ name, configured: getProvider(name).isConfigured() }))
+        };
+    }
+}
+
+module.exports = new LLMService();
@@ -0,0 +1,235 @@
+/**
+ * Memory Service
+ * Long-term memory about the user: durable facts, preferences and goals ("is vegetarian",
+ * "lives in Bangalore") that carry over between conversations. The memories most relevant to
+ * a message are added to the chat system prompt. After each chat turn, new memories are
+ * extracted from what the user said; they are stored as `pending` until the user confirms
+ * them (or active right away with MEMORY_AUTO_APPROVE=true).
+ */
+
+const db = require('../config/database');
+const groqService = require('./groqService');
+
+const CATEGORIES = ['fact', 'preference', 'goal'];
+const STATUSES = ['active', 'pending'];
+
+// Memories added to one chat prompt
+const PROMPT_MEMORIES = Number(process.env.MEMORY_PROMPT_LIMIT) || 20;
+const EXTRACTION_ENABLED = process.env.MEMORY_EXTRACTION !== 'false';
+const AUTO_APPROVE = process.env.MEMORY_AUTO_APPROVE === 'true';
+// Extraction is an extra model request per turn, so it only runs for messages phrased like a durable
+// statement about the user ("I'm vegetarian", "I live in...", "my wife is...", "remember that...")
+const DURABLE_STATEMENT = new RegExp([
+    "\\bi(?: am|['’]?m) (?!not sure|just|trying to|looking|wondering|asking|curious|going to)",
+    '\\bi (?:live|work|study|prefer|usually|always|never|like|love|hate|enjoy|avoid|speak|own)\\b',
+    "\\bi(?: have|['’]ve got) (?:a|an|two|three|four|\\d+) ",
+    "\\bi (?:can['’]?t|cannot|don['’]?t) (?:eat|drink|stand)\\b",
+    '\\bmy (?:\\w+ ){1,2}(?:is|are|was)\\b',
+    '\\bmy name\\b',
+    '\\bcall me\\b',
+    '\\bremember\\b',
+    '\\bfrom now on\\b'
+].join('|'), 'i');
+// Message words used to rank memories (beyond this, the rest are ignored)
+const MAX_QUERY_TERMS = 30;
+const MAX_EXTRACTED = 5;
+const MAX_REPLY_CHARS = 2000;
+const EXTRACTION_MAX_TOKENS = 400;
+
+const COLUMNS = 'id, content, category, status, source, conversation_id, created_at, updated_at';
+
+const EXTRACTION_PROMPT = `You maintain a long-term memory about the user of a personal assistant. From the user's latest message, extract durable facts about the user that will still be useful in future conversations: personal details (where they live, work, family, pets), stable preferences (diet, tools, style, units) and ongoing goals.
+
+Rules:
+- Only what the user states about themselves. Not questions, not one-off requests, not temporary states ("I'm tired"), not facts about the world.
+- Skip anything already in KNOWN MEMORIES.
+- Write each memory as a short third-person statement without "the user", e.g. "Is vegetarian", "Lives in Bangalore", "Prefers metric units".
+- category: "fact", "preference" or "goal".
+- At most ${MAX_EXTRACTED} memories; usually there are none.
+
+Reply with JSON only: {"memories": [{"content": "...", "category": "..."}]}`;
+
+const log = (emoji, msg) => console.log(`[MEMORY] ${emoji} ${msg}`);
+
+class MemoryService {
+    /**
+     * Stores a memory. Content that matches an existing memory (case-insensitive) updates that
+     * memory instead (its category when one is given); an active memory is never turned back
+     * into a pending one.
+     * @param {object} memory
+     * @param {string} memory.content
+     * @param {string} [memory.category] - fact | preference | goal (new memories default to fact).
+     * @param {string} [memory.status='active'] - active | pending.
+     * @param {string} [memory.source='api'] - api | chat | extracted.
+     * @param {number|null} [memory.conversationId] - Conversation it was learned in.
+     * @returns {Promise<object>}
+     */
+    async create({ content, category = null, status = 'active', source = 'api', conversationId = null }) {
+        const result = await db.query(
+            `INSERT INTO memories (content, category, status, source, conversation_id)
+             VALUES ($1, COALESCE($2::text, 'fact'), $3, $4, $5)
+             ON CONFLICT ((lower(content))) DO UPDATE
+                 SET category = COALESCE($2::text, memories.category),
+                     status = CASE WHEN memories.status = 'active' THEN 'active' ELSE EXCLUDED.status END,
+                     updated_at = CURRENT_TIMESTAMP
+             RETURNING ${COLUMNS}`,
+            [content, category, status, source, conversationId]
+        );
+        return result.rows[0];
+    }
+
+    /**
+     * Lists memories, most recently updated first.
+     * @param {object} [options]
+     * @param {string} [options.status] - active | pending; all when omitted.
+     * @param {string} [options.query] - Only memories containing this (case-insensitive).
+     * @param {number} [options.limit=100]
+     * @param {number} [options.offset=0]
+     * @returns {Promise<Array>}
+     */
+    async list({ status = null, query = '', limit = 100, offset = 0 } = {}) {
+        const pattern = query ? `%${query.replace(/[\\%_]/g, '\\$&')}%` : null;
+        const result = await db.query(
+            `SELECT ${COLUMNS} FROM memories
+             WHERE ($1::text IS NULL OR status = $1) AND ($2::text IS NULL OR content ILIKE $2)
+             ORDER BY updated_at DESC, id DESC
+             LIMIT $3 OFFSET $4`,
+            [status, pattern, limit, offset]
+        );
+        return result.rows;
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<object|null>}
+     */
+    async get(id) {
+        const result = await db.query(`SELECT ${COLUMNS} FROM memories WHERE id = $1`, [id]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Updates the given fields of a memory (setting status 'active' confirms a pending one).
+     * @param {number} id
+     * @param {object} fields - { content?, category?, status? }
+     * @returns {Promise<object|null>} - The updated memory, or null if it does not exist.
+     * @throws {Error} With code '23505' if the new content duplicates another memory.
+     */
+    async update(id, fields) {
+        const values = [id];
+        const assignments = Object.entries(fields).map(([column, value]) => {
+            values.push(value);
+            return `${column} = $${values.length}`;
+        });
+        const result = await db.query(
+            `UPDATE memories SET ${[...assignments, 'updated_at = CURRENT_TIMESTAMP'].join(', ')} WHERE id = $1 RETURNING ${COLUMNS}`,
+            values
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Forgets a memory.
+     * @param {number} id
+     * @returns {Promise<object|null>} - The deleted memory, or null if it did not exist.
+     */
+    async remove(id) {
+        const result = await db.query(`DELETE FROM memories WHERE id = $1 RETURNING ${COLUMNS}`, [id]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Active memories for a chat prompt: all of them when there are few, otherwise those sharing
+     * the most words with the message (full-text rank), then the most recently updated.
+     * @param {string} message - The user's message.
+     * @param {number} [limit]
+     * @returns {Promise<Array>}
+     */
+    async relevant(message, limit = PROMPT_MEMORIES) {
+        const terms = [...new Set((message.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(term => term.length > 2))]
+            .slice(0, MAX_QUERY_TERMS);
+        const result = await db.query(
+            `SELECT ${COLUMNS} FROM memories
+             WHERE status = 'active'
+             ORDER BY CASE WHEN $1 = '' THEN 0 ELSE ts_rank(to_tsvector('english', content), to_tsquery('english', $1)) END DESC,
+                      updated_at DESC, id DESC
+             LIMIT $2`,
+            [terms.join(' | '), limit]
+        );
+        return result.rows;
+    }
+
+    /**
+     * Extracts new memories from a chat turn and stores them (pending unless MEMORY_AUTO_APPROVE).
+     * Runs after the reply is sent; failures are logged, not thrown.
+     * @param {string} userMessage
+     * @param {string} reply - The assistant's answer (context for the extraction).
+     * @param {object} [options]
+     * @param {number|null} [options.conversationId]
+     * @param {string|string[]|null} [options.model] - Model(s) of the chat turn, so the conversation is
+     *   not sent to another provider; default LLM_MODEL.
+     * @returns {Promise<Array>} - The memories stored.
+     */
+    async extract(userMessage, reply, { conversationId = null, model = null } = {}) {
+        if (!EXTRACTION_ENABLED || !DURABLE_STATEMENT.test(userMessage)) return [];
+
+        try {
+            const known = await this.list({ limit: 200 });
+            const completion = await groqService.complete([
+                { role: 'system', content: EXTRACTION_PROMPT },
+                {
+                    role: 'user',
+                    content: `KNOWN MEMORIES:\n${known.map(memory => `- ${memory.content}`).join('\n') || '(none)'}\n\n` +
+                        `USER MESSAGE:\n${userMessage}\n\nASSISTANT REPLY (context only):\n${(reply || '').substring(0, MAX_REPLY_CHARS)}`
+                }
+            ], { temperature: 0, maxTokens: EXTRACTION_MAX_TOKENS, model });
+
+            const knownContent = new Set(known.map(memory => memory.content.toLowerCase()));
+            const candidates = this.parseExtraction(completion)
+                .filter(candidate => !knownContent.has(candidate.content.toLowerCase()))
+                .slice(0, MAX_EXTRACTED);
+
+            const stored = [];
+            for (const candidate of candidates) {
+                stored.push(await this.create({
+                    ...candidate,
+                    status: AUTO_APPROVE ? 'active' : 'pending',
+                    source: 'extracted',
+                    conversationId
+                }));
+            }
+            if (stored.length > 0) log('🧠', `Learned ${stored.length} memor${stored.length === 1 ? 'y' : 'ies'} (${AUTO_APPROVE ? 'active' : 'pending review'})`);
+            return stored;
+        } catch (error) {
+            log('⚠️', `Extraction failed: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Reads the extraction reply, tolerating text around the JSON object.
+     * @param {string} text
+     * @returns {Array<{content: string, category: string}>}
+     */
+    parseExtraction(text) {
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+        if (start < 0 || end < start) return [];
+        let parsed;
+        try {
+            parsed = JSON.parse(text.substring(start, end + 1));
+        } catch (e) {
+            return [];
+        }
+        return (Array.isArray(parsed.memories) ? parsed.memories : [])
+            .filter(memory => typeof memory?.content === 'string' && memory.content.trim())
+            .map(memory => ({
+                content: memory.content.trim(),
+                category: CATEGORIES.includes(memory.category) ? memory.category : 'fact'
+            }));
+    }
+}
+
+module.exports = new MemoryService();
+module.exports.CATEGORIES = CATEGORIES;
+module.exports.STATUSES = STATUSES;
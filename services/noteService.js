@@ -0,0 +1,83 @@
+/**
+ * Note Service
+ * Free-form personal notes in Postgres, used by /api/notes and the chat agent's note tools.
+ */
+
+const db = require('../config/database');
+
+const COLUMNS = 'id, title, content, created_at, updated_at';
+
+class NoteService {
+    /**
+     * @param {object} note
+     * @param {string|null} [note.title]
+     * @param {string} note.content
+     * @returns {Promise<object>}
+     */
+    async create({ title = null, content }) {
+        const result = await db.query(
+            `INSERT INTO notes (title, content) VALUES ($1, $2) RETURNING ${COLUMNS}`,
+            [title, content]
+        );
+        return result.rows[0];
+    }
+
+    /**
+     * Lists notes, most recently updated first.
+     * @param {object} [options]
+     * @param {string} [options.query] - Only notes whose title or content contain this (case-insensitive).
+     * @param {number} [options.limit=50]
+     * @param {number} [options.offset=0]
+     * @returns {Promise<Array>}
+     */
+    async list({ query = '', limit = 50, offset = 0 } = {}) {
+        const pattern = query ? `%${query.replace(/[\\%_]/g, '\\$&')}%` : null;
+        const result = await db.query(
+            `SELECT ${COLUMNS} FROM notes
+             WHERE $1::text IS NULL OR title ILIKE $1 OR content ILIKE $1
+             ORDER BY updated_at DESC, id DESC
+             LIMIT $2 OFFSET $3`,
+            [pattern, limit, offset]
+        );
+        return result.rows;
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<object|null>}
+     */
+    async get(id) {
+        const result = await db.query(`SELECT ${COLUMNS} FROM notes WHERE id = $1`, [id]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Updates the given fields of a note.
+     * @param {number} id
+     * @param {object} fields - { title?, content? }
+     * @returns {Promise<object|null>} - The updated note, or null if it does not exist.
+     */
+    async update(id, fields) {
+        const values = [id];
+        const assignments = Object.entries(fields).map(([column, value]) => {
+            values.push(value);
+            return `${column} = $${values.length}`;
+        });
+        const result = await db.query(
+            `UPDATE notes SET ${[...assignments, 'updated_at = CURRENT_TIMESTAMP'].join(', ')} WHERE id = $1 RETURNING ${COLUMNS}`,
+            values
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<object|null>} - The deleted note, or null if it did not exist.
+     */
+    async remove(id) {
+        const result = await db.query(`DELETE FROM notes WHERE id = $1 RETURNING ${COLUMNS}`, [id]);
+        return result.rows[0] || null;
+    }
+}
+
+module.exports = new NoteService();
@@ -0,0 +1,89 @@
+/**
+ * OCR Service
+ * Offline text recognition for images and scanned PDF pages using tesseract.js (WASM).
+ * Language data ships with the @tesseract.js-data packages, so nothing is downloaded at runtime.
+ */
+
+const Tesseract = require('tesseract.js');
+const engData = require('@tesseract.js-data/eng');
+
+// Render scale for PDF pages; 2x gives tesseract enough pixels for body text.
+const PDF_RENDER_SCALE = 2;
+const MAX_OCR_PAGES = Number(process.env.OCR_MAX_PAGES) || 50;
+
+const log = (emoji, msg) => console.log(`[OCR] ${emoji} ${msg}`);
+
+class OCRService {
+    constructor() {
+        this.workerPromise = null;
+    }
+
+    /**
+     * Whether OCR is enabled (set OCR_ENABLED=false to disable it).
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return process.env.OCR_ENABLED !== 'false';
+    }
+
+    /**
+     * Lazily creates a single shared tesseract worker. Jobs are queued by the worker.
+     * @returns {Promise<object>}
+     */
+    getWorker() {
+        if (!this.workerPromise) {
+            log('⚙️', 'Starting tesseract worker (eng)');
+            this.workerPromise = Tesseract.createWorker(engData.code, Tesseract.OEM.LSTM_ONLY, {
+                langPath: process.env.OCR_LANG_PATH || engData.langPath,
+                gzip: engData.gzip,
+                cacheMethod: 'none'
+            }).catch(error => {
+                this.workerPromise = null;
+                throw error;
+            });
+        }
+        return this.workerPromise;
+    }
+
+    /**
+     * Recognizes text in an image.
+     * @param {Buffer} buffer - PNG, JPEG, BMP, TIFF or WebP bytes.
+     * @returns {Promise<{text: string, confidence: number}>} - Confidence is tesseract's 0-100 mean word confidence.
+     */
+    async recognizeImage(buffer) {
+        const worker = await this.getWorker();
+        const { data } = await worker.recognize(buffer);
+        return { text: data.text.trim(), confidence: Math.round(data.confidence) };
+    }
+
+    /**
+     * Renders PDF pages to images and recognizes their text.
+     * @param {Buffer} buffer - PDF bytes.
+     * @param {object} [options]
+     * @param {number[]} [options.pages] - 1-based page numbers to OCR (default: all, up to OCR_MAX_PAGES).
+     * @returns {Promise<Array<{page: number, text: string, confidence: number}>>}
+     */
+    async recognizePdf(buffer, { pages } = {}) {
+        // pdf-to-img is ESM-only
+        const { pdf } = await import('pdf-to-img');
+        const document = await pdf(buffer, { scale: PDF_RENDER_SCALE });
+        // Only the requested pages are rendered; out-of-range numbers are ignored
+        const pageNumbers = (pages || Array.from({ length: document.length }, (_, i) => i + 1))
+            .filter(n => Number.isInteger(n) && n >= 1 && n <= document.length);
+        if (pageNumbers.length > MAX_OCR_PAGES) {
+            log('⚠️', `Stopping at ${MAX_OCR_PAGES} OCR pages (OCR_MAX_PAGES)`);
+        }
+        const results = [];
+
+        for (const pageNumber of pageNumbers.slice(0, MAX_OCR_PAGES)) {
+            const image = await document.getPage(pageNumber);
+            const { text, confidence } = await this.recognizeImage(image);
+            log('🔤', `Page ${pageNumber}: ${text.length} chars, confidence ${confidence}%`);
+            results.push({ page: pageNumber, text, confidence });
+        }
+
+        return results;
+    }
+}
+
+module.exports = new OCRService();
@@ -0,0 +1,127 @@
+/**
+ * Persona Service
+ * Named system-prompt presets for the chat agent. A persona replaces the default
+ * instructions (groqService's SYSTEM_PROMPT) and can set the temperature, limit the tools the
+ * agent may call and ask for short, medium or long answers. Chats pick a persona per request
+ * or per conversation; without one they use the built-in default.
+ */
+
+const db = require('../config/database');
+const { SYSTEM_PROMPT } = require('./groqService');
+
+const RESPONSE_LENGTHS = ['short', 'medium', 'long'];
+
+// Appended to a persona's instructions for its response length
+const RESPONSE_LENGTH_PROMPTS = {
+    short: '## RESPONSE LENGTH\nAnswer in one to three sentences, or a short list when the answer is a list. No headings, tables or diagrams unless the user asks for them.',
+    medium: '## RESPONSE LENGTH\nKeep answers focused: a short paragraph or two, or a compact list. Use headings, tables or diagrams only when they clearly help.',
+    long: '## RESPONSE LENGTH\nGive thorough, well-structured answers, with headings, lists and tables where they help.'
+};
+
+const COLUMNS = 'id, name, description, instructions, temperature, allowed_tools, response_length, created_at, updated_at';
+
+class PersonaService {
+    /**
+     * The built-in persona used when a chat has none (not stored; cannot be edited).
+     * @returns {object}
+     */
+    defaultPersona() {
+        return {
+            id: null,
+            name: 'default',
+            description: 'Built-in research assistant: detailed, structured answers with web search and all tools.',
+            instructions: SYSTEM_PROMPT,
+            temperature: null,
+            allowed_tools: null,
+            response_length: null,
+            built_in: true
+        };
+    }
+
+    /**
+     * Creates a persona.
+     * @param {object} persona
+     * @param {string} persona.name - Unique (case-insensitive).
+     * @param {string|null} [persona.description]
+     * @param {string} persona.instructions - System prompt that replaces the default one.
+     * @param {number|null} [persona.temperature] - 0-2; null keeps the mode's default.
+     * @param {string[]|null} [persona.allowedTools] - Tool names the agent may call; null for all.
+     * @param {string|null} [persona.responseLength] - short | medium | long; null leaves it to the instructions.
+     * @returns {Promise<object>}
+     * @throws {Error} With code '23505' if the name is taken.
+     */
+    async create({ name, description = null, instructions, temperature = null, allowedTools = null, responseLength = null }) {
+        const result = await db.query(
+            `INSERT INTO personas (name, description, instructions, temperature, allowed_tools, response_length)
+             VALUES ($1, $2, $3, $4, $5, $6) RETURNING ${COLUMNS}`,
+            [name, description, instructions, temperature, allowedTools && JSON.stringify(allowedTools), responseLength]
+        );
+        return result.rows[0];
+    }
+
+    /**
+     * Lists personas by name.
+     * @returns {Promise<Array>}
+     */
+    async list() {
+        const result = await db.query(`SELECT ${COLUMNS} FROM personas ORDER BY lower(name)`);
+        return result.rows;
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<object|null>}
+     */
+    async get(id) {
+        const result = await db.query(`SELECT ${COLUMNS} FROM personas WHERE id = $1`, [id]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Updates the given columns of a persona.
+     * @param {number} id
+     * @param {object} fields - Column names to values (allowed_tools as an array or null).
+     * @returns {Promise<object|null>} - The updated persona, or null if it does not exist.
+     * @throws {Error} With code '23505' if the new name is taken.
+     */
+    async update(id, fields) {
+        const values = [id];
+        const assignments = Object.entries(fields).map(([column, value]) => {
+            values.push(column === 'allowed_tools' && value ? JSON.stringify(value) : value);
+            return `${column} = $${values.length}`;
+        });
+        const result = await db.query(
+            `UPDATE personas SET ${[...assignments, 'updated_at = CURRENT_TIMESTAMP'].join(', ')} WHERE id = $1 RETURNING ${COLUMNS}`,
+            values
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Deletes a persona; conversations using it go back to the default.
+     * @param {number} id
+     * @returns {Promise<object|null>} - The deleted persona, or null if it did not exist.
+     */
+    async remove(id) {
+        const result = await db.query(`DELETE FROM personas WHERE id = $1 RETURNING ${COLUMNS}`, [id]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * The `persona` option of groqService.chat for a stored persona.
+     * @param {object|null} persona - Persona row, or null for the default.
+     * @returns {{ instructions: string, temperature: number|null, allowedTools: string[]|null }|null}
+     */
+    toChatOptions(persona) {
+        if (!persona) return null;
+        const lengthPrompt = RESPONSE_LENGTH_PROMPTS[persona.response_length];
+        return {
+            instructions: lengthPrompt ? `${persona.instructions}\n\n${lengthPrompt}` : persona.instructions,
+            temperature: persona.temperature,
+            allowedTools: persona.allowed_tools
+        };
+    }
+}
+
+module.exports = new PersonaService();
+module.exports.RESPONSE_LENGTHS = RESPONSE_LENGTHS;
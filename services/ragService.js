@@ -1,25 +1,114 @@
 const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
 const xlsx = require('xlsx');
+const { RecursiveCharacterTextSplitter } = require('@langchain/textsplitters');
+const { GoogleGenerativeAIEmbeddings } = require('@langchain/google-genai');
+const { createVectorStore } = require('./vectorStores');
+const documentService = require('./documentService');
+const keywordSearchService = require('./keywordSearchService');
+const contextPacker = require('./contextPacker');
+const ocrService = require('./ocrService');
+const markupExtractor = require('./extractors/markupExtractor');
+const officeExtractor = require('./extractors/officeExtractor');
+const epubExtractor = require('./extractors/epubExtractor');
+const rtfExtractor = require('./extractors/rtfExtractor');
+const emailExtractor = require('./extractors/emailExtractor');
+const groqService = require('./groqService');
+
+const EMBEDDING_MODEL = 'gemini-embedding-001';
+const EMBEDDING_DIM = 3072;
+const CHUNK_SIZE = 1000;
+const CHUNK_OVERLAP = 200;
+const DEFAULT_TOP_K = 5;
+const RETRIEVAL_CANDIDATES = 20;
+const DEFAULT_CONTEXT_TOKEN_BUDGET = Number(process.env.DOCUMENT_CONTEXT_TOKEN_BUDGET) || 6000;
+const ROWS_PER_SEGMENT = 50;
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.bmp', '.tif', '.tiff', '.webp'];
+const TABULAR_MIME_TYPES = [
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-excel',
+    'text/csv'
+];
+const SNIPPET_LENGTH = 240;
+// Reciprocal rank fusion constant (score = sum of 1 / (RRF_K + rank) over the rankings)
+const RRF_K = 60;
+const RETRIEVAL_MODES = ['hybrid', 'semantic', 'keyword'];
+const DEFAULT_RETRIEVAL_MODE = RETRIEVAL_MODES.includes(process.env.RETRIEVAL_MODE) ? process.env.RETRIEVAL_MODE : 'hybrid';
+const EMAIL_MIME_TYPES = ['message/rfc822', 'application/mbox'];
 
 const log = (emoji, msg, ...args) => console.log(`[DOC_EXTRACT] ${emoji} ${msg}`, ...args);
 const err = (msg, e) => console.error(`[DOC_EXTRACT] ❌ ${msg}`, e?.message || e);
+const ragLog = (emoji, msg) => console.log(`[RAG] ${emoji} ${msg}`);
 
 class DocumentExtractionService {
     /**
      * Extract text from a file based on its MIME type / extension.
+     * Convenience wrapper over extractSegments that joins all segments.
      */
     async extractText(file) {
+        const segments = await this.extractSegments(file);
+        return this.joinSegments(segments);
+    }
+
+    /**
+     * Extract text from a file as an ordered list of segments.
+     * Each segment carries where it came from in the original file:
+     *   - PDF:        { page, ocrConfidence? }
+     *   - Images:     { ocrConfidence }
+     *   - DOCX / ODT / MD / HTML: { headingPath: ['Chapter', 'Section'] }
+     *   - PPTX:       { slide, title? }
+     *   - EPUB:       { chapter, headingPath }
+     *   - EML / MBOX: { message, subject, from?, date? }
+     *   - XLSX / CSV: { sheet?, rowStart, rowEnd }
+     *   - others:     {}
+     * @param {Object} file - Multer file object
+     * @returns {Promise<Array<{text: string, location: object}>>}
+     */
+    async extractSegments(file) {
         const mime = file.mimetype || '';
         const name = (file.originalname || '').toLowerCase();
         log('📝', `Extracting text | MIME: "${mime}" | File: "${file.originalname}" | Size: ${file.buffer?.length ?? 0} bytes`);
 
         // PDF
         if (mime === 'application/pdf' || name.endsWith('.pdf')) {
-            log('📝', 'Parser: pdf-parse');
-            const data = await pdfParse(file.buffer);
+            log('📝', 'Parser: pdf-parse (per page)');
+            const pages = [];
+            const data = await pdfParse(file.buffer, {
+                pagerender: async (pageData) => {
+                    const text = await this.renderPdfPage(pageData);
+                    pages.push({ text, location: { page: pageData.pageIndex + 1 } });
+                    return text;
+                }
+            });
             log('📝', `pdf-parse result: ${data.numpages} pages, ${data.text.length} chars`);
-            return data.text;
+            const textPages = pages.filter(p => p.text.trim().length > 0);
+
+            // Pages without a text layer are likely scans: OCR them.
+            const withText = new Set(textPages.map(p => p.location.page));
+            const missing = [];
+            for (let page = 1; page <= data.numpages; page++) {
+                if (!withText.has(page)) missing.push(page);
+            }
+            if (missing.length === 0 || !ocrService.isEnabled()) return textPages;
+
+            log('📝', `Parser: tesseract OCR for ${missing.length} page(s) without text`);
+            const ocrPages = await ocrService.recognizePdf(file.buffer, { pages: missing });
+            const scanned = ocrPages
+                .filter(p => p.text.length > 0)
+                .map(p => ({ text: p.text, location: { page: p.page, ocrConfidence: p.confidence } }));
+            return [...textPages, ...scanned].sort((a, b) => a.location.page - b.location.page);
+        }
+
+        // Images (photos, screenshots, scans)
+        if (mime.startsWith('image/') || IMAGE_EXTENSIONS.some(ext => name.endsWith(ext))) {
+            if (!ocrService.isEnabled()) {
+                log('⚠️', 'Image upload but OCR is disabled (OCR_ENABLED=false)');
+                return [];
+            }
+            log('📝', 'Parser: tesseract OCR (image)');
+            const { text, confidence } = await ocrService.recognizeImage(file.buffer);
+            log('📝', `OCR result: ${text.length} chars, confidence ${confidence}%`);
+            return text ? [{ text, location: { ocrConfidence: confidence } }] : [];
         }
 
         // Word (.docx / .doc)
@@ -28,10 +117,51 @@ class DocumentExtractionService {
             mime === 'application/msword' ||
             name.endsWith('.docx') || name.endsWith('.doc')
         ) {
-            log('📝', 'Parser: mammoth (Word)');
-            const result = await mammoth.extractRawText({ buffer: file.buffer });
-            log('📝', `mammoth result: ${result.value.length} chars`);
-            return result.value;
+            log('📝', 'Parser: mammoth (Word, by heading)');
+            const result = await mammoth.convertToHtml({ buffer: file.buffer });
+            const segments = this.splitHtmlByHeadings(result.value);
+            log('📝', `mammoth result: ${segments.length} sections`);
+            return segments;
+        }
+
+        // PowerPoint (.pptx)
+        if (mime === 'application/vnd.openxmlformats-officedocument.presentationml.presentation' || name.endsWith('.pptx')) {
+            log('📝', 'Parser: PPTX (per slide, with notes)');
+            const segments = await officeExtractor.extractPptx(file.buffer);
+            log('📝', `PPTX result: ${segments.length} slides with text`);
+            return segments;
+        }
+
+        // OpenDocument text (.odt)
+        if (mime === 'application/vnd.oasis.opendocument.text' || name.endsWith('.odt')) {
+            log('📝', 'Parser: ODT (by heading)');
+            const segments = this.splitMarkdownByHeadings(await officeExtractor.extractOdtMarkdown(file.buffer));
+            log('📝', `ODT result: ${segments.length} sections`);
+            return segments;
+        }
+
+        // EPUB ebooks
+        if (mime === 'application/epub+zip' || name.endsWith('.epub')) {
+            log('📝', 'Parser: EPUB (spine order, chapters → Markdown)');
+            const { title, chapters } = await epubExtractor.extract(file.buffer);
+            const segments = chapters.flatMap(({ chapter, markdown }) =>
+                this.splitMarkdownByHeadings(markdown).map(s => ({ text: s.text, location: { chapter, ...s.location } }))
+            );
+            log('📝', `EPUB result: "${title}", ${chapters.length} chapters, ${segments.length} sections`);
+            return segments;
+        }
+
+        // Email (.eml) and mailboxes (.mbox)
+        if (this.isEmail(file)) {
+            return (await this.extractEmail(file)).segments;
+        }
+
+        // RTF (before plain text: text/rtf would otherwise be decoded raw)
+        if (mime === 'application/rtf' || mime === 'text/rtf' || name.endsWith('.rtf')) {
+            log('📝', 'Parser: RTF');
+            const text = rtfExtractor.toText(file.buffer);
+            log('📝', `RTF result: ${text.length} chars`);
+            return [{ text, location: {} }];
         }
 
         // Excel
@@ -42,21 +172,21 @@ class DocumentExtractionService {
         ) {
             log('📝', 'Parser: xlsx');
             const workbook = xlsx.read(file.buffer, { type: 'buffer' });
-            const texts = workbook.SheetNames.map(sheetName => {
+            const segments = workbook.SheetNames.flatMap(sheetName => {
                 const ws = workbook.Sheets[sheetName];
-                return `=== Sheet: ${sheetName} ===\n` + xlsx.utils.sheet_to_csv(ws);
+                return this.splitRows(ws, sheetName);
             });
-            const combined = texts.join('\n\n');
-            log('📝', `xlsx result: ${workbook.SheetNames.length} sheets, ${combined.length} chars`);
-            return combined;
+            log('📝', `xlsx result: ${workbook.SheetNames.length} sheets, ${segments.length} row blocks`);
+            return segments;
         }
 
         // CSV
         if (mime === 'text/csv' || name.endsWith('.csv')) {
             log('📝', 'Parser: UTF-8 (CSV)');
-            const text = file.buffer.toString('utf-8');
-            log('📝', `CSV result: ${text.length} chars`);
-            return text;
+            const workbook = xlsx.read(file.buffer.toString('utf-8'), { type: 'string', raw: true });
+            const segments = this.splitRows(workbook.Sheets[workbook.SheetNames[0]], null);
+            log('📝', `CSV result: ${segments.length} row blocks`);
+            return segments;
         }
 
         // JSON
@@ -66,11 +196,11 @@ class DocumentExtractionService {
                 const parsed = JSON.parse(file.buffer.toString('utf-8'));
                 const text = JSON.stringify(parsed, null, 2);
                 log('📝', `JSON result: ${text.length} chars`);
-                return text;
+                return [{ text, location: {} }];
             } catch {
                 const text = file.buffer.toString('utf-8');
                 log('⚠️', 'JSON.parse failed, returning raw text');
-                return text;
+                return [{ text, location: {} }];
             }
         }
 
@@ -79,40 +209,335 @@ class DocumentExtractionService {
             mime === 'text/html' || mime === 'application/xhtml+xml' ||
             name.endsWith('.html') || name.endsWith('.htm')
         ) {
-            log('📝', 'Parser: HTML tag stripper');
-            const text = file.buffer.toString('utf-8').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
-            log('📝', `HTML strip result: ${text.length} chars`);
-            return text;
-        }
-
-        // XML
-        if (mime === 'application/xml' || mime === 'text/xml' || name.endsWith('.xml')) {
-            log('📝', 'Parser: XML tag stripper');
-            const text = file.buffer.toString('utf-8').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
-            log('📝', `XML strip result: ${text.length} chars`);
-            return text;
+            log('📝', 'Parser: Readability + Turndown (HTML → Markdown)');
+            const { title, markdown } = markupExtractor.htmlToMarkdown(file.buffer.toString('utf-8'));
+            const withTitle = title && !/^# /m.test(markdown) ? `# ${title}\n\n${markdown}` : markdown;
+            const segments = this.splitMarkdownByHeadings(withTitle);
+            log('📝', `HTML result: ${withTitle.length} chars of Markdown in ${segments.length} sections`);
+            return segments;
         }
 
-        // Plain text / Markdown / RTF / log
+        // XML (feeds, configs)
         if (
-            mime.startsWith('text/') ||
-            name.endsWith('.txt') || name.endsWith('.md') ||
-            name.endsWith('.rtf') || name.endsWith('.log')
+            mime === 'application/xml' || mime === 'text/xml' ||
+            mime === 'application/rss+xml' || mime === 'application/atom+xml' ||
+            name.endsWith('.xml') || name.endsWith('.rss') || name.endsWith('.atom')
         ) {
+            log('📝', 'Parser: XML outline');
+            const xml = file.buffer.toString('utf-8');
+            let text;
+            try {
+                text = markupExtractor.xmlToOutline(xml);
+            } catch (error) {
+                // Malformed XML: parse leniently as markup and keep the text only
+                log('⚠️', `${error.message} Falling back to plain text.`);
+                text = markupExtractor.htmlFragmentToText(xml);
+            }
+            log('📝', `XML outline result: ${text.length} chars`);
+            return [{ text, location: {} }];
+        }
+
+        // Markdown
+        if (mime === 'text/markdown' || name.endsWith('.md')) {
+            log('📝', 'Parser: UTF-8 (Markdown, by heading)');
+            const segments = this.splitMarkdownByHeadings(file.buffer.toString('utf-8'));
+            log('📝', `Markdown result: ${segments.length} sections`);
+            return segments;
+        }
+
+        // Plain text / log
+        if (mime.startsWith('text/') || name.endsWith('.txt') || name.endsWith('.log')) {
             log('📝', 'Parser: UTF-8 (plain text)');
             const text = file.buffer.toString('utf-8');
             log('📝', `Plain text result: ${text.length} chars`);
-            return text;
+            return [{ text, location: {} }];
+        }
+
+        // Unknown — decode as UTF-8 only if it looks like text
+        if (this.looksBinary(file.buffer)) {
+            throw new Error(`Unsupported file type "${mime || 'unknown'}" for "${file.originalname}".`);
         }
+        log('⚠️', `Unknown MIME type "${mime}" for "${file.originalname}". Decoding as UTF-8 text.`);
+        return [{ text: file.buffer.toString('utf-8'), location: {} }];
+    }
+
+    /**
+     * Whether a file is an email message or mailbox.
+     * @param {Object} file - Multer file object
+     * @returns {boolean}
+     */
+    isEmail(file) {
+        const name = (file.originalname || '').toLowerCase();
+        return EMAIL_MIME_TYPES.includes(file.mimetype) || name.endsWith('.eml') || this.isMbox(file);
+    }
+
+    isMbox(file) {
+        return file.mimetype === 'application/mbox' || (file.originalname || '').toLowerCase().endsWith('.mbox');
+    }
+
+    /**
+     * Heuristic binary check: NUL bytes or many invalid UTF-8 sequences in the first 8KB.
+     * @param {Buffer} buffer
+     * @returns {boolean}
+     */
+    looksBinary(buffer) {
+        const sample = buffer.subarray(0, 8192);
+        if (sample.includes(0)) return true;
+        const replacements = (sample.toString('utf-8').match(/\uFFFD/g) || []).length;
+        return replacements > sample.length * 0.1;
+    }
+
+    /**
+     * Extracts segments and, for emails, the attachments to store as sub-documents, parsing the file once.
+     * @param {Object} file - Multer file object
+     * @returns {Promise<{segments: Array<{text: string, location: object}>, attachments: Array<object>}>}
+     *   `attachments` are multer-like file objects ([] for non-email files).
+     */
+    async extractDocument(file) {
+        if (this.isEmail(file)) return this.extractEmail(file);
+        return { segments: await this.extractSegments(file), attachments: [] };
+    }
+
+    /**
+     * Parses an email or mailbox: one segment per message, plus its attachments.
+     * @param {Object} file - Multer file object
+     * @returns {Promise<{segments: Array<{text: string, location: object}>, attachments: Array<object>}>}
+     */
+    async extractEmail(file) {
+        log('📝', 'Parser: mailparser (email headers + body)');
+        const { segments, attachments } = await emailExtractor.extract(file.buffer, { mbox: this.isMbox(file) });
+        log('📝', `Email result: ${segments.length} messages, ${attachments.length} attachments`);
+        return { segments, attachments };
+    }
+
+    /**
+     * Extracts spreadsheet / CSV files as structured tables (one per sheet).
+     * Dates are normalized to ISO strings so they can be compared and grouped.
+     * @param {Object} file - Multer file object
+     * @returns {Array<{name: string, columns: string[], rows: object[]}>} - [] for non-tabular files.
+     */
+    extractTables(file) {
+        const mime = file.mimetype || '';
+        const name = (file.originalname || '').toLowerCase();
+        const isTabular = TABULAR_MIME_TYPES.includes(mime) || ['.xlsx', '.xls', '.csv'].some(ext => name.endsWith(ext));
+        if (!isTabular) return [];
+
+        // CSV cells stay raw strings (xlsx would guess dates in local time);
+        // spreadsheet date cells are detected from their number format.
+        const isCsv = mime === 'text/csv' || name.endsWith('.csv');
+        const workbook = xlsx.read(file.buffer, isCsv ? { type: 'buffer', raw: true } : { type: 'buffer', cellNF: true });
+
+        return workbook.SheetNames.map(sheetName => {
+            const ws = workbook.Sheets[sheetName];
+            this.normalizeSheetDates(ws);
+            const rows = xlsx.utils.sheet_to_json(ws, { defval: null });
+            const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+            return { name: isCsv ? file.originalname : sheetName, columns, rows };
+        }).filter(table => table.rows.length > 0);
+    }
+
+    /**
+     * Rewrites date-formatted numeric cells as YYYY-MM-DD (or YYYY-MM-DDTHH:mm:ss) strings.
+     * Uses the serial date code directly so the result does not depend on the server time zone.
+     * @param {object} ws - xlsx worksheet
+     */
+    normalizeSheetDates(ws) {
+        const pad = (n) => String(n).padStart(2, '0');
+        for (const [address, cell] of Object.entries(ws)) {
+            if (address[0] === '!' || cell.t !== 'n' || !cell.z || !xlsx.SSF.is_date(cell.z)) continue;
+            const p = xlsx.SSF.parse_date_code(cell.v);
+            if (!p) continue;
+            const day = `${p.y}-${pad(p.m)}-${pad(p.d)}`;
+            cell.t = 's';
+            cell.v = (p.H || p.M || p.S) ? `${day}T${pad(p.H)}:${pad(p.M)}:${pad(p.S)}` : day;
+        }
+    }
+
+    /**
+     * Renders one PDF page to text, mirroring pdf-parse's default page renderer.
+     * @param {object} pageData - pdf.js page proxy
+     * @returns {Promise<string>}
+     */
+    async renderPdfPage(pageData) {
+        const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+        let lastY, text = '';
+        for (const item of textContent.items) {
+            text += (lastY === item.transform[5] || !lastY) ? item.str : '\n' + item.str;
+            lastY = item.transform[5];
+        }
+        return text;
+    }
+
+    /**
+     * Splits mammoth HTML output into one segment per heading section.
+     * @param {string} html - HTML produced by mammoth.
+     * @returns {Array<{text: string, location: object}>}
+     */
+    splitHtmlByHeadings(html) {
+        const segments = [];
+        const path = [];
+        let current = { lines: [], headingPath: [] };
+
+        const flush = () => {
+            const text = current.lines.join('\n').trim();
+            if (text) segments.push({ text, location: { headingPath: current.headingPath } });
+        };
+
+        const blockRegex = /<(h[1-6]|p|li|tr)\b[^>]*>([\s\S]*?)<\/\1>/g;
+        let match;
+        while ((match = blockRegex.exec(html)) !== null) {
+            const tag = match[1];
+            const content = this.htmlToText(tag === 'tr' ? match[2].replace(/<\/t[dh]>/g, ' | ') : match[2]);
+            if (!content) continue;
+
+            if (tag[0] === 'h') {
+                flush();
+                const level = Number(tag[1]);
+                path.length = level - 1;
+                path[level - 1] = content;
+                current = { lines: [content], headingPath: path.filter(Boolean) };
+            } else {
+                current.lines.push(tag === 'li' ? `- ${content}` : content);
+            }
+        }
+        flush();
+        return segments;
+    }
+
+    /**
+     * Splits Markdown text into one segment per heading section.
+     * @param {string} markdown
+     * @returns {Array<{text: string, location: object}>}
+     */
+    splitMarkdownByHeadings(markdown) {
+        const segments = [];
+        const path = [];
+        let current = { lines: [], headingPath: [] };
+        let inFence = false;
+
+        const flush = () => {
+            const text = current.lines.join('\n').trim();
+            if (text) segments.push({ text, location: { headingPath: current.headingPath } });
+        };
+
+        for (const line of markdown.split(/\r?\n/)) {
+            if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+            const heading = !inFence && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+            if (heading) {
+                flush();
+                const level = heading[1].length;
+                path.length = level - 1;
+                path[level - 1] = heading[2];
+                current = { lines: [line], headingPath: path.filter(Boolean) };
+            } else {
+                current.lines.push(line);
+            }
+        }
+        flush();
+        return segments;
+    }
+
+    /**
+     * Splits a worksheet into blocks of rows written as CSV, repeating the header row in every block.
+     * Rows come from the parsed sheet, so a quoted cell spanning several lines stays one row.
+     * @param {object} ws - xlsx worksheet.
+     * @param {string|null} sheet - Sheet name (null for plain CSV files).
+     * @returns {Array<{text: string, location: object}>}
+     */
+    splitRows(ws, sheet) {
+        if (!ws?.['!ref']) return [];
+        const firstRow = xlsx.utils.decode_range(ws['!ref']).s.r + 1;
+        const lines = xlsx.utils.sheet_to_json(ws, { header: 1, defval: '', blankrows: true, raw: false })
+            .map(cells => cells.map(cell => /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell).join(','));
+        const isBlank = (line) => line.replace(/,/g, '').trim().length === 0;
+        const headerIndex = lines.findIndex(line => !isBlank(line));
+        if (headerIndex === -1) return [];
+
+        const header = lines[headerIndex];
+        const segments = [];
+        for (let start = headerIndex; start < lines.length; start += ROWS_PER_SEGMENT) {
+            const block = lines.slice(start, start + ROWS_PER_SEGMENT);
+            const rows = block.filter(line => !isBlank(line));
+            if (rows.length === 0) continue;
+
+            const rowStart = firstRow + start;
+            const rowEnd = rowStart + block.length - 1;
+            const location = sheet ? { sheet, rowStart, rowEnd } : { rowStart, rowEnd };
+            const title = sheet ? `=== Sheet: ${sheet} (rows ${rowStart}-${rowEnd}) ===\n` : '';
+            const body = start === headerIndex ? rows : [header, ...rows];
+            segments.push({ text: title + body.join('\n'), location });
+        }
+        return segments;
+    }
+
+    /**
+     * Strips tags from an HTML fragment and decodes common entities.
+     * @param {string} html
+     * @returns {string}
+     */
+    htmlToText(html) {
+        return html
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&amp;/g, '&')
+            .replace(/[ \t]+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Joins segments into a single text.
+     * @param {Array<{text: string}>} segments
+     * @returns {string}
+     */
+    joinSegments(segments) {
+        return segments.map(s => s.text).join('\n\n');
+    }
+
+    /**
+     * Human-readable label for a segment location, e.g. "page 12" or "Budget, rows 2-51".
+     * @param {object} location - Segment location metadata.
+     * @returns {string} - Label, or '' if the location is unknown.
+     */
+    formatLocation(location) {
+        if (!location) return '';
+        if (location.page) return `page ${location.page}`;
+        if (location.slide) return location.title ? `slide ${location.slide}: ${location.title}` : `slide ${location.slide}`;
+        if (location.message) return location.subject ? `message ${location.message}: ${location.subject}` : `message ${location.message}`;
+        if (location.chapter) {
+            const chapter = `chapter ${location.chapter}`;
+            return location.headingPath?.length ? `${chapter}, ${location.headingPath.join(' > ')}` : chapter;
+        }
+        if (location.rowStart) {
+            const rows = `rows ${location.rowStart}-${location.rowEnd}`;
+            return location.sheet ? `${location.sheet}, ${rows}` : rows;
+        }
+        if (location.headingPath?.length) return location.headingPath.join(' > ');
+        return '';
+    }
+
+    /**
+     * Summarizes OCR confidence across segments, if any segment came from OCR.
+     * @param {Array<{location: object}>} segments
+     * @returns {object|null} - { pages: [{ page, confidence }], averageConfidence } or null.
+     */
+    summarizeOcr(segments) {
+        const pages = segments
+            .filter(s => s.location?.ocrConfidence !== undefined)
+            .map(s => ({ page: s.location.page ?? 1, confidence: s.location.ocrConfidence }));
+        if (pages.length === 0) return null;
 
-        // Unknown — try UTF-8 as last resort
-        log('⚠️', `Unknown MIME type "${mime}" for "${file.originalname}". Attempting UTF-8 decode.`);
-        return file.buffer.toString('utf-8');
+        const averageConfidence = Math.round(pages.reduce((sum, p) => sum + p.confidence, 0) / pages.length);
+        return { pages, averageConfidence };
     }
 
     /**
      * Process a document and extract its text.
      * @param {Object} file - Multer file object
+     * @returns {Promise<object>} - { success, text, segments, ocr?, tables?, attachments? } or { success: false, error }
      */
     async processDocument(file) {
         const startTime = Date.now();
@@ -121,19 +546,26 @@ class DocumentExtractionService {
 
         try {
             // 1. Extract text
-            const text = await this.extractText(file);
+            const { segments, attachments } = await this.extractDocument(file);
+            const text = this.joinSegments(segments);
 
             if (!text || text.trim().length === 0) {
-                const msg = 'Extracted text is empty. The file may be image-only or unreadable.';
+                const msg = 'Extracted text is empty. The file may be unreadable or contain no recognizable text.';
                 err(msg);
                 return { success: false, error: msg };
             }
 
             const elapsed = Date.now() - startTime;
-            log('✅', `Extraction complete: ${text.length} chars from "${file.originalname}" in ${elapsed}ms`);
+            log('✅', `Extraction complete: ${text.length} chars in ${segments.length} segments from "${file.originalname}" in ${elapsed}ms`);
             log('📂', `─── EXTRACT END ─────────────────────────────────────────`);
 
-            return { success: true, text: text };
+            const result = { success: true, text, segments };
+            const ocr = this.summarizeOcr(segments);
+            if (ocr) result.ocr = ocr;
+            const tables = this.extractTables(file);
+            if (tables.length > 0) result.tables = tables;
+            if (attachments.length > 0) result.attachments = attachments;
+            return result;
 
         } catch (error) {
             const elapsed = Date.now() - startTime;
@@ -144,4 +576,386 @@ class DocumentExtractionService {
     }
 }
 
-module.exports = new DocumentExtractionService();
+/**
+ * RAG Service
+ * Adds chunking, embedding and vector-store retrieval on top of text extraction.
+ * The vector store backend is chosen by VECTOR_STORE (see services/vectorStores).
+ */
+class RAGService extends DocumentExtractionService {
+    constructor() {
+        super();
+        this._embeddings = null;
+        this._vectorStore = null;
+        this.splitter = new RecursiveCharacterTextSplitter({
+            chunkSize: CHUNK_SIZE,
+            chunkOverlap: CHUNK_OVERLAP
+        });
+    }
+
+    /**
+     * Gemini embeddings client, created on first use so the server can start without GEMINI_API_KEY.
+     */
+    get embeddings() {
+        if (!this._embeddings) {
+            if (!process.env.GEMINI_API_KEY) {
+                throw new Error('GEMINI_API_KEY is not set. It is required for document embeddings.');
+            }
+            this._embeddings = new GoogleGenerativeAIEmbeddings({
+                apiKey: process.env.GEMINI_API_KEY,
+                model: EMBEDDING_MODEL
+            });
+        }
+        return this._embeddings;
+    }
+
+    get vectorStore() {
+        if (!this._vectorStore) {
+            this._vectorStore = createVectorStore({ dimension: EMBEDDING_DIM });
+            ragLog('🗄️', `Vector store backend: ${this._vectorStore.name}`);
+        }
+        return this._vectorStore;
+    }
+
+    /**
+     * Extracts, chunks, embeds and stores a document.
+     * Re-ingesting a file with the same name replaces its previous chunks.
+     * @param {Object} file - Multer file object
+     * @returns {Promise<object>} - { success, source, chunks } or { success: false, error }
+     */
+    async ingestDocument(file) {
+        const extraction = await this.processDocument(file);
+        if (!extraction.success) return extraction;
+
+        try {
+            const source = file.originalname;
+            const count = await this.ingestSegments(extraction.segments, { source });
+            return { success: true, source, chunks: count, text: extraction.text };
+        } catch (error) {
+            ragLog('❌', `Ingestion failed for "${file.originalname}": ${error.message}`);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Chunks, embeds and stores already-extracted text.
+     * @param {string} text - Document text.
+     * @param {object} metadata - See ingestSegments.
+     * @returns {Promise<number>} - Number of stored chunks.
+     */
+    async ingestText(text, metadata) {
+        return this.ingestSegments([{ text, location: {} }], metadata);
+    }
+
+    /**
+     * Chunks, embeds and stores extracted segments. Chunks never cross segment
+     * boundaries, so each one keeps its segment's location (page, heading, rows).
+     * Previous chunks of the same document (or, without a documentId, the same source) are replaced.
+     * Stored documents are also added to the keyword index first, so they stay searchable
+     * by keyword even when embedding fails.
+     * @param {Array<{text: string, location: object}>} segments - Segments from extractSegments.
+     * @param {object} metadata - Metadata stored with every chunk; must include `source`, may include `documentId`.
+     * @returns {Promise<number>} - Number of stored chunks.
+     */
+    async ingestSegments(segments, metadata) {
+        const pieces = [];
+        for (const segment of segments) {
+            for (const text of await this.splitter.splitText(segment.text)) {
+                pieces.push({ text, location: segment.location || {} });
+            }
+        }
+        if (pieces.length === 0) return 0;
+
+        ragLog('✂️', `Split "${metadata.source}" into ${pieces.length} chunks from ${segments.length} segments`);
+        if (metadata.documentId !== undefined) {
+            await keywordSearchService.indexChunks(metadata.documentId, pieces);
+        }
+        const vectors = await this.embeddings.embedDocuments(pieces.map(p => p.text));
+
+        await this.vectorStore.deleteWhere(metadata.documentId !== undefined
+            ? { documentIds: [metadata.documentId] }
+            : { source: metadata.source });
+        const count = await this.vectorStore.addChunks(pieces.map((piece, i) => ({
+            text: piece.text,
+            embedding: vectors[i],
+            metadata: { ...metadata, chunkIndex: i, location: piece.location }
+        })));
+
+        ragLog('✅', `Stored ${count} chunks for "${metadata.source}" in ${this.vectorStore.name}`);
+        return count;
+    }
+
+    /**
+     * Retrieves the chunks most relevant to a query.
+     * @param {string} query - Natural-language query.
+     * @param {object} [options]
+     * @param {number} [options.k=5] - Number of chunks to return.
+     * @param {object} [options.filter] - Metadata filter ({ source, documentIds }).
+     * @returns {Promise<object>} - { success, chunks: [{ text, metadata, score }] } or { success: false, error }
+     */
+    async queryDocuments(query, { k = DEFAULT_TOP_K, filter = {} } = {}) {
+        try {
+            const embedding = await this.embeddings.embedQuery(query);
+            const chunks = await this.vectorStore.similaritySearch(embedding, { k, filter });
+            ragLog('🔎', `Retrieved ${chunks.length} chunks for "${query.substring(0, 80)}"`);
+            return { success: true, chunks };
+        } catch (error) {
+            ragLog('❌', `Retrieval failed: ${error.message}`);
+            return { success: false, error: error.message, chunks: [] };
+        }
+    }
+
+    /**
+     * Searches stored documents by keyword (BM25), meaning (embeddings) or both.
+     * Hybrid mode merges the two rankings with reciprocal rank fusion, so a chunk that
+     * ranks well in either list (e.g. an exact invoice number, or a paraphrase) surfaces.
+     * @param {string} query - Search text.
+     * @param {object} [options]
+     * @param {number} [options.k=10] - Number of chunks to return.
+     * @param {string} [options.mode] - 'hybrid' (default, see RETRIEVAL_MODE), 'semantic' or 'keyword'.
+     * @param {object} [options.filters] - { documentIds, fileTypes, uploadedAfter, uploadedBefore } (see documentService.filterIds).
+     * @returns {Promise<object>} - { success, mode, chunks: [{ text, metadata, score, matchedBy }] } or { success: false, error, chunks: [] }
+     */
+    async searchDocuments(query, { k = 10, mode = DEFAULT_RETRIEVAL_MODE, filters = {} } = {}) {
+        let documentIds;
+        try {
+            documentIds = await documentService.filterIds(filters);
+        } catch (error) {
+            ragLog('❌', `Document filter failed: ${error.message}`);
+            return { success: false, error: error.message, chunks: [] };
+        }
+        if (documentIds && documentIds.length === 0) return { success: true, mode, chunks: [] };
+
+        const candidates = Math.max(k, RETRIEVAL_CANDIDATES);
+        const rankings = {};
+        const errors = [];
+
+        if (mode !== 'semantic') {
+            try {
+                rankings.keyword = await keywordSearchService.search(query, { k: candidates, documentIds });
+            } catch (error) {
+                ragLog('⚠️', `Keyword search failed: ${error.message}`);
+                errors.push(error.message);
+            }
+        }
+        if (mode !== 'keyword') {
+            // Without filters the vector store would also return superseded versions, which could fill the
+            // candidates; like the keyword index, it only searches the active documents.
+            let semanticIds = documentIds;
+            try {
+                semanticIds ??= await documentService.activeIds();
+            } catch (error) {
+                ragLog('⚠️', `Active document lookup failed: ${error.message}`);
+                errors.push(error.message);
+            }
+            if (semanticIds?.length === 0) {
+                rankings.semantic = [];
+            } else if (semanticIds) {
+                const retrieval = await this.queryDocuments(query, { k: candidates, filter: { documentIds: semanticIds } });
+                if (retrieval.success) {
+                    rankings.semantic = retrieval.chunks;
+                } else {
+                    errors.push(retrieval.error);
+                }
+            }
+        }
+
+        if (Object.keys(rankings).length === 0) {
+            return { success: false, error: errors.join('; '), chunks: [] };
+        }
+
+        const chunks = this.fuseRankings(rankings).slice(0, k);
+        ragLog('🔀', `${mode} search for "${query.substring(0, 80)}": ${chunks.length} chunks (${Object.entries(rankings).map(([name, list]) => `${name}: ${list.length}`).join(', ')})`);
+        return { success: true, mode, chunks };
+    }
+
+    /**
+     * Reciprocal rank fusion of several rankings of the same chunks.
+     * Chunks are identified by document and chunk index (or source and chunk index).
+     * @param {Object<string, Array>} rankings - Ranked chunk lists by name, best first.
+     * @returns {Array<object>} - Fused chunks, best first, with `score` (RRF) and `matchedBy` ({ [name]: { rank, score } }).
+     */
+    fuseRankings(rankings) {
+        const fused = new Map();
+        for (const [name, chunks] of Object.entries(rankings)) {
+            chunks.forEach((chunk, index) => {
+                const key = `${chunk.metadata?.documentId ?? chunk.metadata?.source}:${chunk.metadata?.chunkIndex}`;
+                if (!fused.has(key)) fused.set(key, { text: chunk.text, metadata: chunk.metadata, score: 0, matchedBy: {} });
+                const entry = fused.get(key);
+                entry.score += 1 / (RRF_K + index + 1);
+                entry.matchedBy[name] = { rank: index + 1, score: chunk.score };
+            });
+        }
+        return [...fused.values()]
+            .map(entry => ({ ...entry, score: Math.round(entry.score * 1e6) / 1e6 }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Removes all indexed chunks of a document.
+     * @param {number} documentId - Document id.
+     */
+    async removeDocument(documentId) {
+        return this.vectorStore.deleteWhere({ documentIds: [documentId] });
+    }
+
+    /**
+     * Formats retrieved chunks as a context block for the LLM.
+     * @param {Array} chunks - Chunks from queryDocuments.
+     * @returns {string}
+     */
+    buildContext(chunks) {
+        return chunks.map(chunk => this.formatChunk(chunk)).join('\n\n---\n\n');
+    }
+
+    /**
+     * Renders one chunk with its source label, e.g. "[Source: report.pdf, page 12]".
+     * @param {object} chunk - { text, metadata }
+     * @returns {string}
+     */
+    formatChunk(chunk) {
+        const location = this.formatLocation(chunk.metadata?.location);
+        const label = [chunk.metadata?.source || 'unknown', location].filter(Boolean).join(', ');
+        return `[Source: ${label}]\n${chunk.text}`;
+    }
+
+    /**
+     * Converts chunks into citation sources for the client, alongside web sources.
+     * @param {Array} chunks - Chunks with { text, metadata }.
+     * @returns {Array<object>} - [{ type: 'document', title, documentId, chunkIndex, location, locationLabel, snippet }]
+     */
+    toSources(chunks) {
+        return chunks.map(chunk => {
+            const text = chunk.text.replace(/\s+/g, ' ').trim();
+            return {
+                type: 'document',
+                title: chunk.metadata?.source || 'Document',
+                documentId: chunk.metadata?.documentId ?? null,
+                chunkIndex: chunk.metadata?.chunkIndex ?? null,
+                location: chunk.metadata?.location || {},
+                locationLabel: this.formatLocation(chunk.metadata?.location),
+                snippet: text.length > SNIPPET_LENGTH ? `${text.substring(0, SNIPPET_LENGTH)}…` : text
+            };
+        });
+    }
+
+    /**
+     * Builds a token-budgeted document context for a chat turn.
+     * Candidate chunks come from stored documents (`documentIds`), the whole index
+     * (`useRAG`) and client-supplied texts (`documentContexts`), in that priority.
+     * @param {string} query - The user's message.
+     * @param {object} [options]
+     * @param {number[]} [options.documentIds] - Stored documents to retrieve from.
+     * @param {boolean} [options.useRAG] - Retrieve from all indexed documents.
+     * @param {string[]} [options.documentContexts] - Raw texts sent by the client.
+     * @param {number} [options.tokenBudget] - Maximum context size in tokens.
+     * @param {string} [options.retrievalMode] - 'hybrid', 'semantic' or 'keyword' (see searchDocuments).
+     * @returns {Promise<object>} - { context, chunks, usedTokens, budget }
+     */
+    async retrieveContext(query, { documentIds = [], useRAG = false, documentContexts = [], tokenBudget = DEFAULT_CONTEXT_TOKEN_BUDGET, retrievalMode = DEFAULT_RETRIEVAL_MODE } = {}) {
+        const candidates = [];
+
+        if (documentIds.length > 0) {
+            candidates.push(...await this.retrieveFromDocuments(query, documentIds, retrievalMode));
+        } else if (useRAG) {
+            const retrieval = await this.searchDocuments(query, { k: RETRIEVAL_CANDIDATES, mode: retrievalMode });
+            candidates.push(...retrieval.chunks);
+        }
+
+        if (documentContexts.length > 0) {
+            const inline = [];
+            for (const [i, text] of documentContexts.entries()) {
+                for (const [chunkIndex, piece] of (await this.splitter.splitText(text)).entries()) {
+                    inline.push({ text: piece, metadata: { source: `context-${i + 1}`, chunkIndex, location: {} } });
+                }
+            }
+            candidates.push(...this.rankByKeywords(query, inline));
+        }
+
+        const packed = contextPacker.pack(candidates, tokenBudget, chunk => this.formatChunk(chunk));
+        ragLog('📦', `Packed ${packed.chunks.length}/${candidates.length} chunks into ${packed.usedTokens}/${tokenBudget} tokens`);
+
+        return {
+            context: packed.text,
+            chunks: packed.chunks,
+            usedTokens: packed.usedTokens,
+            budget: tokenBudget
+        };
+    }
+
+    /**
+     * Retrieves the best chunks of specific stored documents.
+     * Falls back to keyword ranking over the stored segments when the documents
+     * are not indexed or the search backends are unavailable.
+     * @param {string} query - Natural-language query.
+     * @param {number[]} documentIds - Document ids.
+     * @param {string} [mode] - Retrieval mode (see searchDocuments).
+     * @returns {Promise<Array<{text: string, metadata: object, score: number}>>}
+     */
+    async retrieveFromDocuments(query, documentIds, mode = DEFAULT_RETRIEVAL_MODE) {
+        const retrieval = await this.searchDocuments(query, { k: RETRIEVAL_CANDIDATES, mode, filters: { documentIds } });
+        if (retrieval.success && retrieval.chunks.length > 0) return retrieval.chunks;
+
+        ragLog('⚠️', `No indexed chunks for documents [${documentIds.join(', ')}]. Falling back to keyword ranking.`);
+        const documents = await documentService.getMany(await documentService.filterIds({ documentIds }));
+        const chunks = [];
+        for (const doc of documents) {
+            const segments = doc.segments?.length ? doc.segments : [{ text: doc.extracted_text, location: {} }];
+            let chunkIndex = 0;
+            for (const segment of segments) {
+                for (const piece of await this.splitter.splitText(segment.text)) {
+                    chunks.push({
+                        text: piece,
+                        metadata: { source: doc.filename, documentId: doc.id, chunkIndex: chunkIndex++, location: segment.location || {} }
+                    });
+                }
+            }
+        }
+        return this.rankByKeywords(query, chunks);
+    }
+
+    /**
+     * Orders chunks by how many query terms they contain (rarer terms weigh more).
+     * Chunks are returned with a `score` in [0, 1]; original order breaks ties.
+     * Chunks matching no term are dropped, unless nothing matches at all
+     * (e.g. "summarize this"), in which case all chunks are kept in document order.
+     * @param {string} query
+     * @param {Array<{text: string, metadata: object}>} chunks
+     * @returns {Array<{text: string, metadata: object, score: number}>}
+     */
+    rankByKeywords(query, chunks) {
+        const tokenize = (text) => text.toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || [];
+        const terms = [...new Set(tokenize(query))];
+        if (terms.length === 0) return chunks.map(chunk => ({ ...chunk, score: 0 }));
+
+        const chunkTerms = chunks.map(chunk => new Set(tokenize(chunk.text)));
+        const weights = terms.map(term => {
+            const df = chunkTerms.filter(set => set.has(term)).length;
+            return Math.log(1 + chunks.length / (1 + df));
+        });
+        const maxScore = weights.reduce((a, b) => a + b, 0) || 1;
+
+        const scored = chunks.map((chunk, i) => ({
+            ...chunk,
+            score: terms.reduce((sum, term, t) => sum + (chunkTerms[i].has(term) ? weights[t] : 0), 0) / maxScore
+        }));
+        const matching = scored.filter(chunk => chunk.score > 0);
+        return matching.length > 0 ? matching.sort((a, b) => b.score - a.score) : scored;
+    }
+
+    /**
+     * Answers a question from the indexed documents.
+     * @param {string} question - User question.
+     * @param {Array} conversationHistory - Conversation history.
+     * @returns {Promise<object>} - GroqService.chat result.
+     */
+    async query(question, conversationHistory = []) {
+        const retrieval = await this.queryDocuments(question);
+        return groqService.chat(question, conversationHistory, {
+            context: this.buildContext(retrieval.chunks),
+            contextSources: this.toSources(retrieval.chunks)
+        });
+    }
+}
+
+module.exports = new RAGService();
+module.exports.RETRIEVAL_MODES = RETRIEVAL_MODES;
@@ -0,0 +1,106 @@
+/**
+ * Reminder Service
+ * One-off reminders at a point in time, used by /api/reminders and the chat agent's reminder
+ * tools. A reminder is pending until it is dismissed; pending reminders whose time has come
+ * are "due" and are what clients poll for (GET /api/reminders/due).
+ */
+
+const db = require('../config/database');
+
+const STATUSES = ['pending', 'due', 'dismissed', 'all'];
+
+const COLUMNS = 'id, message, remind_at, dismissed_at, created_at';
+
+class ReminderService {
+    /**
+     * @param {object} reminder
+     * @param {string} reminder.message
+     * @param {Date} reminder.remindAt
+     * @returns {Promise<object>}
+     */
+    async create({ message, remindAt }) {
+        const result = await db.query(
+            `INSERT INTO reminders (message, remind_at) VALUES ($1, $2) RETURNING ${COLUMNS}`,
+            [message, remindAt]
+        );
+        return result.rows[0];
+    }
+
+    /**
+     * Lists reminders in time order.
+     * @param {object} [options]
+     * @param {string} [options.status='pending'] - pending | due | dismissed | all.
+     * @param {Date} [options.from] - Only reminders at or after this time.
+     * @param {Date} [options.to] - Only reminders before this time.
+     * @param {number} [options.limit=100]
+     * @param {number} [options.offset=0]
+     * @returns {Promise<Array>}
+     */
+    async list({ status = 'pending', from = null, to = null, limit = 100, offset = 0 } = {}) {
+        const values = [];
+        const where = [];
+        const param = (value) => { values.push(value); return `$${values.length}`; };
+
+        if (status === 'pending' || status === 'due') where.push('dismissed_at IS NULL');
+        if (status === 'due') where.push('remind_at <= CURRENT_TIMESTAMP');
+        if (status === 'dismissed') where.push('dismissed_at IS NOT NULL');
+        if (from) where.push(`remind_at >= ${param(from)}`);
+        if (to) where.push(`remind_at < ${param(to)}`);
+
+        const result = await db.query(
+            `SELECT ${COLUMNS} FROM reminders
+             ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+             ORDER BY remind_at, id
+             LIMIT ${param(limit)} OFFSET ${param(offset)}`,
+            values
+        );
+        return result.rows;
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<object|null>}
+     */
+    async get(id) {
+        const result = await db.query(`SELECT ${COLUMNS} FROM reminders WHERE id = $1`, [id]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Updates the given fields of a reminder. Moving a reminder to a new time makes it pending again.
+     * @param {number} id
+     * @param {object} fields - { message?, remind_at?, dismissed? }
+     * @returns {Promise<object|null>} - The updated reminder, or null if it does not exist.
+     */
+    async update(id, { dismissed, ...fields }) {
+        const values = [id];
+        const assignments = Object.entries(fields).map(([column, value]) => {
+            values.push(value);
+            return `${column} = $${values.length}`;
+        });
+        if (dismissed !== undefined) {
+            assignments.push(dismissed ? 'dismissed_at = COALESCE(dismissed_at, CURRENT_TIMESTAMP)' : 'dismissed_at = NULL');
+        } else if (fields.remind_at) {
+            assignments.push('dismissed_at = NULL');
+        }
+        if (assignments.length === 0) return this.get(id);
+
+        const result = await db.query(
+            `UPDATE reminders SET ${assignments.join(', ')} WHERE id = $1 RETURNING ${COLUMNS}`,
+            values
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<object|null>} - The deleted reminder, or null if it did not exist.
+     */
+    async remove(id) {
+        const result = await db.query(`DELETE FROM reminders WHERE id = $1 RETURNING ${COLUMNS}`, [id]);
+        return result.rows[0] || null;
+    }
+}
+
+module.exports = new ReminderService();
+module.exports.STATUSES = STATUSES;
@@ -0,0 +1,168 @@
+/**
+ * Run Service
+ * Registry of streaming chat runs. A run's events get sequential ids and are buffered, so a
+ * client that loses its connection can reconnect (Last-Event-ID) and receive what it missed,
+ * then continue live. A run without any connected client is cancelled after a grace period;
+ * finished runs are kept for RUN_TTL_SECONDS for late reconnects.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const RESUME_GRACE_MS = (Number(process.env.RUN_RESUME_GRACE_SECONDS) || 60) * 1000;
+const RUN_TTL_MS = (Number(process.env.RUN_TTL_SECONDS) || 300) * 1000;
+// Enough for a long streamed report (one event per token)
+const MAX_EVENTS_PER_RUN = 20000;
+
+const log = (emoji, msg) => console.log(`[RUNS] ${emoji} ${msg}`);
+
+class RunService {
+    constructor() {
+        this.runs = new Map();
+        this.emitter = new EventEmitter();
+        this.emitter.setMaxListeners(0);
+    }
+
+    /**
+     * Registers a new run.
+     * @returns {{ id: string, signal: AbortSignal }} - The run; `signal` aborts when it is cancelled.
+     */
+    start() {
+        const run = {
+            id: crypto.randomUUID(),
+            controller: new AbortController(),
+            events: [],
+            seq: 0,
+            finished: false,
+            subscribers: 0,
+            graceTimer: null
+        };
+        run.signal = run.controller.signal;
+        this.runs.set(run.id, run);
+        log('▶️', `Run ${run.id} started`);
+        return run;
+    }
+
+    /**
+     * Whether a run is known (running, or finished within RUN_TTL_SECONDS).
+     * @param {string} id
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.runs.has(id);
+    }
+
+    /**
+     * Whether a run has finished (all of its events are buffered).
+     * @param {string} id
+     * @returns {boolean}
+     */
+    isFinished(id) {
+        return !!this.runs.get(id)?.finished;
+    }
+
+    /**
+     * Buffers an event and forwards it to connected clients.
+     * @param {object} run - Run returned by start().
+     * @param {object} event - { type, message, ... }
+     */
+    record(run, event) {
+        if (run.finished) return;
+        const entry = { id: this.eventId(run.id, ++run.seq), seq: run.seq, event };
+        if (run.events.length >= MAX_EVENTS_PER_RUN) run.events.shift();
+        run.events.push(entry);
+        this.emitter.emit(`run:${run.id}`, entry);
+    }
+
+    /**
+     * Marks a run as finished (after its final `done` event) and schedules its removal.
+     * @param {object} run
+     */
+    finish(run) {
+        run.finished = true;
+        clearTimeout(run.graceTimer);
+        setTimeout(() => this.runs.delete(run.id), RUN_TTL_MS).unref();
+        log('⏹️', `Run ${run.id} finished (${run.seq} events)`);
+    }
+
+    /**
+     * Connects a client to a run: buffered events after `afterSeq` are replayed, then new ones follow.
+     * If some of those events are no longer buffered, a `replay_gap` event comes first.
+     * When the last client disconnects from an unfinished run, it is cancelled after the grace period
+     * unless a client reconnects.
+     * @param {string} id - Run id.
+     * @param {number} afterSeq - Sequence number of the last event the client has (0 for all).
+     * @param {function(string, object): void} listener - Called with (eventId, event).
+     * @returns {function(): void|null} - Unsubscribe function, or null if the run is unknown.
+     */
+    subscribe(id, afterSeq, listener) {
+        const run = this.runs.get(id);
+        if (!run) return null;
+
+        const deliver = (entry) => listener(entry.id, entry.event);
+        // The oldest events are dropped past MAX_EVENTS_PER_RUN; the client's copy of the answer is then incomplete
+        const oldest = run.events[0]?.seq;
+        if (oldest > afterSeq + 1) {
+            listener(this.eventId(id, oldest - 1), {
+                type: 'replay_gap',
+                message: 'Some earlier events are no longer available; discard the partial answer and wait for the final result.',
+                missedFrom: afterSeq + 1,
+                missedTo: oldest - 1
+            });
+        }
+        run.events.filter(entry => entry.seq > afterSeq).forEach(deliver);
+        if (run.finished) return () => {};
+
+        clearTimeout(run.graceTimer);
+        run.subscribers++;
+        const channel = `run:${id}`;
+        this.emitter.on(channel, deliver);
+
+        let active = true;
+        return () => {
+            if (!active) return;
+            active = false;
+            this.emitter.off(channel, deliver);
+            run.subscribers--;
+            if (run.subscribers === 0 && !run.finished) {
+                log('⏸️', `Run ${id} has no client; cancelling in ${RESUME_GRACE_MS / 1000}s unless one reconnects`);
+                run.graceTimer = setTimeout(() => this.cancel(id, 'client did not reconnect'), RESUME_GRACE_MS);
+                run.graceTimer.unref();
+            }
+        };
+    }
+
+    /**
+     * Cancels a running run.
+     * @param {string} id - Run id.
+     * @param {string} [reason] - For the log.
+     * @returns {boolean} - False if the run is unknown or already finished.
+     */
+    cancel(id, reason = 'requested') {
+        const run = this.runs.get(id);
+        if (!run || run.finished || run.signal.aborted) return false;
+        log('🛑', `Cancelling run ${id} (${reason})`);
+        run.controller.abort();
+        return true;
+    }
+
+    /**
+     * SSE event id: `<runId>:<seq>`, so that a Last-Event-ID alone identifies the run.
+     */
+    eventId(runId, seq) {
+        return `${runId}:${seq}`;
+    }
+
+    /**
+     * Parses a Last-Event-ID value.
+     * @param {string|undefined} value - `<runId>:<seq>`, or just `<seq>` when the run is known from the URL.
+     * @returns {{ runId: string|null, seq: number }|null} - null if absent or malformed.
+     */
+    parseEventId(value) {
+        if (typeof value !== 'string' || !value.trim()) return null;
+        const match = value.trim().match(/^(?:([0-9a-f-]{36}):)?(\d+)$/i);
+        return match ? { runId: match[1] || null, seq: Number(match[2]) } : null;
+    }
+}
+
+module.exports = new RunService();
@@ -0,0 +1,204 @@
+/**
+ * Summary Service
+ * Summarizes documents of any length with hierarchical map-reduce: the text is split into
+ * parts that fit the model context, each part is summarized (map), the partial summaries are
+ * combined level by level until they fit in one request (reduce), and a final pass writes the
+ * summary in the requested style. Results are cached per document version and style.
+ */
+
+const db = require('../config/database');
+const groqService = require('./groqService');
+const documentService = require('./documentService');
+const contextPacker = require('./contextPacker');
+
+// Style name → instruction for the final pass
+const SUMMARY_STYLES = {
+    brief: 'Write a brief summary of the document in one or two short paragraphs (at most 150 words).',
+    detailed: 'Write a detailed summary of the document organized under Markdown headings by topic. Keep the important facts, figures, names, dates and conclusions.',
+    key_points: 'List the key points of the document as Markdown bullet points, most important first, one idea per bullet.',
+    action_items: 'List every action item, open task and follow-up in the document as a Markdown checklist ("- [ ] ..."), with the owner and due date when stated. If there are none, say so in one sentence.'
+};
+
+// Tokens of document text (or partial summaries) sent per request
+const CHUNK_TOKENS = Number(process.env.SUMMARY_CHUNK_TOKENS) || 6000;
+// Cap on each partial summary, so that reduce levels shrink the text
+const PARTIAL_MAX_TOKENS = 800;
+const MAX_REDUCE_LEVELS = 5;
+const SEPARATOR = '\n\n---\n\n';
+
+const log = (emoji, msg) => console.log(`[SUMMARY] ${emoji} ${msg}`);
+
+class SummaryService {
+    /**
+     * Summarizes a document version, using the cached summary when there is one.
+     * @param {number} documentId - Document (version) id.
+     * @param {string} style - One of SUMMARY_STYLES.
+     * @param {object} [options]
+     * @param {boolean} [options.refresh=false] - Ignore and replace the cached summary.
+     * @param {function(object): void} [options.report] - Progress callback ({ type, message } events).
+     * @returns {Promise<object|null>} - { documentId, filename, version, style, summary, chunks, cached, createdAt },
+     *   or null if the document does not exist.
+     * @throws {Error} If the document has no text or the model request fails.
+     */
+    async summarize(documentId, style, { refresh = false, report = () => {} } = {}) {
+        if (!refresh) {
+            const cached = await this.getCached(documentId, style);
+            if (cached) return cached;
+        }
+
+        const document = await documentService.get(documentId);
+        if (!document) return null;
+        if (!document.extracted_text.trim()) throw new Error('Document has no extracted text to summarize.');
+
+        const parts = this.split(document.extracted_text);
+        log('📝', `Summarizing #${documentId} "${document.filename}" (${style}, ${parts.length} part(s))`);
+
+        let notes = parts;
+        if (parts.length > 1) {
+            notes = [];
+            for (const [index, part] of parts.entries()) {
+                report({ type: 'summarizing', message: `Summarizing part ${index + 1} of ${parts.length}...`, index: index + 1, total: parts.length });
+                notes.push(await this.summarizePart(part, { document, style, index, total: parts.length }));
+            }
+            notes = await this.reduce(notes, { document, style, report });
+        }
+
+        report({ type: 'writing', message: 'Writing the summary...' });
+        const summary = await groqService.complete([
+            { role: 'system', content: `You summarize documents accurately. Use only information from the text provided. ${SUMMARY_STYLES[style]}` },
+            {
+                role: 'user',
+                content: parts.length > 1
+                    ? `Summaries of consecutive parts of "${document.filename}":\n\n${notes.join(SEPARATOR)}`
+                    : `Document "${document.filename}":\n\n${notes[0]}`
+            }
+        ]);
+
+        const result = await db.query(
+            `INSERT INTO document_summaries (document_id, style, summary, chunk_count)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (document_id, style) DO UPDATE
+                 SET summary = EXCLUDED.summary, chunk_count = EXCLUDED.chunk_count, created_at = CURRENT_TIMESTAMP
+             RETURNING created_at`,
+            [documentId, style, summary.trim(), parts.length]
+        );
+        log('✅', `Summary of #${documentId} (${style}) cached`);
+
+        return {
+            documentId,
+            filename: document.filename,
+            version: document.version,
+            style,
+            summary: summary.trim(),
+            chunks: parts.length,
+            cached: false,
+            createdAt: result.rows[0].created_at
+        };
+    }
+
+    /**
+     * Cached summary of a document version, or null.
+     * @param {number} documentId
+     * @param {string} style
+     * @returns {Promise<object|null>}
+     */
+    async getCached(documentId, style) {
+        const result = await db.query(
+            `SELECT s.summary, s.chunk_count, s.created_at, d.filename, d.version
+             FROM document_summaries s JOIN documents d ON d.id = s.document_id
+             WHERE s.document_id = $1 AND s.style = $2`,
+            [documentId, style]
+        );
+        const row = result.rows[0];
+        if (!row) return null;
+        return {
+            documentId,
+            filename: row.filename,
+            version: row.version,
+            style,
+            summary: row.summary,
+            chunks: row.chunk_count,
+            cached: true,
+            createdAt: row.created_at
+        };
+    }
+
+    /**
+     * Map step: summarizes one part of the document.
+     */
+    async summarizePart(text, { document, style, index, total }) {
+        const focus = style === 'action_items'
+            ? 'List every action item, task, decision, owner and deadline in it, with enough context to understand each one.'
+            : 'Keep the important facts, figures, names, dates, decisions and conclusions.';
+        return groqService.complete([
+            { role: 'system', content: `You summarize part ${index + 1} of ${total} of the document "${document.filename}". ${focus} Be concise and do not add information that is not in the text.` },
+            { role: 'user', content: text }
+        ], { maxTokens: PARTIAL_MAX_TOKENS });
+    }
+
+    /**
+     * Reduce step: combines partial summaries, level by level, until they fit in one request.
+     * @param {string[]} notes - Partial summaries in document order.
+     * @returns {Promise<string[]>}
+     */
+    async reduce(notes, { document, style, report }) {
+        let level = 0;
+        while (contextPacker.estimateTokens(notes.join(SEPARATOR)) > CHUNK_TOKENS && level < MAX_REDUCE_LEVELS) {
+            level++;
+            const groups = this.pack(notes, CHUNK_TOKENS, SEPARATOR);
+            report({ type: 'combining', message: `Combining ${notes.length} partial summaries into ${groups.length}...` });
+            notes = [];
+            for (const group of groups) {
+                notes.push(await groqService.complete([
+                    { role: 'system', content: `Combine these summaries of consecutive parts of "${document.filename}" into one summary, in order. ${style === 'action_items' ? 'Keep every action item, owner and deadline.' : 'Keep the important facts, figures, names, dates and conclusions.'}` },
+                    { role: 'user', content: group }
+                ], { maxTokens: PARTIAL_MAX_TOKENS }));
+            }
+        }
+        return notes;
+    }
+
+    /**
+     * Splits text into parts of at most CHUNK_TOKENS, on paragraph boundaries where possible.
+     * @param {string} text
+     * @returns {string[]}
+     */
+    split(text) {
+        const maxChars = CHUNK_TOKENS * 4; // contextPacker's characters-per-token estimate
+        const paragraphs = text.split(/\n\s*\n/).flatMap(paragraph => {
+            if (contextPacker.estimateTokens(paragraph) <= CHUNK_TOKENS) return [paragraph];
+            const pieces = [];
+            for (let i = 0; i < paragraph.length; i += maxChars) pieces.push(paragraph.slice(i, i + maxChars));
+            return pieces;
+        });
+        return this.pack(paragraphs.filter(p => p.trim()), CHUNK_TOKENS, '\n\n');
+    }
+
+    /**
+     * Greedily joins consecutive texts into groups of at most `maxTokens`.
+     * @param {string[]} texts
+     * @param {number} maxTokens
+     * @param {string} separator
+     * @returns {string[]}
+     */
+    pack(texts, maxTokens, separator) {
+        const groups = [];
+        let current = [];
+        let tokens = 0;
+        for (const text of texts) {
+            const cost = contextPacker.estimateTokens(text) + contextPacker.estimateTokens(separator);
+            if (current.length > 0 && tokens + cost > maxTokens) {
+                groups.push(current.join(separator));
+                current = [];
+                tokens = 0;
+            }
+            current.push(text);
+            tokens += cost;
+        }
+        if (current.length > 0) groups.push(current.join(separator));
+        return groups;
+    }
+}
+
+module.exports = new SummaryService();
+module.exports.SUMMARY_STYLES = Object.keys(SUMMARY_STYLES);
@@ -0,0 +1,258 @@
+/**
+ * Table Service
+ * Stores spreadsheet / CSV uploads as structured tables and runs deterministic
+ * filter / group / aggregate queries over them (used by the `query_table` agent tool).
+ */
+
+const db = require('../config/database');
+
+const AGGREGATE_FUNCTIONS = ['count', 'sum', 'avg', 'min', 'max', 'count_distinct'];
+const FILTER_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'contains', 'in', 'between'];
+const DATE_PARTS = ['year', 'month', 'day', 'weekday'];
+const MAX_RESULT_ROWS = 50;
+const SAMPLE_ROWS = 3;
+
+class TableService {
+    /**
+     * Stores the tables extracted from a document.
+     * @param {number} documentId - Owning document id.
+     * @param {Array<{name: string, columns: string[], rows: object[]}>} tables
+     * @returns {Promise<Array>} - Stored table summaries.
+     */
+    async saveTables(documentId, tables) {
+        const saved = [];
+        for (const table of tables) {
+            const result = await db.query(
+                `INSERT INTO document_tables (document_id, name, columns, rows, row_count)
+                 VALUES ($1, $2, $3, $4, $5)
+                 RETURNING id, document_id, name, columns, row_count`,
+                [documentId, table.name, JSON.stringify(table.columns), JSON.stringify(table.rows), table.rows.length]
+            );
+            saved.push(result.rows[0]);
+        }
+        return saved;
+    }
+
+    /**
+     * Lists table summaries (columns and a few sample rows, not the data).
+     * @param {number[]} [documentIds] - Restrict to these documents (default: all active document versions).
+     * @returns {Promise<Array>}
+     */
+    async listTables(documentIds) {
+        const params = [SAMPLE_ROWS];
+        let where = 'WHERE d.is_active';
+        if (documentIds) {
+            params.push(documentIds);
+            where = 'WHERE t.document_id = ANY($2)';
+        }
+        const result = await db.query(
+            `SELECT t.id, t.document_id, d.filename, t.name, t.columns, t.row_count,
+                    (SELECT COALESCE(jsonb_agg(r), '[]') FROM (SELECT jsonb_array_elements(t.rows) AS r LIMIT $1) s) AS sample_rows
+             FROM document_tables t JOIN documents d ON d.id = t.document_id
+             ${where}
+             ORDER BY t.document_id, t.id`,
+            params
+        );
+        return result.rows;
+    }
+
+    /**
+     * Fetches one table including all rows.
+     * @param {number} id - Table id.
+     * @returns {Promise<object|null>}
+     */
+    async getTable(id) {
+        const result = await db.query(
+            `SELECT t.id, t.document_id, d.filename, t.name, t.columns, t.rows, t.row_count
+             FROM document_tables t JOIN documents d ON d.id = t.document_id
+             WHERE t.id = $1`,
+            [id]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Runs a structured query against a stored table.
+     * @param {number} id - Table id.
+     * @param {object} spec - See runQuery.
+     * @returns {Promise<object>} - { success, table, columns, rows, matchedRows, truncated } or { success: false, error }
+     */
+    async query(id, spec) {
+        const table = await this.getTable(id);
+        if (!table) return { success: false, error: `Table ${id} not found.` };
+
+        try {
+            const result = this.runQuery(table, spec);
+            return { success: true, table: { id: table.id, name: table.name, documentId: table.document_id, filename: table.filename }, ...result };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Filters, groups, aggregates, sorts and limits table rows in memory.
+     * @param {object} table - { columns, rows }
+     * @param {object} spec
+     * @param {Array<{column, op, value}>} [spec.filters] - All must match. `between` takes [low, high]; `in` takes an array.
+     * @param {string[]} [spec.group_by] - Columns; "Column:month" groups a date column by year|month|day|weekday.
+     * @param {Array<{fn, column?, as?}>} [spec.aggregations] - count | sum | avg | min | max | count_distinct.
+     * @param {Array<{column, direction?}>} [spec.order_by] - Output columns to sort by.
+     * @param {number} [spec.limit] - Max rows returned (capped at 50).
+     * @returns {object} - { columns, rows, matchedRows, totalRows, truncated }
+     */
+    runQuery(table, { filters = [], group_by = [], aggregations = [], order_by = [], limit = MAX_RESULT_ROWS } = {}) {
+        const known = new Set(table.columns);
+        const requireColumn = (column) => {
+            if (!known.has(column)) throw new Error(`Unknown column "${column}". Available: ${table.columns.join(', ')}`);
+        };
+
+        for (const filter of filters) {
+            requireColumn(filter.column);
+            if (!FILTER_OPERATORS.includes(filter.op)) throw new Error(`Unknown filter op "${filter.op}". Use one of: ${FILTER_OPERATORS.join(', ')}`);
+        }
+        const groups = group_by.map(spec => {
+            const [column, part] = spec.split(':');
+            requireColumn(column);
+            if (part && !DATE_PARTS.includes(part)) throw new Error(`Unknown date part "${part}". Use one of: ${DATE_PARTS.join(', ')}`);
+            return { key: spec, column, part };
+        });
+        for (const agg of aggregations) {
+            if (!AGGREGATE_FUNCTIONS.includes(agg.fn)) throw new Error(`Unknown aggregation "${agg.fn}". Use one of: ${AGGREGATE_FUNCTIONS.join(', ')}`);
+            if (agg.fn !== 'count' || agg.column) requireColumn(agg.column);
+        }
+
+        const matched = table.rows.filter(row => filters.every(f => this.matches(row[f.column], f.op, f.value)));
+
+        let columns;
+        let rows;
+        if (groups.length > 0 || aggregations.length > 0) {
+            const aggs = aggregations.length > 0 ? aggregations : [{ fn: 'count' }];
+            const buckets = new Map();
+            for (const row of matched) {
+                const keyValues = groups.map(g => this.groupValue(row[g.column], g.part));
+                const key = JSON.stringify(keyValues);
+                if (!buckets.has(key)) buckets.set(key, { keyValues, rows: [] });
+                buckets.get(key).rows.push(row);
+            }
+
+            columns = [...groups.map(g => g.key), ...aggs.map(a => this.aggregateName(a))];
+            rows = [...buckets.values()].map(bucket => {
+                const out = {};
+                groups.forEach((g, i) => { out[g.key] = bucket.keyValues[i]; });
+                for (const agg of aggs) out[this.aggregateName(agg)] = this.aggregate(agg, bucket.rows);
+                return out;
+            });
+        } else {
+            columns = table.columns;
+            rows = matched;
+        }
+
+        for (const order of [...order_by].reverse()) {
+            if (!columns.includes(order.column)) throw new Error(`Cannot order by "${order.column}". Output columns: ${columns.join(', ')}`);
+            const direction = order.direction === 'desc' ? -1 : 1;
+            rows = [...rows].sort((a, b) => direction * this.compare(a[order.column], b[order.column]));
+        }
+
+        const cap = Math.min(Math.max(1, Number(limit) || MAX_RESULT_ROWS), MAX_RESULT_ROWS);
+        return {
+            columns,
+            rows: rows.slice(0, cap),
+            matchedRows: matched.length,
+            totalRows: table.rows.length,
+            truncated: rows.length > cap
+        };
+    }
+
+    matches(cell, op, value) {
+        switch (op) {
+            case 'eq': return this.compare(cell, value) === 0;
+            case 'neq': return this.compare(cell, value) !== 0;
+            case 'gt': return cell !== null && this.compare(cell, value) > 0;
+            case 'gte': return cell !== null && this.compare(cell, value) >= 0;
+            case 'lt': return cell !== null && this.compare(cell, value) < 0;
+            case 'lte': return cell !== null && this.compare(cell, value) <= 0;
+            case 'contains': return cell !== null && String(cell).toLowerCase().includes(String(value).toLowerCase());
+            case 'in': return Array.isArray(value) && value.some(v => this.compare(cell, v) === 0);
+            case 'between':
+                return Array.isArray(value) && value.length === 2 && cell !== null &&
+                    this.compare(cell, value[0]) >= 0 && this.compare(cell, value[1]) <= 0;
+            default: return false;
+        }
+    }
+
+    /**
+     * Compares two cell values: numerically, then as dates, then as case-insensitive strings.
+     * Nulls sort first.
+     */
+    compare(a, b) {
+        if (a === null || a === undefined) return (b === null || b === undefined) ? 0 : -1;
+        if (b === null || b === undefined) return 1;
+
+        const na = this.toNumber(a);
+        const nb = this.toNumber(b);
+        if (na !== null && nb !== null) return na - nb;
+
+        const ta = this.toDate(a);
+        const tb = this.toDate(b);
+        if (ta !== null && tb !== null) return ta - tb;
+
+        return String(a).localeCompare(String(b), undefined, { sensitivity: 'base' });
+    }
+
+    toNumber(value) {
+        if (typeof value === 'number') return value;
+        if (typeof value !== 'string') return null;
+        const cleaned = value.replace(/[,\s]/g, '').replace(/^[$€£₹]/, '');
+        return cleaned !== '' && !isNaN(cleaned) ? Number(cleaned) : null;
+    }
+
+    toDate(value) {
+        if (typeof value !== 'string' || !/\d{1,4}[-/.]\d{1,2}/.test(value)) return null;
+        const time = Date.parse(value);
+        return isNaN(time) ? null : time;
+    }
+
+    groupValue(cell, part) {
+        if (!part) return cell ?? null;
+        const time = this.toDate(String(cell ?? ''));
+        if (time === null) return null;
+
+        // Prefer the literal ISO date so grouping never shifts with the server time zone.
+        const local = new Date(time);
+        const iso = String(cell).match(/^(\d{4})-(\d{2})-(\d{2})/);
+        const [y, m, d] = iso
+            ? [iso[1], iso[2], iso[3]]
+            : [String(local.getFullYear()), String(local.getMonth() + 1).padStart(2, '0'), String(local.getDate()).padStart(2, '0')];
+
+        if (part === 'year') return y;
+        if (part === 'month') return `${y}-${m}`;
+        if (part === 'day') return `${y}-${m}-${d}`;
+        const weekday = new Date(Date.UTC(Number(y), Number(m) - 1, Number(d))).getUTCDay();
+        return ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][weekday];
+    }
+
+    aggregateName(agg) {
+        return agg.as || (agg.column ? `${agg.fn}_${agg.column}` : agg.fn);
+    }
+
+    aggregate(agg, rows) {
+        if (agg.fn === 'count') {
+            return agg.column ? rows.filter(r => r[agg.column] !== null && r[agg.column] !== undefined).length : rows.length;
+        }
+        const values = rows.map(r => r[agg.column]).filter(v => v !== null && v !== undefined);
+        if (agg.fn === 'count_distinct') return new Set(values.map(v => String(v))).size;
+        if (agg.fn === 'min' || agg.fn === 'max') {
+            if (values.length === 0) return null;
+            const sorted = [...values].sort((a, b) => this.compare(a, b));
+            return agg.fn === 'min' ? sorted[0] : sorted[sorted.length - 1];
+        }
+
+        const numbers = values.map(v => this.toNumber(v)).filter(n => n !== null);
+        if (numbers.length === 0) return null;
+        const sum = numbers.reduce((a, b) => a + b, 0);
+        const result = agg.fn === 'sum' ? sum : sum / numbers.length;
+        return Math.round(result * 1e6) / 1e6;
+    }
+}
+
+module.exports = new TableService();
@@ -0,0 +1,115 @@
+/**
+ * Task Service
+ * To-do tasks with an optional due date, a priority and a done flag, used by /api/tasks and
+ * the chat agent's task tools. Dates are calendar dates (YYYY-MM-DD) in the server's local time.
+ */
+
+const db = require('../config/database');
+const { localDate } = require('../utils/dates');
+
+const PRIORITIES = ['low', 'medium', 'high'];
+const STATUSES = ['open', 'done', 'all'];
+
+// due_date is returned as text so it is not shifted by the client's time zone
+const COLUMNS = `id, title, notes, due_date::text AS due_date, priority, done, completed_at, created_at, updated_at`;
+// Open tasks first, then by due date (undated last), then by priority
+const ORDER = `done, due_date NULLS LAST, CASE priority WHEN 'high' THEN 0 WHEN 'medium' THEN 1 ELSE 2 END, id`;
+
+class TaskService {
+    /**
+     * @param {object} task
+     * @param {string} task.title
+     * @param {string|null} [task.notes]
+     * @param {string|null} [task.dueDate] - YYYY-MM-DD.
+     * @param {string} [task.priority='medium'] - low | medium | high.
+     * @returns {Promise<object>}
+     */
+    async create({ title, notes = null, dueDate = null, priority = 'medium' }) {
+        const result = await db.query(
+            `INSERT INTO tasks (title, notes, due_date, priority) VALUES ($1, $2, $3, $4) RETURNING ${COLUMNS}`,
+            [title, notes, dueDate, priority]
+        );
+        return result.rows[0];
+    }
+
+    /**
+     * Lists tasks: open ones first, by due date and priority.
+     * @param {object} [options]
+     * @param {string} [options.status='open'] - open | done | all.
+     * @param {string} [options.dueFrom] - Only tasks due on or after this date.
+     * @param {string} [options.dueTo] - Only tasks due on or before this date.
+     * @param {boolean} [options.overdue] - Only open tasks due before today.
+     * @param {string} [options.query] - Only tasks whose title or notes contain this.
+     * @param {number} [options.limit=100]
+     * @param {number} [options.offset=0]
+     * @returns {Promise<Array>}
+     */
+    async list({ status = 'open', dueFrom = null, dueTo = null, overdue = false, query = '', limit = 100, offset = 0 } = {}) {
+        const values = [];
+        const where = [];
+        const param = (value) => { values.push(value); return `$${values.length}`; };
+
+        if (status === 'open' || overdue) where.push('NOT done');
+        if (status === 'done') where.push('done');
+        if (dueFrom) where.push(`due_date >= ${param(dueFrom)}`);
+        if (dueTo) where.push(`due_date <= ${param(dueTo)}`);
+        if (overdue) where.push(`due_date < ${param(localDate())}`);
+        if (query) {
+            const pattern = param(`%${query.replace(/[\\%_]/g, '\\$&')}%`);
+            where.push(`(title ILIKE ${pattern} OR notes ILIKE ${pattern})`);
+        }
+
+        const result = await db.query(
+            `SELECT ${COLUMNS} FROM tasks
+             ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+             ORDER BY ${ORDER}
+             LIMIT ${param(limit)} OFFSET ${param(offset)}`,
+            values
+        );
+        return result.rows;
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<object|null>}
+     */
+    async get(id) {
+        const result = await db.query(`SELECT ${COLUMNS} FROM tasks WHERE id = $1`, [id]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Updates the given fields of a task. Marking a task done records `completed_at`.
+     * @param {number} id
+     * @param {object} fields - { title?, notes?, due_date?, priority?, done? }
+     * @returns {Promise<object|null>} - The updated task, or null if it does not exist.
+     */
+    async update(id, fields) {
+        const values = [id];
+        const assignments = Object.entries(fields).map(([column, value]) => {
+            values.push(value);
+            return `${column} = $${values.length}`;
+        });
+        if (fields.done !== undefined) {
+            assignments.push(fields.done ? 'completed_at = COALESCE(completed_at, CURRENT_TIMESTAMP)' : 'completed_at = NULL');
+        }
+        const result = await db.query(
+            `UPDATE tasks SET ${[...assignments, 'updated_at = CURRENT_TIMESTAMP'].join(', ')} WHERE id = $1 RETURNING ${COLUMNS}`,
+            values
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<object|null>} - The deleted task, or null if it did not exist.
+     */
+    async remove(id) {
+        const result = await db.query(`DELETE FROM tasks WHERE id = $1 RETURNING ${COLUMNS}`, [id]);
+        return result.rows[0] || null;
+    }
+}
+
+module.exports = new TaskService();
+module.exports.PRIORITIES = PRIORITIES;
+module.exports.STATUSES = STATUSES;
@@ -21,6 +21,7 @@ class TavilyService {
      * @param {boolean} [options.include_answer=true] - Whether to include a direct answer.
      * @param {boolean} [options.include_raw_content=false] - Whether to include raw content.
      * @param {boolean} [options.include_images=false] - Whether to include images.
+     * @param {AbortSignal} [options.signal] - Cancels the request.
      * @returns {Promise<object>} - Formatted search results or error object.
      */
     async search(options) {
@@ -31,7 +32,8 @@ class TavilyService {
             search_depth = 'basic',
             include_answer = true,
             include_raw_content = false,
-            include_images = false
+            include_images = false,
+            signal
         } = options;
 
         if (!query || typeof query !== 'string') {
@@ -59,7 +61,8 @@ class TavilyService {
                     'Authorization': `Bearer ${TAVILY_API_KEY}`,
                     'Content-Type': 'application/json'
                 },
-                timeout: 15000
+                timeout: 15000,
+                signal
             });
 
             return {
@@ -94,7 +97,7 @@ class TavilyService {
     /**
      * Extracts source metadata for frontend display.
      * @param {object} response - The raw Tavily API response.
-     * @returns {Array} - Array of source objects with title, url, and favicon.
+     * @returns {Array} - Array of source objects with type, title, url, and favicon.
      */
     extractSources(response) {
         if (!response || !response.results || response.results.length === 0) {
@@ -104,6 +107,7 @@ class TavilyService {
         return response.results.map(result => {
             const url = new URL(result.url);
             return {
+                type: 'web',
                 title: result.title,
                 url: result.url,
                 domain: url.hostname.replace('www.', ''),
@@ -128,6 +132,9 @@ class TavilyService {
         } else if (status === 401 || status === 403) {
             message = 'Tavily API key is invalid or expired.';
             code = 'AUTH_ERROR';
+        } else if (axios.isCancel(error)) {
+            message = 'Search request was cancelled.';
+            code = 'CANCELLED';
         } else if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
             message = 'Search request timed out. Please try again.';
             code = 'TIMEOUT';
@@ -139,9 +146,11 @@ class TavilyService {
     /**
      * Extracts full content from specific URLs using the Tavily Extract API.
      * @param {string[]} urls - Array of URLs to extract content from.
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the request.
      * @returns {Promise<object>} - Extracted content or error object.
      */
-    async extract(urls) {
+    async extract(urls, { signal } = {}) {
         if (!urls || !Array.isArray(urls) || urls.length === 0) {
             return { success: false, error: 'URLs array is required.', code: 'INVALID_URLS' };
         }
@@ -161,7 +170,8 @@ class TavilyService {
                     'Authorization': `Bearer ${TAVILY_API_KEY}`,
                     'Content-Type': 'application/json'
                 },
-                timeout: 30000 // Extraction can take longer
+                timeout: 30000, // Extraction can take longer
+                signal
             });
 
             return {
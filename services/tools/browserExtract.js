@@ -0,0 +1,39 @@
+/**
+ * browser_extract Tool
+ * Reads full web pages through Tavily extract. Offered in deep research only.
+ */
+
+const tavilyService = require('../tavilyService');
+
+module.exports = {
+    name: 'browser_extract',
+    description: "Fetch and read the full content of specific web pages. Use this after web_search to dive deeper into promising sources, triangulate information, or perform detailed analysis of a specific page.",
+    parameters: {
+        type: 'object',
+        properties: {
+            urls: {
+                type: 'array',
+                items: { type: 'string', minLength: 1 },
+                minItems: 1,
+                description: "Array of URLs to extract full content from."
+            }
+        },
+        required: ['urls']
+    },
+    modes: ['deep_research'],
+    events: { start: 'reading', complete: 'reading_complete' },
+
+    describe({ urls }) {
+        return { message: `Deep-reading ${urls.length} full web pages...`, urls };
+    },
+
+    async handler({ urls }, { signal }) {
+        const extractResult = await tavilyService.extract(urls, { signal });
+        if (!extractResult.success) {
+            return { success: false, content: `Extraction failed: ${extractResult.error}`, message: 'Failed to read web pages' };
+        }
+
+        const formatted = extractResult.results.map(r => `URL: ${r.url}\nCONTENT: ${r.raw_content || r.content}`).join('\n\n---\n\n');
+        return { success: true, content: `Extracted Content:\n${formatted}`, message: `Finished reading ${urls.length} pages` };
+    }
+};
@@ -0,0 +1,178 @@
+/**
+ * calculate Tool
+ * Evaluates arithmetic expressions exactly instead of leaving the math to the model.
+ * Expressions are parsed by a small recursive-descent parser (no eval): numbers, + - * / %,
+ * ^ or ** (power), ! (factorial), parentheses, the constants pi and e, and the functions below.
+ */
+
+const FUNCTIONS = {
+    sqrt: Math.sqrt, cbrt: Math.cbrt, abs: Math.abs,
+    floor: Math.floor, ceil: Math.ceil, trunc: Math.trunc,
+    round: (x, digits = 0) => Math.round(x * 10 ** digits) / 10 ** digits,
+    exp: Math.exp, ln: Math.log, log2: Math.log2,
+    log: (x, base) => base === undefined ? Math.log10(x) : Math.log(x) / Math.log(base),
+    sin: Math.sin, cos: Math.cos, tan: Math.tan,
+    asin: Math.asin, acos: Math.acos, atan: Math.atan,
+    min: Math.min, max: Math.max, pow: Math.pow, hypot: Math.hypot
+};
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+// Largest n whose factorial is a finite double
+const MAX_FACTORIAL = 170;
+// Significant digits kept in results (hides floating-point noise such as 0.1 + 0.2)
+const RESULT_PRECISION = 12;
+
+/**
+ * Splits an expression into number, name, operator and parenthesis tokens.
+ * @throws {Error} On characters that cannot appear in an expression.
+ */
+function tokenize(expression) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_][a-z0-9_]*)|(\*\*|[-+*/%^!(),]))/iy;
+    let position = 0;
+    while (position < expression.length) {
+        if (!expression.slice(position).trim()) break;
+        pattern.lastIndex = position;
+        const match = pattern.exec(expression);
+        if (!match) throw new Error(`Unexpected character "${expression.slice(position).trim()[0]}"`);
+        if (match[1] !== undefined) tokens.push({ type: 'number', value: Number(match[1]) });
+        else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2].toLowerCase() });
+        else tokens.push({ type: 'op', value: match[3] === '**' ? '^' : match[3] });
+        position = pattern.lastIndex;
+    }
+    return tokens;
+}
+
+/**
+ * Evaluates an arithmetic expression.
+ * @param {string} expression
+ * @returns {number}
+ * @throws {Error} If the expression is malformed or the result is not a finite number.
+ */
+function evaluate(expression) {
+    const tokens = tokenize(expression);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+    const expect = (value) => {
+        if (!isOp(value)) throw new Error(`Expected "${value}"`);
+        index++;
+    };
+
+    // expression := term (('+' | '-') term)*
+    const parseExpression = () => {
+        let value = parseTerm();
+        while (isOp('+') || isOp('-')) {
+            const op = tokens[index++].value;
+            const right = parseTerm();
+            value = op === '+' ? value + right : value - right;
+        }
+        return value;
+    };
+
+    // term := unary (('*' | '/' | '%') unary)*
+    const parseTerm = () => {
+        let value = parseUnary();
+        while (isOp('*') || isOp('/') || isOp('%')) {
+            const op = tokens[index++].value;
+            const right = parseUnary();
+            if (op === '*') value *= right;
+            else if (right === 0) throw new Error('Division by zero');
+            else value = op === '/' ? value / right : value % right;
+        }
+        return value;
+    };
+
+    // unary := ('-' | '+') unary | power
+    const parseUnary = () => {
+        if (isOp('-')) { index++; return -parseUnary(); }
+        if (isOp('+')) { index++; return parseUnary(); }
+        return parsePower();
+    };
+
+    // power := postfix ('^' unary)?   (right-associative, so 2^3^2 = 2^9 and -2^2 = -4)
+    const parsePower = () => {
+        const base = parsePostfix();
+        if (!isOp('^')) return base;
+        index++;
+        return base ** parseUnary();
+    };
+
+    // postfix := primary '!'*
+    const parsePostfix = () => {
+        let value = parsePrimary();
+        while (isOp('!')) {
+            index++;
+            if (!Number.isInteger(value) || value < 0 || value > MAX_FACTORIAL) {
+                throw new Error(`Factorial needs an integer from 0 to ${MAX_FACTORIAL}`);
+            }
+            let product = 1;
+            for (let n = 2; n <= value; n++) product *= n;
+            value = product;
+        }
+        return value;
+    };
+
+    // primary := number | constant | function '(' arguments ')' | '(' expression ')'
+    const parsePrimary = () => {
+        const token = tokens[index++];
+        if (!token) throw new Error('Unexpected end of expression');
+        if (token.type === 'number') return token.value;
+        if (token.type === 'op' && token.value === '(') {
+            const value = parseExpression();
+            expect(')');
+            return value;
+        }
+        if (token.type === 'name') {
+            if (CONSTANTS[token.value] !== undefined) return CONSTANTS[token.value];
+            const fn = FUNCTIONS[token.value];
+            if (!fn) throw new Error(`Unknown function or constant "${token.value}"`);
+            expect('(');
+            const args = [parseExpression()];
+            while (isOp(',')) { index++; args.push(parseExpression()); }
+            expect(')');
+            return fn(...args);
+        }
+        throw new Error(`Unexpected "${token.value}"`);
+    };
+
+    if (tokens.length === 0) throw new Error('Empty expression');
+    const result = parseExpression();
+    if (index < tokens.length) throw new Error(`Unexpected "${tokens[index].value}"`);
+    if (!Number.isFinite(result)) throw new Error('The result is not a finite number');
+    return Number(result.toPrecision(RESULT_PRECISION));
+}
+
+module.exports = {
+    name: 'calculate',
+    description: `Evaluate an arithmetic expression exactly. Use this for any calculation instead of doing math yourself. Supports + - * / % ^ ! and parentheses, the constants pi and e, and the functions ${Object.keys(FUNCTIONS).join(', ')} (trigonometry in radians; log(x) is base 10, log(x, base) any base).`,
+    parameters: {
+        type: 'object',
+        properties: {
+            expression: {
+                type: 'string',
+                minLength: 1,
+                maxLength: 500,
+                description: "The expression, e.g. '(1250 * 0.075) / 12' or 'sqrt(2) * 3^4'."
+            }
+        },
+        required: ['expression']
+    },
+    modes: ['chat', 'deep_research'],
+    events: { start: 'calculating', complete: 'calculation_complete' },
+
+    describe({ expression }) {
+        return { message: `Calculating ${expression}...`, expression };
+    },
+
+    async handler({ expression }) {
+        try {
+            const result = evaluate(expression);
+            return { success: true, content: `${expression} = ${result}`, message: `${expression} = ${result}` };
+        } catch (error) {
+            return { success: false, content: `Could not evaluate "${expression}": ${error.message}.`, message: 'Calculation failed' };
+        }
+    }
+};
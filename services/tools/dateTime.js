@@ -0,0 +1,211 @@
+/**
+ * date_time Tool
+ * Current time, date arithmetic and time-zone conversion with IANA time zones (Intl),
+ * so the model does not count days or months itself. Calendar units (years, months, days)
+ * are applied to the wall-clock date in the time zone; hours and minutes are elapsed time.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WALL_CLOCK_FORMAT = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+/**
+ * @throws {Error} If the time zone is not a known IANA zone.
+ */
+function checkTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch (e) {
+        throw new Error(`Unknown time zone "${timeZone}". Use an IANA name such as "Europe/Paris" or "UTC"`);
+    }
+}
+
+/**
+ * Wall-clock time of an instant in a time zone, as milliseconds of a UTC date with the same fields.
+ */
+function wallTime(date, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+/**
+ * Instant at which a time zone's clock shows the given wall-clock time.
+ */
+function fromWallTime(wall, timeZone) {
+    let instant = wall - (wallTime(new Date(wall), timeZone) - wall);
+    instant = wall - (wallTime(new Date(instant), timeZone) - instant); // second pass settles DST transitions
+    return new Date(instant);
+}
+
+/**
+ * Parses an ISO 8601 date or date-time. Values without an offset are read in `timeZone`.
+ * @throws {Error} If the value is not a valid date.
+ */
+function parseDate(value, timeZone) {
+    const match = value.trim().match(WALL_CLOCK_FORMAT);
+    if (match) {
+        const [, year, month, day, hour = 0, minute = 0, second = 0] = match.map(part => part && Number(part));
+        const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+        // Date.UTC rolls out-of-range fields over (month 13, day 31 of a 30-day month, hour 25)
+        const parsed = new Date(wall);
+        if (parsed.getUTCMonth() !== month - 1 || parsed.getUTCDate() !== day ||
+            parsed.getUTCHours() !== hour || parsed.getUTCMinutes() !== minute || parsed.getUTCSeconds() !== second) {
+            throw new Error(`Invalid date "${value}"`);
+        }
+        return fromWallTime(wall, timeZone);
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new Error(`Invalid date "${value}". Use ISO 8601, e.g. 2025-03-14 or 2025-03-14T09:30:00Z`);
+    return date;
+}
+
+/**
+ * An instant as seen in a time zone.
+ */
+function describe(date, timeZone) {
+    const wall = wallTime(date, timeZone);
+    const offsetMinutes = Math.round((wall - date.getTime()) / 60000);
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const offset = `${sign}${String(Math.floor(Math.abs(offsetMinutes) / 60)).padStart(2, '0')}:${String(Math.abs(offsetMinutes) % 60).padStart(2, '0')}`;
+    return {
+        iso: `${new Date(wall).toISOString().substring(0, 19)}${offset}`,
+        formatted: date.toLocaleString('en-US', { timeZone, dateStyle: 'full', timeStyle: 'short' }),
+        weekday: date.toLocaleDateString('en-US', { timeZone, weekday: 'long' }),
+        timezone: timeZone
+    };
+}
+
+/**
+ * Adds calendar months to a wall-clock time, clamping the day to the target month (Jan 31 + 1 month = Feb 28/29).
+ */
+function addMonths(wall, months) {
+    const date = new Date(wall);
+    const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+    target.setUTCHours(date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds());
+    return target.getTime();
+}
+
+function add(date, amount, timeZone) {
+    const { years = 0, months = 0, weeks = 0, days = 0, hours = 0, minutes = 0 } = amount;
+    let wall = addMonths(wallTime(date, timeZone), years * 12 + months);
+    wall += (weeks * 7 + days) * DAY_MS;
+    return new Date(fromWallTime(wall, timeZone).getTime() + (hours * 60 + minutes) * 60000);
+}
+
+function difference(start, end, timeZone) {
+    const sign = end < start ? -1 : 1;
+    const [from, to] = sign > 0 ? [start, end] : [end, start];
+    const fromWall = wallTime(from, timeZone);
+    const toWall = wallTime(to, timeZone);
+
+    // Whole calendar months, then the remaining days
+    const a = new Date(fromWall);
+    const b = new Date(toWall);
+    let months = (b.getUTCFullYear() - a.getUTCFullYear()) * 12 + (b.getUTCMonth() - a.getUTCMonth());
+    if (addMonths(fromWall, months) > toWall) months--;
+    const days = Math.floor((toWall - addMonths(fromWall, months)) / DAY_MS);
+
+    // Monday-Friday days in [from, to)
+    const totalDays = Math.floor((toWall - fromWall) / DAY_MS);
+    let weekdays = Math.floor(totalDays / 7) * 5;
+    for (let i = 0, day = a.getUTCDay(); i < totalDays % 7; i++, day = (day + 1) % 7) {
+        if (day !== 0 && day !== 6) weekdays++;
+    }
+
+    const elapsed = to.getTime() - from.getTime();
+    return {
+        direction: sign > 0 ? 'end is after start' : 'end is before start',
+        years: Math.floor(months / 12) * sign,
+        months: (months % 12) * sign,
+        days: days * sign,
+        totalDays: totalDays * sign,
+        totalWeeks: Number((totalDays / 7 * sign).toFixed(2)),
+        weekdays: weekdays * sign,
+        totalHours: Number((elapsed / 3600000 * sign).toFixed(2)),
+        totalMinutes: Math.round(elapsed / 60000) * sign
+    };
+}
+
+const AMOUNT_UNIT = { type: 'number', description: 'May be negative.' };
+
+module.exports = {
+    name: 'date_time',
+    description: "Date and time calculations. 'now': current date and time in a time zone. 'add': add or subtract years, months, weeks, days, hours and minutes to a date. 'difference': time between date and end_date (calendar years/months/days, total days, weekdays, hours). 'convert': show a date-time in another time zone. Use this instead of counting days yourself.",
+    parameters: {
+        type: 'object',
+        properties: {
+            operation: {
+                type: 'string',
+                enum: ['now', 'add', 'difference', 'convert']
+            },
+            date: {
+                type: 'string',
+                description: "ISO 8601 date or date-time, e.g. '2025-03-14' or '2025-03-14T09:30'. Without an offset it is read in `timezone`. Defaults to now."
+            },
+            end_date: {
+                type: 'string',
+                description: "For 'difference': the second date (ISO 8601)."
+            },
+            amount: {
+                type: 'object',
+                description: "For 'add': the amounts to add (negative to subtract).",
+                properties: {
+                    years: { ...AMOUNT_UNIT, type: 'integer' },
+                    months: { ...AMOUNT_UNIT, type: 'integer' },
+                    weeks: AMOUNT_UNIT,
+                    days: AMOUNT_UNIT,
+                    hours: AMOUNT_UNIT,
+                    minutes: AMOUNT_UNIT
+                },
+                additionalProperties: false
+            },
+            timezone: {
+                type: 'string',
+                description: "IANA time zone for reading and showing dates, e.g. 'America/New_York'. Default 'UTC'."
+            },
+            to_timezone: {
+                type: 'string',
+                description: "For 'convert': the target IANA time zone."
+            }
+        },
+        required: ['operation']
+    },
+    modes: ['chat', 'deep_research'],
+    events: { start: 'calculating', complete: 'calculation_complete' },
+
+    describe({ operation, date }) {
+        return { message: `Working out dates (${operation})...`, operation, ...(date && { date }) };
+    },
+
+    async handler(args) {
+        const { operation, timezone = 'UTC' } = args;
+        try {
+            checkTimeZone(timezone);
+            const date = args.date ? parseDate(args.date, timezone) : new Date();
+            let result;
+
+            if (operation === 'now') {
+                result = describe(new Date(), timezone);
+            } else if (operation === 'add') {
+                if (!args.amount) throw new Error("'add' needs an amount, e.g. { \"days\": 30 }");
+                result = { from: describe(date, timezone), result: describe(add(date, args.amount, timezone), timezone) };
+            } else if (operation === 'difference') {
+                if (!args.end_date) throw new Error("'difference' needs end_date");
+                const end = parseDate(args.end_date, timezone);
+                result = { start: describe(date, timezone), end: describe(end, timezone), ...difference(date, end, timezone) };
+            } else {
+                if (!args.to_timezone) throw new Error("'convert' needs to_timezone");
+                checkTimeZone(args.to_timezone);
+                result = { from: describe(date, timezone), to: describe(date, args.to_timezone) };
+            }
+
+            return { success: true, content: JSON.stringify(result), message: 'Date calculation complete' };
+        } catch (error) {
+            return { success: false, content: `Date calculation failed: ${error.message}.`, message: 'Date calculation failed' };
+        }
+    }
+};
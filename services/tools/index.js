@@ -0,0 +1,186 @@
+/**
+ * Tool Registry
+ * Tools the chat agent can call. Each tool declares its JSON schema, handler, progress
+ * events and the chat modes that offer it; GroqService asks the registry which tools a run
+ * gets and dispatches the model's tool calls through it.
+ *
+ * A tool module exports a tool, or a list of related tools. A tool is a plain object:
+ *   - name, description, parameters   Function definition sent to the model (parameters is a JSON schema)
+ *   - modes                           Chat modes that offer the tool: 'chat' and/or 'deep_research'
+ *   - available(context)              Optional; whether this run can use the tool (e.g. tables were given)
+ *   - prompt(context)                 Optional; section appended to the system prompt when the tool is offered
+ *   - events: { start, complete }     Progress event types; `start` is also the search step's type
+ *                                     (steps also carry the tool `name`)
+ *   - describe(args, context)         Optional; { message, ...stepFields } for the start event
+ *   - handler(args, context)          → { content, success, message?, resultCount?, sources? }
+ *   - countsAsSearch                  Optional; counts toward the run's searches (deep research depth)
+ *
+ * Arguments are validated against `parameters` before the handler runs; invalid calls are
+ * answered with the validation errors so the model can correct them.
+ */
+
+const { validate } = require('./schema');
+
+const MODES = ['chat', 'deep_research'];
+// Cap on argument text quoted in the log
+const LOG_ARGS_LENGTH = 200;
+
+const log = (emoji, msg) => console.log(`[TOOLS] ${emoji} ${msg}`);
+
+class ToolRegistry {
+    constructor() {
+        this.tools = new Map();
+    }
+
+    /**
+     * Adds a tool. Tools are offered to the model in registration order.
+     * @param {object} tool - Tool definition (see the module comment).
+     * @returns {ToolRegistry}
+     * @throws {Error} If the definition is incomplete or the name is taken.
+     */
+    register(tool) {
+        if (!tool || !/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name || '')) {
+            throw new Error('A tool needs a name of letters, digits, "_" or "-".');
+        }
+        if (this.tools.has(tool.name)) throw new Error(`Tool "${tool.name}" is already registered.`);
+        if (typeof tool.handler !== 'function') throw new Error(`Tool "${tool.name}" has no handler.`);
+        if (tool.parameters?.type !== 'object') throw new Error(`Tool "${tool.name}" parameters must be an object schema.`);
+        if (!tool.events?.start || !tool.events?.complete) throw new Error(`Tool "${tool.name}" must declare start and complete events.`);
+        const unknownModes = (tool.modes || []).filter(mode => !MODES.includes(mode));
+        if (!tool.modes?.length || unknownModes.length > 0) {
+            throw new Error(`Tool "${tool.name}" modes must be a non-empty list of: ${MODES.join(', ')}.`);
+        }
+
+        this.tools.set(tool.name, tool);
+        return this;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {object|undefined}
+     */
+    get(name) {
+        return this.tools.get(name);
+    }
+
+    /**
+     * Tools offered in a run. Calls to any other tool are rejected by execute().
+     * @param {object} context - Run context: { mode, tables, documentSearch, allowedTools?, ... }.
+     *   `allowedTools` (tool names, e.g. a persona's) limits the tools further; null allows all.
+     * @returns {Array<object>}
+     */
+    available(context) {
+        return [...this.tools.values()].filter(tool =>
+            tool.modes.includes(context.mode) &&
+            (!context.allowedTools || context.allowedTools.includes(tool.name)) &&
+            (!tool.available || tool.available(context))
+        );
+    }
+
+    /**
+     * Function definitions for the chat-completion request.
+     * @param {Array<object>} tools - From available().
+     * @returns {Array<object>}
+     */
+    definitions(tools) {
+        return tools.map(({ name, description, parameters }) => ({
+            type: 'function',
+            function: { name, description, parameters }
+        }));
+    }
+
+    /**
+     * System prompt sections contributed by the offered tools.
+     * @param {Array<object>} tools - From available().
+     * @param {object} context
+     * @returns {string[]}
+     */
+    prompts(tools, context) {
+        return tools.map(tool => tool.prompt?.(context)).filter(Boolean);
+    }
+
+    /**
+     * Runs one tool call from the model: validates the arguments, records a search step,
+     * emits the tool's start and complete events and collects its sources.
+     *
+     * @param {object} toolCall - { id, function: { name, arguments } } from the assistant message.
+     * @param {object} context - Run context:
+     *   mode, isDeepResearch, tables, documentSearch, allowedTools, signal, iteration (current step),
+     *   emit (progress callback), steps (search steps), sources (collected sources),
+     *   searchCount (updated here).
+     * @returns {Promise<{role: string, tool_call_id: string, content: string}>} - The tool message.
+     * @throws {Error} Only when the run is aborted.
+     */
+    async execute(toolCall, context) {
+        const name = toolCall.function?.name;
+        const reply = (content) => ({ role: 'tool', tool_call_id: toolCall.id, content });
+
+        const tool = this.tools.get(name);
+        if (!tool || !this.available(context).includes(tool)) {
+            return reply(`Unknown tool "${name}".`);
+        }
+
+        let args;
+        try {
+            args = JSON.parse(toolCall.function.arguments || '{}');
+        } catch (e) {
+            return reply('Invalid JSON arguments.');
+        }
+        const errors = validate(tool.parameters, args);
+        if (errors.length > 0) {
+            log('⚠️', `${name}: invalid arguments (${errors.join('; ')})`);
+            return reply(`Invalid arguments for ${name}: ${errors.join('; ')}. Correct them and call the tool again.`);
+        }
+
+        if (tool.countsAsSearch) context.searchCount++;
+        const { message, ...details } = tool.describe ? tool.describe(args, context) : { message: `Running ${name}...` };
+        const step = {
+            id: `${name}-${context.iteration}-${context.steps.length + 1}`,
+            type: tool.events.start,
+            tool: name,
+            ...details,
+            status: 'running', timestamp: Date.now()
+        };
+        context.steps.push(step);
+        context.emit({ type: tool.events.start, step, message });
+        log('🔧', `${name}(${JSON.stringify(args).substring(0, LOG_ARGS_LENGTH)})`);
+
+        let result;
+        try {
+            result = await tool.handler(args, context);
+        } catch (error) {
+            if (context.signal?.aborted) throw error;
+            log('❌', `${name} failed: ${error.message}`);
+            result = { success: false, content: `${name} failed: ${error.message}` };
+        }
+
+        step.status = result.success ? 'done' : 'error';
+        if (result.resultCount !== undefined) step.resultCount = result.resultCount;
+        context.emit({
+            type: tool.events.complete,
+            step,
+            message: result.message || (result.success ? `Finished ${name}` : `${name} failed`)
+        });
+
+        if (result.sources?.length) context.sources.push(...result.sources);
+        return reply(result.content);
+    }
+}
+
+const registry = new ToolRegistry();
+[
+    require('./webSearch'),
+    require('./browserExtract'),
+    require('./searchDocuments'),
+    require('./queryTable'),
+    require('./calculator'),
+    require('./dateTime'),
+    require('./unitConversion'),
+    require('./notes'),
+    require('./tasks'),
+    require('./reminders'),
+    require('./memory')
+].flat().forEach(tool => registry.register(tool));
+
+module.exports = registry;
+module.exports.MODES = MODES;
@@ -0,0 +1,63 @@
+/**
+ * Memory Tools
+ * remember and forget_memory over the user's long-term memory (memoryService). Offered in chat mode.
+ */
+
+const EVENTS = { start: 'remembering', complete: 'remembering_complete' };
+
+const MEMORY_PROMPT = `## LONG-TERM MEMORY
+When the user tells you something lasting about themselves and asks you to remember it, or clearly expects you to (e.g. "I'm vegetarian", "I moved to Bangalore"), call remember with a short third-person statement ("Is vegetarian"). Use add_note for information the user wants kept that is not about themselves. When they ask you to forget something listed under WHAT YOU KNOW ABOUT THE USER, call forget_memory with its #id.`;
+
+// Required lazily: memoryService depends on groqService, which loads the tools
+const memoryService = () => require('../memoryService');
+
+const remember = {
+    name: 'remember',
+    description: 'Save a lasting fact, preference or goal about the user to long-term memory, so it is known in future conversations.',
+    parameters: {
+        type: 'object',
+        properties: {
+            content: { type: 'string', minLength: 1, maxLength: 500, description: 'Short third-person statement, e.g. "Is vegetarian", "Lives in Bangalore".' },
+            category: { type: 'string', enum: ['fact', 'preference', 'goal'], description: 'Default fact.' }
+        },
+        required: ['content']
+    },
+    modes: ['chat'],
+    events: EVENTS,
+    prompt: () => MEMORY_PROMPT,
+
+    describe({ content }) {
+        return { message: 'Remembering that...', memory: content };
+    },
+
+    async handler({ content, category }) {
+        const memory = await memoryService().create({ content: content.trim(), category, source: 'chat' });
+        return { success: true, content: JSON.stringify({ remembered: true, memory }), message: `Remembered: ${memory.content}` };
+    }
+};
+
+const forgetMemory = {
+    name: 'forget_memory',
+    description: 'Delete something from the user\'s long-term memory when they ask you to forget it or it is no longer true. Use the #id shown in WHAT YOU KNOW ABOUT THE USER.',
+    parameters: {
+        type: 'object',
+        properties: {
+            memory_id: { type: 'integer', description: 'Id of the memory.' }
+        },
+        required: ['memory_id']
+    },
+    modes: ['chat'],
+    events: EVENTS,
+
+    describe({ memory_id }) {
+        return { message: `Forgetting memory #${memory_id}...`, memoryId: memory_id };
+    },
+
+    async handler({ memory_id }) {
+        const memory = await memoryService().remove(memory_id);
+        if (!memory) return { success: false, content: `Memory ${memory_id} does not exist.`, message: 'Memory not found' };
+        return { success: true, content: JSON.stringify({ forgotten: true, memory }), message: `Forgot: ${memory.content}` };
+    }
+};
+
+module.exports = [remember, forgetMemory];
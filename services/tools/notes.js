@@ -0,0 +1,63 @@
+/**
+ * Note Tools
+ * add_note and search_notes over the user's notes (noteService). Offered in chat mode.
+ */
+
+const noteService = require('../noteService');
+
+// Notes returned to the model per search
+const MAX_NOTES = 10;
+const EVENTS = { start: 'organizing', complete: 'organizing_complete' };
+
+const addNote = {
+    name: 'add_note',
+    description: "Save a note for the user (something to keep, not a to-do). Use when the user asks you to note, write down or keep a piece of information (facts about the user themselves go to remember).",
+    parameters: {
+        type: 'object',
+        properties: {
+            title: { type: 'string', maxLength: 200, description: 'Short title. Optional.' },
+            content: { type: 'string', minLength: 1, description: 'The note text, in the user\'s words where possible.' }
+        },
+        required: ['content']
+    },
+    modes: ['chat'],
+    events: EVENTS,
+
+    describe({ title, content }) {
+        return { message: 'Saving a note...', title: title || content.substring(0, 60) };
+    },
+
+    async handler({ title, content }) {
+        const note = await noteService.create({ title: title?.trim() || null, content: content.trim() });
+        return { success: true, content: JSON.stringify({ saved: true, note }), message: `Saved note #${note.id}` };
+    }
+};
+
+const searchNotes = {
+    name: 'search_notes',
+    description: "Find the user's saved notes by words in their title or text, or list the most recent notes when no query is given.",
+    parameters: {
+        type: 'object',
+        properties: {
+            query: { type: 'string', description: 'Words to look for. Omit for the most recent notes.' }
+        }
+    },
+    modes: ['chat'],
+    events: EVENTS,
+
+    describe({ query }) {
+        return { message: query ? `Looking through your notes for "${query}"...` : 'Looking through your notes...', query: query || null };
+    },
+
+    async handler({ query = '' }) {
+        const notes = await noteService.list({ query: query.trim(), limit: MAX_NOTES });
+        return {
+            success: true,
+            content: notes.length > 0 ? JSON.stringify(notes) : 'No matching notes.',
+            message: `Found ${notes.length} notes`,
+            resultCount: notes.length
+        };
+    }
+};
+
+module.exports = [addNote, searchNotes];
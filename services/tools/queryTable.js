@@ -0,0 +1,119 @@
+/**
+ * query_table Tool
+ * Exact filter / group-by / aggregate queries over uploaded spreadsheet tables. Offered
+ * when the chat request references documents with tables (`tables`: tableService.listTables rows).
+ */
+
+const tableService = require('../tableService');
+
+module.exports = {
+    name: 'query_table',
+    description: "Run an exact filter / group-by / aggregate query over one of the user's uploaded spreadsheet tables (listed under AVAILABLE TABLES). ALWAYS use this for totals, averages, counts, rankings or date ranges instead of doing arithmetic yourself.",
+    parameters: {
+        type: 'object',
+        properties: {
+            table_id: {
+                type: 'integer',
+                description: "Id of the table to query."
+            },
+            filters: {
+                type: 'array',
+                description: "Row filters; all must match.",
+                items: {
+                    type: 'object',
+                    properties: {
+                        column: { type: 'string' },
+                        op: { type: 'string', enum: ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'contains', 'in', 'between'] },
+                        value: { description: "Value to compare with. For 'between' pass [low, high]; for 'in' pass an array. Dates as YYYY-MM-DD." }
+                    },
+                    required: ['column', 'op', 'value']
+                }
+            },
+            group_by: {
+                type: 'array',
+                items: { type: 'string' },
+                description: "Columns to group by. Append :year, :month, :day or :weekday to group a date column, e.g. 'Date:month'."
+            },
+            aggregations: {
+                type: 'array',
+                description: "Aggregates per group (or over all matched rows).",
+                items: {
+                    type: 'object',
+                    properties: {
+                        fn: { type: 'string', enum: ['count', 'sum', 'avg', 'min', 'max', 'count_distinct'] },
+                        column: { type: 'string' },
+                        as: { type: 'string', description: "Output column name." }
+                    },
+                    required: ['fn']
+                }
+            },
+            order_by: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        column: { type: 'string', description: "Output column to sort by." },
+                        direction: { type: 'string', enum: ['asc', 'desc'] }
+                    },
+                    required: ['column']
+                }
+            },
+            limit: {
+                type: 'integer',
+                minimum: 1,
+                maximum: 50,
+                description: "Maximum rows to return (1-50)."
+            }
+        },
+        required: ['table_id']
+    },
+    modes: ['chat', 'deep_research'],
+    events: { start: 'analyzing', complete: 'analysis_complete' },
+
+    available: ({ tables }) => tables.length > 0,
+
+    /**
+     * Describes the queryable tables for the system prompt.
+     */
+    prompt({ tables }) {
+        const lines = tables.map(t =>
+            `- Table ${t.id}: "${t.name}" from ${t.filename} (${t.row_count} rows). Columns: ${t.columns.join(', ')}. Sample rows: ${JSON.stringify(t.sample_rows)}`
+        );
+        return `## AVAILABLE TABLES\nThe user uploaded these spreadsheet tables. Use the query_table tool for any calculation over them (totals, averages, counts, date ranges, rankings) - never compute from raw text.\n${lines.join('\n')}`;
+    },
+
+    describe({ table_id }, { tables }) {
+        const table = tables.find(t => t.id === table_id);
+        const label = table ? `${table.filename} / ${table.name}` : String(table_id);
+        return { message: `Analyzing table "${label}"...`, tableId: table_id, table: label };
+    },
+
+    async handler(args, { tables }) {
+        const table = tables.find(t => t.id === args.table_id);
+        if (!table) {
+            return { success: false, content: `Query failed: Table ${args.table_id} is not available. Use one of the AVAILABLE TABLES.`, message: 'Table query failed', resultCount: 0 };
+        }
+
+        const queryResult = await tableService.query(table.id, args);
+        if (!queryResult.success) {
+            return { success: false, content: `Query failed: ${queryResult.error}`, message: 'Table query failed', resultCount: 0 };
+        }
+
+        const { columns, rows, matchedRows, totalRows, truncated } = queryResult;
+        return {
+            success: true,
+            content: JSON.stringify({ columns, rows, matchedRows, totalRows, truncated }),
+            message: `Computed ${rows.length} result rows`,
+            resultCount: rows.length,
+            sources: [{
+                type: 'document',
+                title: table.filename,
+                documentId: table.document_id,
+                chunkIndex: null,
+                location: { sheet: table.name },
+                locationLabel: table.name,
+                snippet: `${matchedRows} of ${totalRows} rows analyzed`
+            }]
+        };
+    }
+};
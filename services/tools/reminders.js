@@ -0,0 +1,162 @@
+/**
+ * Reminder Tools
+ * add_reminder, list_reminders and cancel_reminder (reminderService), plus get_agenda, which
+ * combines the day's tasks and reminders. Offered in chat mode.
+ */
+
+const reminderService = require('../reminderService');
+const taskService = require('../taskService');
+const { parseDate, parseDateTime, localDate, addDays } = require('../../utils/dates');
+
+const MAX_ITEMS = 50;
+const MAX_AGENDA_DAYS = 31;
+const EVENTS = { start: 'organizing', complete: 'organizing_complete' };
+
+const ORGANIZER_PROMPT = `## PERSONAL ORGANIZER
+You keep the user's notes (add_note, search_notes), to-do list (add_task, list_tasks, update_task) and reminders (add_reminder, list_reminders, cancel_reminder). When the user asks you to remember, note, plan or remind them of something, call the tool instead of only replying; for "what's on my list / plate / agenda" use get_agenda. Resolve relative dates ("tomorrow", "next Friday", "in two weeks") against the current date above, and write times as server-local ISO 8601 (YYYY-MM-DDTHH:MM). Confirm what you saved, with the date.`;
+
+/**
+ * Midnight (server time) at the start of a calendar date.
+ */
+const startOfDay = (date) => parseDateTime(`${date}T00:00`);
+
+const addReminder = {
+    name: 'add_reminder',
+    description: "Set a reminder that alerts the user at a specific date and time (e.g. 'remind me to renew my passport next Friday').",
+    parameters: {
+        type: 'object',
+        properties: {
+            message: { type: 'string', minLength: 1, maxLength: 1000, description: 'What to remind the user of.' },
+            remind_at: { type: 'string', minLength: 1, description: 'When, as YYYY-MM-DDTHH:MM (server time). A date alone means 09:00 that day.' }
+        },
+        required: ['message', 'remind_at']
+    },
+    modes: ['chat'],
+    events: EVENTS,
+
+    describe({ message }) {
+        return { message: 'Setting a reminder...', reminder: message };
+    },
+
+    async handler({ message, remind_at }) {
+        const remindAt = parseDateTime(remind_at);
+        if (!remindAt) {
+            return { success: false, content: `Invalid remind_at "${remind_at}"; use YYYY-MM-DDTHH:MM.`, message: 'Could not set the reminder' };
+        }
+        if (remindAt < new Date()) {
+            return { success: false, content: `${remind_at} is in the past. Ask the user for a future time.`, message: 'Could not set the reminder' };
+        }
+
+        const reminder = await reminderService.create({ message: message.trim(), remindAt });
+        const localTime = remindAt.toLocaleString('en-US', { dateStyle: 'full', timeStyle: 'short' });
+        return {
+            success: true,
+            content: JSON.stringify({ added: true, reminder, localTime }),
+            message: `Reminder set for ${localTime}`
+        };
+    }
+};
+
+const listReminders = {
+    name: 'list_reminders',
+    description: "List the user's pending reminders in time order (optionally only those due, or between two dates).",
+    parameters: {
+        type: 'object',
+        properties: {
+            status: { type: 'string', enum: reminderService.STATUSES, description: 'Default pending.' },
+            from: { type: 'string', description: 'Only reminders at or after this date-time (ISO 8601).' },
+            to: { type: 'string', description: 'Only reminders before this date-time (ISO 8601).' }
+        }
+    },
+    modes: ['chat'],
+    events: EVENTS,
+
+    describe() {
+        return { message: 'Checking your reminders...' };
+    },
+
+    async handler({ status = 'pending', from, to }) {
+        const fromTime = from ? parseDateTime(from) : null;
+        const toTime = to ? parseDateTime(to) : null;
+        if ((from && !fromTime) || (to && !toTime)) {
+            return { success: false, content: 'from and to must be ISO 8601 date-times (YYYY-MM-DDTHH:MM).', message: 'Could not list reminders' };
+        }
+
+        const reminders = await reminderService.list({ status, from: fromTime, to: toTime, limit: MAX_ITEMS });
+        return {
+            success: true,
+            content: reminders.length > 0 ? JSON.stringify(reminders) : 'No matching reminders.',
+            message: `Found ${reminders.length} reminders`,
+            resultCount: reminders.length
+        };
+    }
+};
+
+const cancelReminder = {
+    name: 'cancel_reminder',
+    description: "Delete a reminder the user no longer wants. Find its id with list_reminders first.",
+    parameters: {
+        type: 'object',
+        properties: {
+            reminder_id: { type: 'integer', description: 'Id of the reminder.' }
+        },
+        required: ['reminder_id']
+    },
+    modes: ['chat'],
+    events: EVENTS,
+
+    describe({ reminder_id }) {
+        return { message: `Cancelling reminder #${reminder_id}...`, reminderId: reminder_id };
+    },
+
+    async handler({ reminder_id }) {
+        const reminder = await reminderService.remove(reminder_id);
+        if (!reminder) {
+            return { success: false, content: `Reminder ${reminder_id} does not exist. Use list_reminders to find it.`, message: 'Reminder not found' };
+        }
+        return { success: true, content: JSON.stringify({ cancelled: true, reminder }), message: `Cancelled reminder #${reminder_id}` };
+    }
+};
+
+const getAgenda = {
+    name: 'get_agenda',
+    description: "The user's agenda: open tasks due in a date range (plus overdue ones) and reminders in that range. Defaults to today.",
+    parameters: {
+        type: 'object',
+        properties: {
+            date: { type: 'string', description: 'First day, YYYY-MM-DD. Default today.' },
+            days: { type: 'integer', minimum: 1, maximum: MAX_AGENDA_DAYS, description: 'Number of days to cover. Default 1.' }
+        }
+    },
+    modes: ['chat'],
+    events: EVENTS,
+    // Offered whenever the organizer tools are, so it carries their shared instructions
+    prompt: () => ORGANIZER_PROMPT,
+
+    describe({ date, days = 1 }) {
+        return { message: days > 1 ? `Checking your agenda for ${days} days...` : 'Checking your agenda...', date: date || localDate(), days };
+    },
+
+    async handler({ date, days = 1 }) {
+        const first = date ? parseDate(date) : localDate();
+        if (!first) return { success: false, content: `Invalid date "${date}"; use YYYY-MM-DD.`, message: 'Could not load the agenda' };
+        const last = addDays(first, days - 1);
+
+        const [overdue, due, reminders] = await Promise.all([
+            first <= localDate() ? taskService.list({ overdue: true, limit: MAX_ITEMS }) : [],
+            taskService.list({ dueFrom: first, dueTo: last, limit: MAX_ITEMS }),
+            reminderService.list({ from: startOfDay(first), to: startOfDay(addDays(last, 1)), limit: MAX_ITEMS })
+        ]);
+        const agenda = { from: first, to: last, today: localDate(), overdueTasks: overdue, tasks: due, reminders };
+        const count = overdue.length + due.length + reminders.length;
+
+        return {
+            success: true,
+            content: JSON.stringify(agenda),
+            message: `Found ${due.length} tasks, ${overdue.length} overdue and ${reminders.length} reminders`,
+            resultCount: count
+        };
+    }
+};
+
+module.exports = [addReminder, listReminders, cancelReminder, getAgenda];
@@ -0,0 +1,79 @@
+/**
+ * Tool Argument Validation
+ * Checks tool-call arguments against the tool's JSON schema before the handler runs.
+ * Covers the subset of JSON Schema used in tool definitions: type, enum, properties,
+ * required, additionalProperties: false, items, minimum / maximum, minLength / maxLength
+ * and minItems / maxItems. Keywords outside this subset are ignored.
+ */
+
+const TYPE_CHECKS = {
+    string: (value) => typeof value === 'string',
+    number: (value) => typeof value === 'number' && Number.isFinite(value),
+    integer: (value) => Number.isInteger(value),
+    boolean: (value) => typeof value === 'boolean',
+    array: (value) => Array.isArray(value),
+    object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+    null: (value) => value === null
+};
+
+/**
+ * Validates a value against a schema.
+ * @param {object} schema - JSON schema.
+ * @param {*} value
+ * @param {string} [path] - Name of the value in error messages.
+ * @returns {string[]} - Error messages; empty when the value is valid.
+ */
+function validate(schema, value, path = 'arguments') {
+    if (!schema || typeof schema !== 'object') return [];
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => TYPE_CHECKS[type]?.(value))) {
+            return [`${path} must be ${types.map(type => (type === 'integer' || type === 'array' || type === 'object') ? `an ${type}` : `a ${type}`).join(' or ')}`];
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${path} must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`];
+    }
+
+    const errors = [];
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(schema.minLength === 1 ? `${path} must not be empty` : `${path} must have at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} must have at most ${schema.maxLength} characters`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} must have at least ${schema.minItems} item(s)`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} must have at most ${schema.maxItems} item(s)`);
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+        }
+    }
+
+    if (TYPE_CHECKS.object(value)) {
+        const properties = schema.properties || {};
+        for (const name of schema.required || []) {
+            if (value[name] === undefined) errors.push(`${path}.${name} is required`);
+        }
+        for (const [name, propertyValue] of Object.entries(value)) {
+            if (properties[name]) {
+                errors.push(...validate(properties[name], propertyValue, `${path}.${name}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${name} is not a known parameter`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+module.exports = { validate };
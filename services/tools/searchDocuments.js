@@ -0,0 +1,66 @@
+/**
+ * search_documents Tool
+ * Searches the user's document library. Offered when the chat request has a document
+ * search scope (`documentSearch`: { documentIds?, mode? }).
+ */
+
+const DOCUMENT_LIBRARY_PROMPT = `## DOCUMENT LIBRARY
+The user has a library of uploaded documents. Call search_documents to look things up in it, and web_search for current or public information. When a question needs both (e.g. comparing the user's notes with recent news), call both. Documents already shown under RELEVANT CONTEXT FROM DOCUMENTS do not need to be searched again.`;
+
+module.exports = {
+    name: 'search_documents',
+    description: "Search the user's own uploaded documents (notes, reports, spreadsheets, emails). Use this for anything about the user's material; use web_search for public or current information, and both when the question needs both.",
+    parameters: {
+        type: 'object',
+        properties: {
+            query: {
+                type: 'string',
+                minLength: 1,
+                description: "What to look for. Include exact names, codes or numbers when you have them."
+            },
+            max_results: {
+                type: 'number',
+                minimum: 1,
+                maximum: 10,
+                description: "Number of passages to return (1-10). Default is 5."
+            }
+        },
+        required: ['query']
+    },
+    modes: ['chat', 'deep_research'],
+    events: { start: 'searching_documents', complete: 'documents_complete' },
+    countsAsSearch: true,
+
+    available: ({ documentSearch }) => !!documentSearch,
+    prompt: () => DOCUMENT_LIBRARY_PROMPT,
+
+    describe({ query }) {
+        return { message: `Searching your documents: "${query}"...`, query };
+    },
+
+    async handler({ query, max_results }, { documentSearch }) {
+        // Required lazily: ragService depends on groqService, which loads the tools
+        const ragService = require('../ragService');
+        const searchResult = await ragService.searchDocuments(query, {
+            k: Math.round(max_results || 5),
+            mode: documentSearch.mode,
+            filters: { documentIds: documentSearch.documentIds }
+        });
+
+        const resultCount = searchResult.success ? searchResult.chunks.length : 0;
+        const message = `Found ${resultCount} passages in your documents for "${query}"`;
+        if (!searchResult.success) {
+            return { success: false, content: `Document search failed: ${searchResult.error}`, message, resultCount };
+        }
+        if (resultCount === 0) {
+            return { success: true, content: 'No matching passages in the document library.', message, resultCount };
+        }
+        return {
+            success: true,
+            content: searchResult.chunks.map(chunk => ragService.formatChunk(chunk)).join('\n\n---\n\n'),
+            message,
+            resultCount,
+            sources: ragService.toSources(searchResult.chunks)
+        };
+    }
+};
@@ -0,0 +1,130 @@
+/**
+ * Task Tools
+ * add_task, list_tasks and update_task over the user's to-do list (taskService). Offered in chat mode.
+ */
+
+const taskService = require('../taskService');
+const { parseDate, localDate } = require('../../utils/dates');
+
+const MAX_TASKS = 50;
+const EVENTS = { start: 'organizing', complete: 'organizing_complete' };
+const DUE_DATE = { type: 'string', description: "Due date as YYYY-MM-DD. Resolve relative dates ('tomorrow', 'next Friday') from today's date." };
+
+/**
+ * Validates a due date argument.
+ * @returns {{ dueDate?: string|null, error?: string }}
+ */
+const parseDueDate = (value) => {
+    if (value === undefined || value === null || value === '') return { dueDate: null };
+    const dueDate = parseDate(value);
+    return dueDate ? { dueDate } : { error: `Invalid due_date "${value}"; use YYYY-MM-DD.` };
+};
+
+const addTask = {
+    name: 'add_task',
+    description: "Add a to-do to the user's task list, with an optional due date and priority. Use for things the user has to do; use add_reminder when they want to be alerted at a specific time.",
+    parameters: {
+        type: 'object',
+        properties: {
+            title: { type: 'string', minLength: 1, maxLength: 500, description: 'What needs to be done.' },
+            due_date: DUE_DATE,
+            priority: { type: 'string', enum: taskService.PRIORITIES, description: 'Default medium.' },
+            notes: { type: 'string', description: 'Extra details. Optional.' }
+        },
+        required: ['title']
+    },
+    modes: ['chat'],
+    events: EVENTS,
+
+    describe({ title }) {
+        return { message: `Adding "${title}" to your tasks...`, title };
+    },
+
+    async handler({ title, due_date, priority, notes }) {
+        const { dueDate, error } = parseDueDate(due_date);
+        if (error) return { success: false, content: error, message: 'Could not add the task' };
+
+        const task = await taskService.create({ title: title.trim(), notes: notes?.trim() || null, dueDate, priority });
+        return { success: true, content: JSON.stringify({ added: true, task }), message: `Added task #${task.id}` };
+    }
+};
+
+const listTasks = {
+    name: 'list_tasks',
+    description: "List the user's tasks. By default the open ones, ordered by due date and priority. Filter by due date range, overdue, or words in the title.",
+    parameters: {
+        type: 'object',
+        properties: {
+            status: { type: 'string', enum: taskService.STATUSES, description: 'Default open.' },
+            due_from: { ...DUE_DATE, description: 'Only tasks due on or after this date (YYYY-MM-DD).' },
+            due_to: { ...DUE_DATE, description: 'Only tasks due on or before this date (YYYY-MM-DD).' },
+            overdue: { type: 'boolean', description: 'Only open tasks that are past their due date.' },
+            query: { type: 'string', description: 'Words in the title or notes.' }
+        }
+    },
+    modes: ['chat'],
+    events: EVENTS,
+
+    describe() {
+        return { message: 'Checking your tasks...' };
+    },
+
+    async handler({ status = 'open', due_from, due_to, overdue = false, query = '' }) {
+        const from = parseDueDate(due_from);
+        const to = parseDueDate(due_to);
+        if (from.error || to.error) return { success: false, content: from.error || to.error, message: 'Could not list tasks' };
+
+        const tasks = await taskService.list({ status, dueFrom: from.dueDate, dueTo: to.dueDate, overdue, query: query.trim(), limit: MAX_TASKS });
+        return {
+            success: true,
+            content: JSON.stringify({ today: localDate(), tasks }),
+            message: `Found ${tasks.length} tasks`,
+            resultCount: tasks.length
+        };
+    }
+};
+
+const updateTask = {
+    name: 'update_task',
+    description: "Change a task or mark it done / not done. Find the task id with list_tasks first.",
+    parameters: {
+        type: 'object',
+        properties: {
+            task_id: { type: 'integer', description: 'Id of the task.' },
+            done: { type: 'boolean' },
+            title: { type: 'string', minLength: 1, maxLength: 500 },
+            due_date: { type: ['string', 'null'], description: 'New due date (YYYY-MM-DD), or null to remove it.' },
+            priority: { type: 'string', enum: taskService.PRIORITIES },
+            notes: { type: 'string' }
+        },
+        required: ['task_id']
+    },
+    modes: ['chat'],
+    events: EVENTS,
+
+    describe({ task_id, done }) {
+        return { message: done ? `Completing task #${task_id}...` : `Updating task #${task_id}...`, taskId: task_id };
+    },
+
+    async handler({ task_id, done, title, due_date, priority, notes }) {
+        const fields = {};
+        if (done !== undefined) fields.done = done;
+        if (title !== undefined) fields.title = title.trim();
+        if (priority !== undefined) fields.priority = priority;
+        if (notes !== undefined) fields.notes = notes.trim() || null;
+        if (due_date !== undefined) {
+            const { dueDate, error } = parseDueDate(due_date);
+            if (error) return { success: false, content: error, message: 'Could not update the task' };
+            fields.due_date = dueDate;
+        }
+        if (Object.keys(fields).length === 0) {
+            return { success: false, content: 'Nothing to change: pass done, title, due_date, priority or notes.', message: 'Could not update the task' };
+        }
+
+        const task = await taskService.update(task_id, fields);
+        if (!task) return { success: false, content: `Task ${task_id} does not exist. Use list_tasks to find it.`, message: 'Task not found' };
+        return { success: true, content: JSON.stringify({ updated: true, task }), message: `Updated task #${task.id}` };
+    }
+};
+
+module.exports = [addTask, listTasks, updateTask];
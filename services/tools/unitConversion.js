@@ -0,0 +1,192 @@
+/**
+ * convert_units Tool
+ * Converts between units of the same dimension. Units are listed per dimension with their
+ * factor to the dimension's base unit; temperatures use offsets and are handled separately.
+ */
+
+// Dimension → unit → [factor to the base unit, ...aliases]
+const UNITS = {
+    length: {
+        m: [1, 'meter', 'meters', 'metre', 'metres'],
+        km: [1000, 'kilometer', 'kilometers', 'kilometre', 'kilometres'],
+        cm: [0.01, 'centimeter', 'centimeters', 'centimetre', 'centimetres'],
+        mm: [0.001, 'millimeter', 'millimeters', 'millimetre', 'millimetres'],
+        um: [1e-6, 'µm', 'micrometer', 'micrometers', 'micron', 'microns'],
+        nm: [1e-9, 'nanometer', 'nanometers'],
+        in: [0.0254, 'inch', 'inches', '"'],
+        ft: [0.3048, 'foot', 'feet', "'"],
+        yd: [0.9144, 'yard', 'yards'],
+        mi: [1609.344, 'mile', 'miles'],
+        nmi: [1852, 'nautical mile', 'nautical miles'],
+        au: [149597870700, 'astronomical unit', 'astronomical units'],
+        ly: [9460730472580800, 'light year', 'light years', 'light-year', 'light-years']
+    },
+    mass: {
+        kg: [1, 'kilogram', 'kilograms', 'kilo', 'kilos'],
+        g: [0.001, 'gram', 'grams'],
+        mg: [1e-6, 'milligram', 'milligrams'],
+        ug: [1e-9, 'µg', 'mcg', 'microgram', 'micrograms'],
+        t: [1000, 'tonne', 'tonnes', 'metric ton', 'metric tons'],
+        lb: [0.45359237, 'lbs', 'pound', 'pounds'],
+        oz: [0.028349523125, 'ounce', 'ounces'],
+        st: [6.35029318, 'stone', 'stones'],
+        'short ton': [907.18474, 'short tons', 'us ton', 'us tons'],
+        'long ton': [1016.0469088, 'long tons', 'imperial ton', 'imperial tons']
+    },
+    volume: {
+        l: [1, 'liter', 'liters', 'litre', 'litres'],
+        ml: [0.001, 'milliliter', 'milliliters', 'millilitre', 'millilitres'],
+        cl: [0.01, 'centiliter', 'centiliters', 'centilitre', 'centilitres'],
+        dl: [0.1, 'deciliter', 'deciliters', 'decilitre', 'decilitres'],
+        m3: [1000, 'm³', 'cubic meter', 'cubic meters', 'cubic metre', 'cubic metres'],
+        cm3: [0.001, 'cm³', 'cc', 'cubic centimeter', 'cubic centimeters'],
+        ft3: [28.316846592, 'ft³', 'cubic foot', 'cubic feet'],
+        in3: [0.016387064, 'in³', 'cubic inch', 'cubic inches'],
+        gal: [3.785411784, 'gallon', 'gallons', 'us gallon', 'us gallons'],
+        'imp gal': [4.54609, 'imperial gallon', 'imperial gallons', 'uk gallon', 'uk gallons'],
+        qt: [0.946352946, 'quart', 'quarts'],
+        pt: [0.473176473, 'pint', 'pints', 'us pint', 'us pints'],
+        cup: [0.2365882365, 'cups'],
+        'fl oz': [0.0295735295625, 'fluid ounce', 'fluid ounces'],
+        tbsp: [0.01478676478125, 'tablespoon', 'tablespoons'],
+        tsp: [0.00492892159375, 'teaspoon', 'teaspoons']
+    },
+    area: {
+        m2: [1, 'm²', 'square meter', 'square meters', 'square metre', 'square metres', 'sqm'],
+        km2: [1e6, 'km²', 'square kilometer', 'square kilometers', 'square kilometre', 'square kilometres'],
+        cm2: [1e-4, 'cm²', 'square centimeter', 'square centimeters'],
+        ha: [1e4, 'hectare', 'hectares'],
+        acre: [4046.8564224, 'acres', 'ac'],
+        ft2: [0.09290304, 'ft²', 'sq ft', 'sqft', 'square foot', 'square feet'],
+        in2: [0.00064516, 'in²', 'sq in', 'square inch', 'square inches'],
+        yd2: [0.83612736, 'yd²', 'sq yd', 'square yard', 'square yards'],
+        mi2: [2589988.110336, 'mi²', 'sq mi', 'square mile', 'square miles']
+    },
+    speed: {
+        'm/s': [1, 'mps', 'meters per second', 'metres per second'],
+        'km/h': [1 / 3.6, 'kph', 'kmh', 'kilometers per hour', 'kilometres per hour'],
+        mph: [0.44704, 'mi/h', 'miles per hour'],
+        'ft/s': [0.3048, 'fps', 'feet per second'],
+        kn: [1852 / 3600, 'knot', 'knots', 'kt']
+    },
+    time: {
+        s: [1, 'sec', 'secs', 'second', 'seconds'],
+        ms: [0.001, 'millisecond', 'milliseconds'],
+        min: [60, 'mins', 'minute', 'minutes'],
+        h: [3600, 'hr', 'hrs', 'hour', 'hours'],
+        d: [86400, 'day', 'days'],
+        wk: [604800, 'week', 'weeks'],
+        yr: [31557600, 'year', 'years'] // Julian year (365.25 days)
+    },
+    data: {
+        B: [1, 'byte', 'bytes'],
+        bit: [0.125, 'bits', 'b'],
+        KB: [1e3, 'kilobyte', 'kilobytes'],
+        MB: [1e6, 'megabyte', 'megabytes'],
+        GB: [1e9, 'gigabyte', 'gigabytes'],
+        TB: [1e12, 'terabyte', 'terabytes'],
+        KiB: [1024, 'kibibyte', 'kibibytes'],
+        MiB: [1024 ** 2, 'mebibyte', 'mebibytes'],
+        GiB: [1024 ** 3, 'gibibyte', 'gibibytes'],
+        TiB: [1024 ** 4, 'tebibyte', 'tebibytes']
+    },
+    energy: {
+        J: [1, 'joule', 'joules'],
+        kJ: [1e3, 'kilojoule', 'kilojoules'],
+        cal: [4.184, 'calorie', 'calories'],
+        kcal: [4184, 'kilocalorie', 'kilocalories', 'Cal'],
+        Wh: [3600, 'watt hour', 'watt hours'],
+        kWh: [3.6e6, 'kilowatt hour', 'kilowatt hours'],
+        BTU: [1055.05585262, 'btu', 'btus']
+    },
+    pressure: {
+        Pa: [1, 'pascal', 'pascals'],
+        kPa: [1e3, 'kilopascal', 'kilopascals'],
+        bar: [1e5, 'bars'],
+        atm: [101325, 'atmosphere', 'atmospheres'],
+        psi: [6894.757293168],
+        mmHg: [133.322387415, 'torr']
+    }
+};
+
+// Temperature units: [to kelvin, from kelvin, ...aliases]
+const TEMPERATURES = {
+    C: [(v) => v + 273.15, (k) => k - 273.15, '°C', 'celsius', 'centigrade'],
+    F: [(v) => (v - 32) * 5 / 9 + 273.15, (k) => (k - 273.15) * 9 / 5 + 32, '°F', 'fahrenheit'],
+    K: [(v) => v, (k) => k, 'kelvin', 'kelvins']
+};
+
+const RESULT_PRECISION = 10;
+
+// Lookup of every unit name and alias. Exact spelling wins (MB vs Mb), then case-insensitive.
+const LOOKUP = new Map();
+const LOOKUP_LOWER = new Map();
+const addName = (name, unit) => {
+    if (!LOOKUP.has(name)) LOOKUP.set(name, unit);
+    if (!LOOKUP_LOWER.has(name.toLowerCase())) LOOKUP_LOWER.set(name.toLowerCase(), unit);
+};
+for (const [dimension, units] of Object.entries(UNITS)) {
+    for (const [symbol, [factor, ...aliases]] of Object.entries(units)) {
+        [symbol, ...aliases].forEach(name => addName(name, { dimension, symbol, factor }));
+    }
+}
+for (const [symbol, [toKelvin, fromKelvin, ...aliases]] of Object.entries(TEMPERATURES)) {
+    [symbol, ...aliases].forEach(name => addName(name, { dimension: 'temperature', symbol, toKelvin, fromKelvin }));
+}
+
+/**
+ * @throws {Error} If the unit is unknown.
+ */
+function findUnit(name) {
+    const key = name.trim().replace(/\s+/g, ' ');
+    const unit = LOOKUP.get(key) || LOOKUP_LOWER.get(key.toLowerCase());
+    if (!unit) throw new Error(`Unknown unit "${name}"`);
+    return unit;
+}
+
+/**
+ * Converts a value between two units of the same dimension.
+ * @returns {{ value: number, from: object, to: object }}
+ * @throws {Error} If a unit is unknown or the dimensions differ.
+ */
+function convert(value, fromName, toName) {
+    const from = findUnit(fromName);
+    const to = findUnit(toName);
+    if (from.dimension !== to.dimension) {
+        throw new Error(`Cannot convert ${from.dimension} (${from.symbol}) to ${to.dimension} (${to.symbol})`);
+    }
+    const result = from.dimension === 'temperature'
+        ? to.fromKelvin(from.toKelvin(value))
+        : value * from.factor / to.factor;
+    return { value: Number(result.toPrecision(RESULT_PRECISION)), from, to };
+}
+
+module.exports = {
+    name: 'convert_units',
+    description: `Convert a value between units of the same kind. Supported: ${Object.entries(UNITS).map(([dimension, units]) => `${dimension} (${Object.keys(units).join(', ')})`).join('; ')}; temperature (C, F, K). Full names like 'miles' or 'fahrenheit' also work. Use this instead of converting yourself.`,
+    parameters: {
+        type: 'object',
+        properties: {
+            value: { type: 'number', description: 'The amount to convert.' },
+            from: { type: 'string', minLength: 1, description: "Unit of the value, e.g. 'mi', 'lb', 'F'." },
+            to: { type: 'string', minLength: 1, description: "Target unit, e.g. 'km', 'kg', 'C'." }
+        },
+        required: ['value', 'from', 'to']
+    },
+    modes: ['chat', 'deep_research'],
+    events: { start: 'calculating', complete: 'calculation_complete' },
+
+    describe({ value, from, to }) {
+        return { message: `Converting ${value} ${from} to ${to}...`, value, from, to };
+    },
+
+    async handler({ value, from, to }) {
+        try {
+            const result = convert(value, from, to);
+            const text = `${value} ${result.from.symbol} = ${result.value} ${result.to.symbol}`;
+            return { success: true, content: text, message: text };
+        } catch (error) {
+            return { success: false, content: `Conversion failed: ${error.message}.`, message: 'Conversion failed' };
+        }
+    }
+};
@@ -0,0 +1,70 @@
+/**
+ * web_search Tool
+ * Tavily web search. Deep research always searches in advanced depth with 10 results.
+ */
+
+const tavilyService = require('../tavilyService');
+
+/**
+ * Effective search settings (deep research overrides the model's choices).
+ */
+const settings = (args, { isDeepResearch }) => ({
+    query: args.query,
+    topic: args.topic || 'general',
+    search_depth: isDeepResearch ? 'advanced' : (args.search_depth || 'basic'),
+    max_results: isDeepResearch ? 10 : (args.max_results || 5)
+});
+
+module.exports = {
+    name: 'web_search',
+    description: "Search the web for current information. You SHOULD call this multiple times with different queries to build comprehensive answers. Use specific, focused queries for best results.",
+    parameters: {
+        type: 'object',
+        properties: {
+            query: {
+                type: 'string',
+                minLength: 1,
+                description: "Concise, focused search query. For multi-part questions, search each part separately."
+            },
+            topic: {
+                type: 'string',
+                enum: ['general', 'news'],
+                description: "Type of search: 'general' for facts, 'news' for recent events"
+            },
+            search_depth: {
+                type: 'string',
+                enum: ['basic', 'advanced'],
+                description: "Search depth: 'basic' for quick lookups, 'advanced' for deep research."
+            },
+            max_results: {
+                type: 'number',
+                minimum: 1,
+                maximum: 10,
+                description: "Number of results to return (1-10). Default is 5."
+            }
+        },
+        required: ['query']
+    },
+    modes: ['chat', 'deep_research'],
+    events: { start: 'searching', complete: 'search_complete' },
+    countsAsSearch: true,
+
+    describe(args, context) {
+        const { query, topic, search_depth } = settings(args, context);
+        return { message: `Searching: "${query}" (depth: ${search_depth})...`, query, topic, depth: search_depth };
+    },
+
+    async handler(args, context) {
+        const search = settings(args, context);
+        const searchResult = await tavilyService.search({ ...search, signal: context.signal });
+        const resultCount = searchResult.success ? (searchResult.sources?.length ?? 0) : 0;
+
+        return {
+            success: searchResult.success,
+            content: searchResult.success ? searchResult.results : `Search failed: ${searchResult.error}`,
+            message: `Found ${resultCount} results for "${search.query}"`,
+            resultCount,
+            sources: searchResult.success ? searchResult.sources : []
+        };
+    }
+};
@@ -0,0 +1,39 @@
+/**
+ * Vector Store Factory
+ * Picks the vector store backend from the VECTOR_STORE environment variable.
+ *
+ * Every backend implements the same interface:
+ *   - addChunks(chunks)                       → number of stored chunks
+ *   - similaritySearch(embedding, { k, filter }) → [{ text, metadata, score }]
+ *   - deleteWhere(filter)                     → number of removed chunks
+ *
+ * Backends:
+ *   - memory   (default) in-process, no external services
+ *   - pgvector Postgres `rag_chunks` table
+ *   - milvus   Zilliz Cloud / Milvus collection
+ */
+
+const MemoryVectorStore = require('./memoryStore');
+
+const BACKENDS = {
+    memory: () => new MemoryVectorStore(),
+    pgvector: () => new (require('./pgvectorStore'))(),
+    milvus: (options) => new (require('./milvusStore'))(options)
+};
+
+/**
+ * Creates the configured vector store.
+ * @param {object} options
+ * @param {number} options.dimension - Embedding dimension.
+ * @returns {object} - Vector store instance.
+ */
+function createVectorStore(options) {
+    const backend = (process.env.VECTOR_STORE || 'memory').toLowerCase();
+    const factory = BACKENDS[backend];
+    if (!factory) {
+        throw new Error(`Unknown VECTOR_STORE "${backend}". Expected one of: ${Object.keys(BACKENDS).join(', ')}.`);
+    }
+    return factory(options);
+}
+
+module.exports = { createVectorStore };
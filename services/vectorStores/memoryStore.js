@@ -0,0 +1,78 @@
+/**
+ * In-Memory Vector Store
+ * Keeps embedded chunks in process memory and ranks them by cosine similarity.
+ * Useful for local development without Zilliz or pgvector. Data is lost on restart.
+ */
+
+class MemoryVectorStore {
+    constructor() {
+        this.name = 'memory';
+        this.records = [];
+    }
+
+    /**
+     * Stores embedded chunks.
+     * @param {Array<{text: string, embedding: number[], metadata: object}>} chunks
+     */
+    async addChunks(chunks) {
+        for (const chunk of chunks) {
+            this.records.push({
+                text: chunk.text,
+                embedding: chunk.embedding,
+                metadata: { ...chunk.metadata }
+            });
+        }
+        return chunks.length;
+    }
+
+    /**
+     * Returns the k chunks most similar to the query embedding.
+     * @param {number[]} embedding - Query embedding.
+     * @param {object} [options]
+     * @param {number} [options.k=5] - Number of results.
+     * @param {object} [options.filter] - Metadata filter ({ source, documentIds }).
+     * @returns {Promise<Array<{text: string, metadata: object, score: number}>>}
+     */
+    async similaritySearch(embedding, { k = 5, filter = {} } = {}) {
+        return this.records
+            .filter(record => this.matchesFilter(record.metadata, filter))
+            .map(record => ({
+                text: record.text,
+                metadata: record.metadata,
+                score: this.cosineSimilarity(embedding, record.embedding)
+            }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, k);
+    }
+
+    /**
+     * Removes every chunk matching the filter.
+     * @param {object} filter - Metadata filter ({ source, documentIds }).
+     * @returns {Promise<number>} - Number of removed chunks.
+     */
+    async deleteWhere(filter) {
+        const before = this.records.length;
+        this.records = this.records.filter(record => !this.matchesFilter(record.metadata, filter));
+        return before - this.records.length;
+    }
+
+    matchesFilter(metadata, filter = {}) {
+        if (filter.source !== undefined && metadata.source !== filter.source) return false;
+        if (filter.documentIds !== undefined && !filter.documentIds.includes(metadata.documentId)) return false;
+        return true;
+    }
+
+    cosineSimilarity(a, b) {
+        let dot = 0, normA = 0, normB = 0;
+        const len = Math.min(a.length, b.length);
+        for (let i = 0; i < len; i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+        if (normA === 0 || normB === 0) return 0;
+        return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+    }
+}
+
+module.exports = MemoryVectorStore;
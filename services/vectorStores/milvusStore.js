@@ -0,0 +1,141 @@
+/**
+ * Milvus / Zilliz Vector Store
+ * Stores embedded chunks in the `rag_collection_v3_gemini` collection.
+ * The schema matches scripts/reset_rag_schema.js; extra metadata lives in the dynamic `metadata` field.
+ */
+
+const { MilvusClient, DataType } = require('@zilliz/milvus2-sdk-node');
+
+const COLLECTION_NAME = process.env.RAG_COLLECTION || 'rag_collection_v3_gemini';
+
+const log = (emoji, msg) => console.log(`[MILVUS] ${emoji} ${msg}`);
+
+class MilvusVectorStore {
+    /**
+     * @param {object} options
+     * @param {number} options.dimension - Embedding dimension.
+     */
+    constructor({ dimension }) {
+        this.name = 'milvus';
+        this.dimension = dimension;
+        this.client = new MilvusClient({
+            address: process.env.ZILLIZ_URI,
+            token: process.env.ZILLIZ_TOKEN
+        });
+        this.ready = null;
+    }
+
+    /**
+     * Creates and loads the collection on first use.
+     */
+    ensureCollection() {
+        if (!this.ready) {
+            this.ready = (async () => {
+                const exists = await this.client.hasCollection({ collection_name: COLLECTION_NAME });
+                if (!exists.value) {
+                    log('🏗️', `Creating collection: ${COLLECTION_NAME}`);
+                    await this.client.createCollection({
+                        collection_name: COLLECTION_NAME,
+                        fields: [
+                            { name: 'langchain_primaryid', data_type: DataType.Int64, is_primary_key: true, autoID: true },
+                            { name: 'langchain_text', data_type: DataType.VarChar, max_length: 65535 },
+                            { name: 'langchain_vector', data_type: DataType.FloatVector, dim: this.dimension },
+                            { name: 'source', data_type: DataType.VarChar, max_length: 4096 }
+                        ],
+                        enable_dynamic_field: true
+                    });
+                    await this.client.createIndex({
+                        collection_name: COLLECTION_NAME,
+                        field_name: 'langchain_vector',
+                        index_type: 'AUTOINDEX',
+                        metric_type: 'L2'
+                    });
+                }
+                await this.client.loadCollectionSync({ collection_name: COLLECTION_NAME });
+            })().catch(error => {
+                this.ready = null;
+                throw error;
+            });
+        }
+        return this.ready;
+    }
+
+    /**
+     * Stores embedded chunks.
+     * @param {Array<{text: string, embedding: number[], metadata: object}>} chunks
+     */
+    async addChunks(chunks) {
+        await this.ensureCollection();
+        const result = await this.client.insert({
+            collection_name: COLLECTION_NAME,
+            data: chunks.map(chunk => ({
+                langchain_text: chunk.text,
+                langchain_vector: chunk.embedding,
+                source: chunk.metadata.source,
+                metadata: chunk.metadata
+            }))
+        });
+        if (result.status?.error_code && result.status.error_code !== 'Success') {
+            throw new Error(`Milvus insert failed: ${result.status.reason}`);
+        }
+        return chunks.length;
+    }
+
+    /**
+     * Returns the k chunks closest to the query embedding.
+     * L2 distances are mapped to a (0, 1] similarity so all backends score alike.
+     * @param {number[]} embedding - Query embedding.
+     * @param {object} [options]
+     * @param {number} [options.k=5] - Number of results.
+     * @param {object} [options.filter] - Metadata filter ({ source, documentIds }).
+     * @returns {Promise<Array<{text: string, metadata: object, score: number}>>}
+     */
+    async similaritySearch(embedding, { k = 5, filter = {} } = {}) {
+        await this.ensureCollection();
+        const expr = this.buildFilter(filter);
+        const result = await this.client.search({
+            collection_name: COLLECTION_NAME,
+            data: embedding,
+            limit: k,
+            filter: expr || undefined,
+            output_fields: ['langchain_text', 'source', 'metadata']
+        });
+
+        return (result.results || []).map(hit => ({
+            text: hit.langchain_text,
+            metadata: hit.metadata || { source: hit.source },
+            score: 1 / (1 + hit.score)
+        }));
+    }
+
+    /**
+     * Removes every chunk matching the filter.
+     * @param {object} filter - Metadata filter ({ source, documentIds }).
+     * @returns {Promise<number>} - Number of removed chunks.
+     */
+    async deleteWhere(filter) {
+        await this.ensureCollection();
+        const expr = this.buildFilter(filter);
+        if (!expr) throw new Error('Refusing to delete from Milvus without a filter.');
+        const result = await this.client.delete({ collection_name: COLLECTION_NAME, filter: expr });
+        return Number(result.delete_cnt || 0);
+    }
+
+    buildFilter(filter = {}) {
+        const clauses = [];
+        if (filter.source !== undefined) {
+            clauses.push(`source == "${this.escape(filter.source)}"`);
+        }
+        if (filter.documentIds !== undefined) {
+            const ids = filter.documentIds.map(id => Number(id)).filter(Number.isInteger);
+            clauses.push(`metadata["documentId"] in [${ids.join(', ')}]`);
+        }
+        return clauses.join(' && ');
+    }
+
+    escape(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    }
+}
+
+module.exports = MilvusVectorStore;
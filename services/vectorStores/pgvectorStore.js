@@ -0,0 +1,86 @@
+/**
+ * pgvector Vector Store
+ * Stores embedded chunks in the `rag_chunks` Postgres table (see db/pgvector.sql).
+ * Requires the `vector` extension, which Supabase ships with.
+ */
+
+const db = require('../../config/database');
+
+class PgVectorStore {
+    constructor() {
+        this.name = 'pgvector';
+    }
+
+    /**
+     * Stores embedded chunks.
+     * @param {Array<{text: string, embedding: number[], metadata: object}>} chunks
+     */
+    async addChunks(chunks) {
+        for (const chunk of chunks) {
+            await db.query(
+                'INSERT INTO rag_chunks (source, content, metadata, embedding) VALUES ($1, $2, $3, $4)',
+                [chunk.metadata.source, chunk.text, chunk.metadata, this.toVectorLiteral(chunk.embedding)]
+            );
+        }
+        return chunks.length;
+    }
+
+    /**
+     * Returns the k chunks most similar to the query embedding (cosine distance).
+     * @param {number[]} embedding - Query embedding.
+     * @param {object} [options]
+     * @param {number} [options.k=5] - Number of results.
+     * @param {object} [options.filter] - Metadata filter ({ source, documentIds }).
+     * @returns {Promise<Array<{text: string, metadata: object, score: number}>>}
+     */
+    async similaritySearch(embedding, { k = 5, filter = {} } = {}) {
+        const params = [this.toVectorLiteral(embedding), k];
+        const where = this.buildWhere(filter, params);
+
+        const result = await db.query(
+            `SELECT content, metadata, 1 - (embedding <=> $1) AS score
+             FROM rag_chunks ${where}
+             ORDER BY embedding <=> $1
+             LIMIT $2`,
+            params
+        );
+
+        return result.rows.map(row => ({
+            text: row.content,
+            metadata: row.metadata,
+            score: Number(row.score)
+        }));
+    }
+
+    /**
+     * Removes every chunk matching the filter.
+     * @param {object} filter - Metadata filter ({ source, documentIds }).
+     * @returns {Promise<number>} - Number of removed chunks.
+     */
+    async deleteWhere(filter) {
+        const params = [];
+        const where = this.buildWhere(filter, params);
+        if (!where) throw new Error('Refusing to delete rag_chunks without a filter.');
+        const result = await db.query(`DELETE FROM rag_chunks ${where}`, params);
+        return result.rowCount;
+    }
+
+    buildWhere(filter = {}, params) {
+        const clauses = [];
+        if (filter.source !== undefined) {
+            params.push(filter.source);
+            clauses.push(`source = $${params.length}`);
+        }
+        if (filter.documentIds !== undefined) {
+            params.push(filter.documentIds);
+            clauses.push(`(metadata->>'documentId')::int = ANY($${params.length})`);
+        }
+        return clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    }
+
+    toVectorLiteral(embedding) {
+        return `[${embedding.join(',')}]`;
+    }
+}
+
+module.exports = PgVectorStore;
@@ -0,0 +1,59 @@
+/**
+ * Date helpers
+ * Parsing for calendar dates and date-times sent by clients and the chat agent. Values without
+ * a time zone are read in the server's local time, the same clock the chat system prompt uses.
+ */
+
+const DATE_FORMAT = /^(\d{4})-(\d{2})-(\d{2})$/;
+// Time of day given to a date-only reminder
+const DEFAULT_TIME = '09:00';
+
+/**
+ * Validates a calendar date.
+ * @param {string} value - YYYY-MM-DD.
+ * @returns {string|null} - The date, or null if invalid.
+ */
+function parseDate(value) {
+    if (typeof value !== 'string') return null;
+    const match = value.trim().match(DATE_FORMAT);
+    if (!match) return null;
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? match[0] : null;
+}
+
+/**
+ * Parses an ISO 8601 date-time. A date without a time means DEFAULT_TIME that day.
+ * @param {string} value - e.g. 2025-03-14T09:30, 2025-03-14T09:30:00+05:30 or 2025-03-14.
+ * @returns {Date|null} - The instant, or null if invalid.
+ */
+function parseDateTime(value) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    const text = parseDate(value) ? `${value.trim()}T${DEFAULT_TIME}` : value.trim();
+    if (!/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/.test(text)) return null;
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Calendar date of an instant in the server's local time.
+ * @param {Date} [date] - Defaults to now.
+ * @returns {string} - YYYY-MM-DD.
+ */
+function localDate(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Adds days to a calendar date.
+ * @param {string} date - YYYY-MM-DD.
+ * @param {number} days
+ * @returns {string} - YYYY-MM-DD.
+ */
+function addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().substring(0, 10);
+}
+
+module.exports = { parseDate, parseDateTime, localDate, addDays };
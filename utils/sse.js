@@ -0,0 +1,51 @@
+/**
+ * Server-Sent Events helper
+ * Opens an SSE response and writes events in the format used by the streaming endpoints:
+ *   id: <event id>\n        (resumable streams only)
+ *   data: { type, message, ... }\n\n
+ */
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Sets SSE headers on a response and starts a heartbeat.
+ * @param {object} res - Express response object.
+ * @returns {{ send: function(object, string=): void, close: function(): void }}
+ *   `send(event, id?)` writes one event, with an `id:` line when given (echoed back by clients
+ *   as Last-Event-ID on reconnect); `close` stops the heartbeat and ends the response.
+ */
+function openEventStream(res) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+    res.flushHeaders();
+
+    // A comment line keeps proxies from timing out the connection but is ignored by parsers
+    const heartbeat = setInterval(() => {
+        try {
+            res.write(': heartbeat\n\n');
+        } catch (e) {
+            console.error('[SSE] Heartbeat error:', e.message);
+        }
+    }, HEARTBEAT_INTERVAL_MS);
+
+    const send = (event, id) => {
+        if (res.writableEnded || res.destroyed) return; // client went away
+        try {
+            res.write(`${id !== undefined ? `id: ${id}\n` : ''}data: ${JSON.stringify(event)}\n\n`);
+        } catch (e) {
+            console.error('[SSE] Write error:', e.message);
+        }
+    };
+
+    const close = () => {
+        clearInterval(heartbeat);
+        res.end();
+    };
+
+    res.on('close', () => clearInterval(heartbeat));
+    return { send, close };
+}
+
+module.exports = { openEventStream };